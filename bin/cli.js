@@ -3,29 +3,270 @@
 import { Command } from 'commander';
 import chalk from 'chalk';
 import ora from 'ora';
+import path from 'path';
+import inquirer from 'inquirer';
 import { DaniZeeSuiteInstaller } from '../src/installer.js';
+import { MODIFIED_ACTIONS } from '../src/utils/writer.js';
+import { SUITE_VERSION } from '../src/utils/settings.js';
+import { EXIT_CODES, createError, getExitCode, serializeError } from '../src/utils/errors.js';
+import { SOLUTION_CATEGORIES, createSolution, loadCategories, resolveCategory, isValidDate } from '../src/utils/solutions.js';
+import { searchSolutions } from '../src/utils/search.js';
+import { lintSolutions } from '../src/utils/lint.js';
+import { listStagedFiles } from '../src/utils/git.js';
+import { RENAME_PATTERN } from '../src/utils/resolutions.js';
+import { BUILT_IN_ADAPTERS, loadMemoryAdapter, syncMemory } from '../src/utils/memory.js';
+import { RUN_DECISIONS, RUNS_DIR, findRun, getNextCheckpoint, listRuns, recordCheckpoint, resumeRun, startRun } from '../src/utils/runs.js';
+import { DEFAULT_ABANDONED_DAYS, DEFAULT_BRANCH_PREFIX, createWorktree, listWorktrees, pruneWorktrees } from '../src/utils/worktrees.js';
 
 const program = new Command();
 
 program
   .name('danizee-claude-suite')
   .description('Unified workflow shortcuts for Claude Code with knowledge compounding')
-  .version('1.0.0');
+  .version(SUITE_VERSION)
+  .option('--json', 'Print a single JSON result object instead of text');
+
+/**
+ * Whether output should be JSON
+ */
+function isJson() {
+  return !!program.opts().json;
+}
+
+/**
+ * Start a spinner that stays quiet in JSON mode
+ */
+function startSpinner(text) {
+  return ora({ text, isSilent: isJson() }).start();
+}
+
+/**
+ * Print the JSON result of a command and set the exit code
+ */
+function printJson(command, fields = {}, exitCode = EXIT_CODES.success) {
+  console.log(JSON.stringify({
+    command,
+    ok: exitCode === EXIT_CODES.success,
+    exitCode,
+    result: null,
+    conflicts: [],
+    errors: [],
+    ...fields
+  }, null, 2));
+  process.exitCode = exitCode;
+}
+
+/**
+ * Report a failed command as text or JSON and set the exit code
+ */
+function fail(command, spinner, label, error) {
+  const exitCode = getExitCode(error);
+
+  if (isJson()) {
+    printJson(command, { conflicts: error.conflicts || [], errors: [serializeError(error)] }, exitCode);
+    return;
+  }
+
+  if (spinner) {
+    spinner.fail(chalk.red(label));
+  }
+  console.error(chalk.red(error.message));
+  process.exitCode = exitCode;
+}
+
+/**
+ * Exit code for a check() status
+ */
+function getStatusExitCode(status) {
+  if (status.health === 'not-installed') {
+    return EXIT_CODES.notInstalled;
+  }
+  if (status.health === 'partial') {
+    return EXIT_CODES.partial;
+  }
+  return status.conflicts.some(conflict => conflict.severity === 'error') ? EXIT_CODES.conflicts : EXIT_CODES.success;
+}
+
+/**
+ * Print the changes a dry run would make
+ */
+function printDryRun(command, report) {
+  if (isJson()) {
+    printJson(command, { result: report });
+    return;
+  }
+
+  const actions = {
+    create: chalk.green('+ create   '),
+    overwrite: chalk.yellow('~ overwrite'),
+    delete: chalk.red('- delete   ')
+  };
+  const keyChanges = {
+    added: chalk.green('+'),
+    changed: chalk.yellow('~'),
+    removed: chalk.red('-')
+  };
+
+  console.log(chalk.bold('\nDry run: no files were changed\n'));
+
+  if (report.changes.length === 0) {
+    console.log('  Nothing to do.');
+  }
+  for (const change of report.changes) {
+    console.log(`  ${actions[change.action]} ${change.file}`);
+  }
+
+  if (report.migrations.length > 0) {
+    console.log(chalk.bold('\nMigrations\n'));
+    for (const id of report.migrations) {
+      console.log(`  ${id}`);
+    }
+  }
+
+  if (report.settings.length > 0) {
+    console.log(chalk.bold('\nSettings keys\n'));
+    for (const key of report.settings) {
+      console.log(`  ${keyChanges[key.change]} ${key.path}`);
+    }
+  }
+
+  if (report.diff) {
+    console.log('');
+    for (const line of report.diff.trimEnd().split('\n')) {
+      if (line.startsWith('+++') || line.startsWith('---')) {
+        console.log(chalk.bold(line));
+      } else if (line.startsWith('@@')) {
+        console.log(chalk.cyan(line));
+      } else if (line.startsWith('+')) {
+        console.log(chalk.green(line));
+      } else if (line.startsWith('-')) {
+        console.log(chalk.red(line));
+      } else {
+        console.log(line);
+      }
+    }
+  }
+}
+
+/**
+ * Print the effective settings across scopes, with where each key came from
+ */
+function printEffectiveSettings(status) {
+  const keys = new Map();
+
+  // Group leaf keys two levels deep, e.g. mcpServers.claude-flow
+  for (const [keyPath, scopes] of Object.entries(status.effective.sources)) {
+    const group = keyPath.split('.').slice(0, 2).join('.');
+    keys.set(group, new Set([...(keys.get(group) || []), ...scopes]));
+  }
+
+  if (keys.size === 0) {
+    return;
+  }
+
+  console.log(chalk.bold('\nEffective settings') + chalk.dim(status.scope ? ` (suite installed in ${status.scope} scope)` : ''));
+  const width = Math.max(...[...keys.keys()].map(key => key.length));
+  for (const [key, scopes] of keys) {
+    console.log(`  ${key.padEnd(width)}  ${chalk.dim([...scopes].join(', '))}`);
+  }
+}
+
+/**
+ * Print how the settings merge went
+ */
+function printSettingsChanges(changes) {
+  const count = change => changes.filter(entry => entry.change === change).length;
+
+  console.log(chalk.dim(`  Settings: ${count('added')} added, ${count('changed')} changed, ${count('kept')} kept` +
+    (count('removed') > 0 ? `, ${count('removed')} removed` : '')));
+  for (const entry of changes.filter(entry => entry.change === 'changed')) {
+    console.log(chalk.dim(`    ~ ${entry.path}`));
+  }
+}
+
+/**
+ * Ask how to resolve an install conflict
+ */
+function promptConflict(spinner) {
+  return async (conflict, choices) => {
+    spinner.stop();
+    console.log(chalk.yellow(`\n${conflict.message}`));
+
+    const { resolution } = await inquirer.prompt([{
+      type: 'list',
+      name: 'resolution',
+      message: 'How should init handle this?',
+      choices
+    }]);
+
+    if (resolution.action === 'rename') {
+      const { to } = await inquirer.prompt([{
+        type: 'input',
+        name: 'to',
+        message: `New name for ${resolution.file}:`,
+        validate: value => RENAME_PATTERN.test(value) ||'Use letters, digits, dots, dashes or underscores'
+      }]);
+      resolution.to = to;
+    }
+
+    spinner.start();
+    return resolution;
+  };
+}
+
+/**
+ * Ask whether to save conflict choices for later non-interactive runs
+ */
+function promptSaveResolutions(spinner) {
+  return async () => {
+    spinner.stop();
+
+    const { save } = await inquirer.prompt([{
+      type: 'confirm',
+      name: 'save',
+      message: 'Save these choices to .claude/danizee-resolutions.json for non-interactive runs?',
+      default: true
+    }]);
+
+    spinner.start();
+    return save;
+  };
+}
 
 program
   .command('init')
   .description('Initialize Claude Code suite in the current project')
   .option('-f, --force', 'Overwrite existing configuration')
   .option('--dry-run', 'Preview changes without applying them')
+  .option('--plugins <names>', 'Comma-separated plugins to install (default: all)')
+  .option('--scope <scope>', 'Settings file to write: project, local or user', 'project')
+  .option('--save-resolutions', 'Save conflict choices for non-interactive runs without asking')
   .option('-p, --path <path>', 'Target path for installation', process.cwd())
   .action(async (options) => {
-    const spinner = ora('Initializing Danizee Claude Suite...').start();
+    const spinner = startSpinner('Initializing Danizee Claude Suite...');
 
     try {
-      const installer = new DaniZeeSuiteInstaller(options);
-      await installer.install();
+      const interactive = !isJson() && process.stdin.isTTY;
+      const installer = new DaniZeeSuiteInstaller({
+        ...options,
+        resolveConflict: interactive ? promptConflict(spinner) : null,
+        saveResolutions: options.saveResolutions || (interactive ? promptSaveResolutions(spinner) : false)
+      });
+      const result = await installer.install();
+
+      if (result.dryRun) {
+        spinner.stop();
+        printDryRun('init', result);
+        return;
+      }
+
+      if (isJson()) {
+        printJson('init', { result });
+        return;
+      }
 
       spinner.succeed(chalk.green('Danizee Claude Suite initialized successfully!'));
+      printSettingsChanges(result.settings);
 
       console.log('\n' + chalk.cyan('Next steps:'));
       console.log('  1. Ensure claude-flow MCP is installed: ' + chalk.yellow('npx claude-flow@alpha mcp start'));
@@ -33,9 +274,7 @@ program
       console.log('  3. Try a workflow: ' + chalk.yellow('"Run the full cycle workflow on [feature]"'));
       console.log('\n' + chalk.dim('Tip: Each workflow searches memory first, then compounds what you learn.'));
     } catch (error) {
-      spinner.fail(chalk.red('Installation failed'));
-      console.error(chalk.red(error.message));
-      process.exit(1);
+      fail('init', spinner, 'Installation failed', error);
     }
   });
 
@@ -44,49 +283,267 @@ program
   .description('Verify installation status')
   .option('-p, --path <path>', 'Path to check', process.cwd())
   .action(async (options) => {
-    const spinner = ora('Checking installation...').start();
+    const spinner = startSpinner('Checking installation...');
 
     try {
       const installer = new DaniZeeSuiteInstaller(options);
       const status = await installer.check();
+      const exitCode = getStatusExitCode(status);
 
       spinner.stop();
 
+      if (isJson()) {
+        printJson('check', { result: status, conflicts: status.conflicts }, exitCode);
+        return;
+      }
+
       console.log(chalk.bold('\nDanizee Claude Suite Status\n'));
       console.log(`  ${status.installed ? chalk.green('✓') : chalk.red('✗')} Suite installed`);
       console.log(`  ${status.claudeDir ? chalk.green('✓') : chalk.red('✗')} .claude directory`);
       console.log(`  ${status.settings ? chalk.green('✓') : chalk.red('✗')} Settings configured`);
       console.log(`  ${status.shortcuts ? chalk.green('✓') : chalk.red('✗')} WORKFLOW-SHORTCUTS.md`);
-      console.log(`  ${status.plugins.claudeFlow ? chalk.green('✓') : chalk.red('✗')} Claude Flow plugin`);
-      console.log(`  ${status.plugins.compoundEngineering ? chalk.green('✓') : chalk.red('✗')} Compound Engineering plugin`);
-      console.log(`  ${status.plugins.frontendDesign ? chalk.green('✓') : chalk.red('✗')} Frontend Design plugin`);
+      for (const plugin of Object.values(status.plugins)) {
+        const source = plugin.source === 'built-in' ? '' : chalk.dim(` (${plugin.source})`);
+        console.log(`  ${plugin.installed ? chalk.green('✓') : chalk.red('✗')} ${plugin.displayName} plugin${source}`);
+      }
+      console.log(`  ${status.manifest ? chalk.green('✓') : chalk.red('✗')} Install manifest`);
+
+      printEffectiveSettings(status);
+
+      if (status.behind) {
+        const pending = status.pendingMigrations.length;
+        console.log(chalk.yellow(`\n  Installed v${status.version} is behind v${status.latestVersion}` +
+          (pending > 0 ? ` (${pending} pending migration${pending === 1 ? '' : 's'})` : '') +
+          '. Run `update`.'));
+      }
+
+      for (const file of status.files.modified) {
+        console.log(chalk.yellow(`  ~ ${file} (modified since install)`));
+      }
+      for (const file of status.files.missing) {
+        console.log(chalk.red(`  - ${file} (missing)`));
+      }
+      for (const file of status.files.pending) {
+        console.log(chalk.yellow(`  ! ${file} (suite update to merge by hand, then delete)`));
+      }
+      for (const conflict of status.conflicts) {
+        const icon = conflict.severity === 'error' ? chalk.red('✗') : chalk.yellow('!');
+        console.log(`  ${icon} ${conflict.message}`);
+      }
 
-      if (!status.installed) {
+      if (status.health === 'not-installed') {
         console.log('\n' + chalk.yellow('Run `node bin/cli.js init` to install.'));
+      } else if (status.health === 'partial') {
+        console.log('\n' + chalk.yellow('The install is incomplete. Run `node bin/cli.js doctor --fix` or `update`.'));
+      }
+
+      process.exitCode = exitCode;
+    } catch (error) {
+      fail('check', spinner, 'Check failed', error);
+    }
+  });
+
+program
+  .command('doctor')
+  .description('Diagnose the environment and the installation')
+  .option('-p, --path <path>', 'Path to diagnose', process.cwd())
+  .option('--fix', 'Apply the safe fixes automatically')
+  .action(async (options) => {
+    const spinner = startSpinner('Running diagnostics...');
+
+    try {
+      const installer = new DaniZeeSuiteInstaller(options);
+      const { findings, fixed } = await installer.doctor({ fix: options.fix });
+      const failed = findings.some(entry => entry.severity === 'error');
+      spinner.stop();
+
+      if (isJson()) {
+        printJson('doctor', { result: { findings, fixed } }, failed ? EXIT_CODES.error : EXIT_CODES.success);
+        return;
+      }
+
+      const icons = {
+        error: chalk.red('✗'),
+        warning: chalk.yellow('!'),
+        info: chalk.cyan('i')
+      };
+
+      console.log(chalk.bold('\nDanizee Claude Suite Doctor\n'));
+
+      for (const entry of fixed) {
+        console.log(`  ${chalk.green('✓')} Fixed: ${entry.message}`);
+      }
+
+      if (findings.length === 0) {
+        console.log(`  ${chalk.green('✓')} No problems found`);
+        return;
+      }
+
+      for (const entry of findings) {
+        console.log(`  ${icons[entry.severity]} ${entry.message}`);
+        if (entry.fix) {
+          console.log(chalk.dim(`    → ${entry.fix}${entry.fixable ? ' (fixable with --fix)' : ''}`));
+        }
+      }
+
+      const count = (severity, noun) => {
+        const total = findings.filter(entry => entry.severity === severity).length;
+        return `${total} ${noun}${total === 1 ? '' : 's'}`;
+      };
+      console.log(`\n  ${count('error', 'error')}, ${count('warning', 'warning')}, ${count('info', 'note')}`);
+
+      if (failed) {
+        process.exitCode = EXIT_CODES.error;
+      }
+    } catch (error) {
+      fail('doctor', spinner, 'Doctor failed', error);
+    }
+  });
+
+program
+  .command('validate')
+  .description('Validate settings.json against the suite schema')
+  .option('-p, --path <path>', 'Path to validate', process.cwd())
+  .option('--scope <scope>', 'Settings file to validate: project, local or user (default: as installed)')
+  .action(async (options) => {
+    try {
+      const installer = new DaniZeeSuiteInstaller(options);
+      const result = await installer.validate();
+      const relative = path.relative(installer.targetDir, result.file);
+      const file = relative.startsWith('..') ? result.file : relative;
+
+      if (isJson()) {
+        const exitCode = !result.exists ? EXIT_CODES.notInstalled : result.valid ? EXIT_CODES.success : EXIT_CODES.error;
+        printJson('validate', { result }, exitCode);
+        return;
       }
+
+      if (!result.exists) {
+        console.log(chalk.yellow(`${file} does not exist. Run \`init\` first.`));
+        process.exitCode = EXIT_CODES.notInstalled;
+        return;
+      }
+
+      if (result.parseError) {
+        console.error(chalk.red(`${file}:${result.parseError.line}:${result.parseError.column} ${result.parseError.message}`));
+        console.error(chalk.red('Refusing to continue until the file parses. Fix it by hand or restore it from version control.'));
+        process.exitCode = EXIT_CODES.error;
+        return;
+      }
+
+      if (result.valid) {
+        console.log(chalk.green(`✓ ${file} is valid`));
+        return;
+      }
+
+      console.log(chalk.red(`✗ ${file} has ${result.errors.length} error${result.errors.length === 1 ? '' : 's'}\n`));
+      for (const error of result.errors) {
+        const location = error.line ? chalk.dim(`${file}:${error.line}:${error.column}`) : chalk.dim(file);
+        console.log(`  ${location} ${chalk.bold(error.path)} ${error.message}`);
+      }
+      process.exitCode = EXIT_CODES.error;
     } catch (error) {
-      spinner.fail(chalk.red('Check failed'));
-      console.error(chalk.red(error.message));
-      process.exit(1);
+      fail('validate', null, 'Validation failed', error);
     }
   });
 
+/**
+ * Ask what to do with a command file the user edited since install
+ */
+function promptModified(spinner) {
+  return async ({ file, hasBase }) => {
+    spinner.stop();
+
+    const { action } = await inquirer.prompt([{
+      type: 'list',
+      name: 'action',
+      message: `${file} was modified locally. What should update do?`,
+      choices: [
+        ...(hasBase ? [{ name: 'Merge the update into my copy', value: 'merge' }] : []),
+        { name: 'Keep my copy, write the update as .new', value: 'keep' },
+        { name: 'Overwrite with the update', value: 'overwrite' }
+      ]
+    }]);
+
+    spinner.start();
+    return action;
+  };
+}
+
+/**
+ * Print what update did with each file
+ */
+function printUpdateSummary(files) {
+  const labels = {
+    created: chalk.green('created'),
+    upgraded: chalk.green('upgraded'),
+    merged: chalk.cyan('merged'),
+    conflicted: chalk.red('merged with conflicts'),
+    kept: chalk.yellow('kept local copy, update written as .new'),
+    overwritten: chalk.yellow('overwritten')
+  };
+
+  console.log(chalk.bold('\nUpdate summary\n'));
+  console.log(`  ${files.unchanged.length} unchanged, ${files.upgraded.length} upgraded, ${files.created.length} created`);
+
+  for (const [status, label] of Object.entries(labels)) {
+    if (status === 'upgraded' || status === 'created') {
+      continue;
+    }
+    for (const file of files[status]) {
+      console.log(`  ${file}: ${label}`);
+    }
+  }
+
+  if (files.conflicted.length > 0) {
+    console.log('\n' + chalk.yellow('Resolve the conflict markers in the files above before committing.'));
+  }
+}
+
 program
   .command('update')
   .description('Update existing installation')
   .option('-p, --path <path>', 'Path to update', process.cwd())
+  .option('--on-modified <action>', `How to handle locally modified files (${MODIFIED_ACTIONS.join('|')})`)
+  .option('--dry-run', 'Preview changes without applying them')
+  .option('--scope <scope>', 'Settings file to write: project, local or user (default: as installed)')
   .action(async (options) => {
-    const spinner = ora('Updating Danizee Claude Suite...').start();
+    const spinner = startSpinner('Updating Danizee Claude Suite...');
 
     try {
-      const installer = new DaniZeeSuiteInstaller({ ...options, force: true });
-      await installer.install();
+      if (options.onModified && !MODIFIED_ACTIONS.includes(options.onModified)) {
+        throw new Error(`Unknown --on-modified action "${options.onModified}"`);
+      }
+
+      const interactive = !options.onModified && !options.dryRun && !isJson() && process.stdin.isTTY;
+      const installer = new DaniZeeSuiteInstaller({
+        ...options,
+        force: true,
+        update: true,
+        resolveModified: interactive ? promptModified(spinner) : null
+      });
+      const result = await installer.install();
+
+      if (result.dryRun) {
+        spinner.stop();
+        printDryRun('update', result);
+        return;
+      }
+
+      if (isJson()) {
+        printJson('update', { result });
+        return;
+      }
 
       spinner.succeed(chalk.green('Danizee Claude Suite updated successfully!'));
+
+      for (const id of result.migrations) {
+        console.log(chalk.cyan(`  Applied migration ${id}`));
+      }
+      printUpdateSummary(result.files);
+      printSettingsChanges(result.settings);
     } catch (error) {
-      spinner.fail(chalk.red('Update failed'));
-      console.error(chalk.red(error.message));
-      process.exit(1);
+      fail('update', spinner, 'Update failed', error);
     }
   });
 
@@ -95,18 +552,600 @@ program
   .description('Remove the suite from the project')
   .option('-p, --path <path>', 'Path to uninstall from', process.cwd())
   .option('--keep-settings', 'Keep settings.json modifications')
+  .option('--scope <scope>', 'Settings file to clean: project, local or user (default: as installed)')
   .action(async (options) => {
-    const spinner = ora('Uninstalling Danizee Claude Suite...').start();
+    const spinner = startSpinner('Uninstalling Danizee Claude Suite...');
 
     try {
       const installer = new DaniZeeSuiteInstaller(options);
-      await installer.uninstall();
+      const result = await installer.uninstall();
+
+      if (isJson()) {
+        printJson('uninstall', { result });
+        return;
+      }
 
       spinner.succeed(chalk.green('Danizee Claude Suite uninstalled.'));
+      console.log(chalk.dim('Run `rollback` to undo; delete .claude/.danizee/ once you no longer need to.'));
+
+      if (result.kept.length > 0) {
+        console.log('\n' + chalk.yellow('Kept files you modified since install:'));
+        for (const file of result.kept) {
+          console.log(`  ${file}`);
+        }
+      }
+    } catch (error) {
+      fail('uninstall', spinner, 'Uninstall failed', error);
+    }
+  });
+
+const plugin = program
+  .command('plugin')
+  .description('Manage suite plugins');
+
+plugin
+  .command('list')
+  .description('List available plugins and whether they are enabled')
+  .option('-p, --path <path>', 'Project path', process.cwd())
+  .action(async (options) => {
+    try {
+      const installer = new DaniZeeSuiteInstaller(options);
+      const plugins = await installer.listPlugins();
+
+      if (isJson()) {
+        printJson('plugin list', { result: plugins });
+        return;
+      }
+
+      console.log(chalk.bold('\nDanizee Claude Suite Plugins\n'));
+      for (const entry of plugins) {
+        const state = entry.enabled
+          ? (entry.installed ? chalk.green('enabled') : chalk.yellow('enabled, not installed'))
+          : chalk.dim('disabled');
+        console.log(`  ${entry.name.padEnd(24)} ${state} ${chalk.dim(`(${entry.source})`)}`);
+      }
+    } catch (error) {
+      fail('plugin list', null, 'Could not list plugins', error);
+    }
+  });
+
+for (const [command, enabled] of [['enable', true], ['disable', false]]) {
+  plugin
+    .command(`${command} <name>`)
+    .description(`${enabled ? 'Install' : 'Remove'} a plugin's files and settings`)
+    .option('-p, --path <path>', 'Project path', process.cwd())
+    .option('--on-modified <action>', `How to handle locally modified files (${MODIFIED_ACTIONS.join('|')})`)
+    .action(async (name, options) => {
+      const spinner = startSpinner(`${enabled ? 'Enabling' : 'Disabling'} ${name}...`);
+
+      try {
+        if (options.onModified && !MODIFIED_ACTIONS.includes(options.onModified)) {
+          throw createError('INVALID_OPTION', `Unknown --on-modified action "${options.onModified}". Use one of: ${MODIFIED_ACTIONS.join(', ')}`);
+        }
+
+        const installer = new DaniZeeSuiteInstaller({ ...options, force: true, update: true });
+        const result = await installer.setPluginEnabled(name, enabled);
+
+        if (isJson()) {
+          printJson(`plugin ${command}`, { result });
+          return;
+        }
+
+        spinner.succeed(chalk.green(`Plugin ${name} ${enabled ? 'enabled' : 'disabled'}.`));
+      } catch (error) {
+        fail(`plugin ${command}`, spinner, `Could not ${command} ${name}`, error);
+      }
+    });
+}
+
+const solution = program
+  .command('solution')
+  .alias('solutions')
+  .description('Write and check solution docs in docs/solutions');
+
+/**
+ * Split a comma-separated option into a list
+ */
+function parseList(value) {
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+solution
+  .command('new <category> <title>')
+  .description(`Write a solution doc from the category template (${SOLUTION_CATEGORIES.join(', ')})`)
+  .option('-p, --path <path>', 'Project path', process.cwd())
+  .option('--tags <tags>', 'Comma-separated tags', parseList)
+  .option('--files <files>', 'Comma-separated files touched', parseList)
+  .option('--memory-key <key>', 'Related claude-flow memory key (default: project/<category>/<slug>)')
+  .option('--problem <text>', 'One-line problem statement')
+  .option('--outcome <text>', 'One-line outcome')
+  .option('--date <date>', 'Date as YYYY-MM-DD (default: today)')
+  .option('--dry-run', 'Print the doc instead of writing it')
+  .option('-f, --force', 'Replace an existing doc with the same id')
+  .action(async (category, title, options) => {
+    try {
+      const result = await createSolution(path.resolve(options.path), { ...options, category, title }, options);
+      const file = path.relative(path.resolve(options.path), result.file);
+
+      if (isJson()) {
+        printJson('solution new', { result: { ...result, file } });
+        return;
+      }
+
+      if (options.dryRun) {
+        console.log(chalk.bold(`\nDry run: would write ${file}\n`));
+        console.log(result.content);
+        return;
+      }
+
+      console.log(chalk.green(`✓ Created ${file}`));
+      console.log(chalk.dim(`  Memory key: ${result.frontMatter.memory_key}`));
+    } catch (error) {
+      fail('solution new', null, 'Could not create the solution doc', error);
+    }
+  });
+
+solution
+  .command('lint [files...]')
+  .description('Check solution docs for missing sections, broken links and misfiled docs')
+  .option('-p, --path <path>', 'Project path', process.cwd())
+  .option('--fix', 'Fix what can be fixed without losing content')
+  .option('--staged', 'Only lint docs staged in git, for a pre-commit hook')
+  .option('--max-warnings <count>', 'Fail when there are more warnings than this')
+  .action(async (files, options) => {
+    try {
+      const maxWarnings = options.maxWarnings === undefined ? undefined : Number(options.maxWarnings);
+      if (maxWarnings !== undefined && (!Number.isInteger(maxWarnings) || maxWarnings < 0)) {
+        throw createError('INVALID_OPTION', `--max-warnings must be a whole number of at least 0, got "${options.maxWarnings}"`);
+      }
+      // Fixes land in the working tree, not in what is about to be committed
+      if (options.staged && options.fix) {
+        throw createError('INVALID_OPTION', '--fix can\'t be used with --staged: run `solutions lint --fix`, then stage the fixed docs');
+      }
+
+      const targetDir = path.resolve(options.path);
+      const selected = options.staged ? await listStagedFiles(targetDir) : files.length > 0 ? files : undefined;
+      const report = await lintSolutions(targetDir, { files: selected, fix: options.fix });
+      const failed = report.errorCount > 0 ||
+        (maxWarnings !== undefined && report.warningCount > maxWarnings);
+      const exitCode = failed ? EXIT_CODES.error : EXIT_CODES.success;
+
+      if (isJson()) {
+        printJson('solution lint', { result: report }, exitCode);
+        return;
+      }
+
+      for (const file of report.fixed) {
+        console.log(`${chalk.green('✓')} Fixed ${file}`);
+      }
+
+      for (const { file, issues } of report.results) {
+        console.log(`\n${chalk.underline(file)}`);
+        for (const issue of issues) {
+          const severity = issue.severity === 'error' ? chalk.red('error  ') : chalk.yellow('warning');
+          console.log(`  ${String(issue.line || '-').padStart(4)}  ${severity}  ${issue.message}  ${chalk.dim(issue.rule)}`);
+        }
+      }
+
+      const total = report.errorCount + report.warningCount;
+      if (total === 0) {
+        console.log(chalk.green(`${report.fixed.length > 0 ? '\n' : ''}✓ Solution docs look good`));
+      } else {
+        const summary = `${total} problem${total === 1 ? '' : 's'} (${report.errorCount} error${report.errorCount === 1 ? '' : 's'}, ${report.warningCount} warning${report.warningCount === 1 ? '' : 's'})`;
+        console.log((report.errorCount > 0 ? chalk.red : chalk.yellow)(`\n✗ ${summary}`));
+        if (report.fixableCount > 0) {
+          console.log(chalk.dim(`  ${report.fixableCount} fixable with --fix`));
+        }
+      }
+
+      process.exitCode = exitCode;
+    } catch (error) {
+      fail('solution lint', null, 'Lint failed', error);
+    }
+  });
+
+const memory = program
+  .command('memory')
+  .description('Keep docs/solutions and claude-flow memory in step');
+
+memory
+  .command('sync')
+  .description('Push new or changed docs to memory and pull memory entries that have no doc')
+  .option('-p, --path <path>', 'Project path', process.cwd())
+  .option('--adapter <name>', `Memory adapter: ${BUILT_IN_ADAPTERS.join(', ')} or a path to an adapter module`)
+  .option('--memory-file <file>', 'File for the json adapter (default: .claude/danizee-memory.json)')
+  .option('--prefer <side>', 'Settle diverged entries in favour of docs or memory')
+  .option('--dry-run', 'Report what would change without writing either side')
+  .action(async (options) => {
+    const spinner = startSpinner('Syncing solution docs with memory...');
+
+    try {
+      if (options.prefer && !['docs', 'memory'].includes(options.prefer)) {
+        throw createError('INVALID_OPTION', `--prefer must be docs or memory, got "${options.prefer}"`);
+      }
+
+      const targetDir = path.resolve(options.path);
+      const adapter = await loadMemoryAdapter(targetDir, options.adapter, options.memoryFile ? { file: options.memoryFile } : {});
+      const result = await syncMemory(targetDir, adapter, options);
+      const exitCode = result.diverged.length > 0 ? EXIT_CODES.conflicts : EXIT_CODES.success;
+      spinner.stop();
+
+      if (isJson()) {
+        printJson('memory sync', { result }, exitCode);
+        return;
+      }
+
+      console.log(chalk.bold(`\n${options.dryRun ? 'Dry run: ' : ''}Memory sync with ${result.adapter}\n`));
+      for (const entry of result.pushed) {
+        console.log(`  ${chalk.green('↑')} ${entry.key} ${chalk.dim(`from ${entry.file}`)}`);
+      }
+      for (const entry of result.pulled) {
+        console.log(`  ${chalk.cyan('↓')} ${entry.key} ${chalk.dim(`to ${entry.file}`)}`);
+      }
+      for (const entry of result.diverged) {
+        console.log(`  ${chalk.red('≠')} ${entry.key} ${chalk.dim(`(${entry.file}): ${entry.reason}`)}`);
+      }
+      for (const key of result.unmapped) {
+        console.log(`  ${chalk.yellow('?')} ${key} ${chalk.dim('is not under project/<category>/, skipped')}`);
+      }
+
+      console.log(`\n  ${result.pushed.length} pushed, ${result.pulled.length} pulled, ${result.diverged.length} diverged, ${result.unchanged} in sync`);
+      if (result.diverged.length > 0) {
+        console.log(chalk.dim('  Settle diverged entries with --prefer docs or --prefer memory'));
+      }
+
+      process.exitCode = exitCode;
+    } catch (error) {
+      fail('memory sync', spinner, 'Memory sync failed', error);
+    }
+  });
+
+program
+  .command('search <query...>')
+  .description('Search docs/solutions offline, ranked by relevance')
+  .option('-p, --path <path>', 'Project path', process.cwd())
+  .option('-c, --category <category>', 'Only search one solution category')
+  .option('--since <date>', 'Only docs dated on or after YYYY-MM-DD')
+  .option('--until <date>', 'Only docs dated on or before YYYY-MM-DD')
+  .option('-n, --limit <count>', 'Maximum number of results', '10')
+  .action(async (words, options) => {
+    const query = words.join(' ');
+
+    try {
+      const limit = Number(options.limit);
+      if (!Number.isInteger(limit) || limit < 1) {
+        throw createError('INVALID_OPTION', `--limit must be a whole number of at least 1, got "${options.limit}"`);
+      }
+      for (const option of ['since', 'until'].filter(option => options[option] !== undefined)) {
+        if (!isValidDate(options[option])) {
+          throw createError('INVALID_OPTION', `--${option} must be a YYYY-MM-DD date, got "${options[option]}"`);
+        }
+      }
+      if (options.since && options.until && options.since > options.until) {
+        throw createError('INVALID_OPTION', `--since ${options.since} is after --until ${options.until}`);
+      }
+
+      const targetDir = path.resolve(options.path);
+      const category = options.category && resolveCategory(options.category, Object.keys(await loadCategories(targetDir)));
+      const results = await searchSolutions(targetDir, query, { ...options, limit, category });
+
+      if (isJson()) {
+        printJson('search', { result: results });
+        return;
+      }
+
+      if (results.length === 0) {
+        console.log(chalk.yellow(`No solutions found for "${query}"`));
+        return;
+      }
+
+      console.log(chalk.bold(`\n${results.length} solution${results.length === 1 ? '' : 's'} for "${query}"\n`));
+      results.forEach((result, index) => {
+        const details = [result.category, result.date].filter(Boolean).join(', ');
+        console.log(`  ${index + 1}. ${chalk.bold(result.title)}${details ? chalk.dim(` (${details})`) : ''}`);
+        console.log(chalk.cyan(`     ${result.file}`));
+        if (result.snippet) {
+          console.log(`     ${result.snippet}`);
+        }
+      });
+    } catch (error) {
+      fail('search', null, 'Search failed', error);
+    }
+  });
+
+const run = program
+  .command('run')
+  .description(`Record workflow runs and their checkpoints in .claude/${RUNS_DIR}/`);
+
+/**
+ * One line summary of where a run is
+ */
+function describeRun(entry) {
+  const total = entry.checkpoints.length;
+  const reached = entry.checkpoint === null ? 'not started' : `checkpoint ${entry.checkpoint}/${total - 1} ${entry.checkpoints[entry.checkpoint].name}`;
+  const color = { active: chalk.cyan, stopped: chalk.yellow, completed: chalk.green }[entry.status] || chalk.white;
+
+  return `${color(entry.status.padEnd(9))} ${chalk.bold(entry.id)}\n            ${entry.name} on "${entry.target}", ${total > 0 ? reached : 'no checkpoints'} ${chalk.dim(`(updated ${entry.updatedAt})`)}`;
+}
+
+/**
+ * Print a run's checkpoints with what was decided at each
+ */
+function printTimeline(entry) {
+  console.log(chalk.bold(`\n${entry.name} on "${entry.target}"`));
+  console.log(chalk.dim(`Run ${entry.id}, ${entry.status}, started ${entry.startedAt}\n`));
+
+  for (const event of entry.events) {
+    if (event.type === 'checkpoint') {
+      const mark = { continue: chalk.green('✓'), feedback: chalk.yellow('↺'), stop: chalk.red('■') }[event.decision];
+      console.log(`  ${mark} ${event.checkpoint} ${event.name} ${chalk.dim(`${event.decision}, ${event.at}`)}`);
+      if (event.feedback) {
+        console.log(chalk.dim(`      "${event.feedback}"`));
+      }
+    } else {
+      console.log(chalk.dim(`  · ${event.type} ${event.at}`));
+    }
+  }
+
+  const next = getNextCheckpoint(entry);
+  if (entry.status !== 'completed' && next) {
+    console.log(`\n  Next: checkpoint ${next.index} ${chalk.bold(next.name)} ${chalk.dim(`(${next.review})`)}`);
+  }
+}
+
+run
+  .command('start <workflow> <target...>')
+  .description('Start a run of a workflow, e.g. `run start full-cycle OAuth2 login`')
+  .option('-p, --path <path>', 'Project path', process.cwd())
+  .action(async (workflow, words, options) => {
+    try {
+      const result = await startRun(path.resolve(options.path), workflow, words.join(' '));
+
+      if (isJson()) {
+        printJson('run start', { result });
+        return;
+      }
+
+      console.log(chalk.green(`✓ Started ${result.id}`));
+      const next = getNextCheckpoint(result);
+      if (next) {
+        console.log(chalk.dim(`  First checkpoint: ${next.index} ${next.name} (${next.review})`));
+      }
+    } catch (error) {
+      fail('run start', null, 'Could not start the run', error);
+    }
+  });
+
+run
+  .command('checkpoint <checkpoint>')
+  .description('Record reaching a checkpoint, by number or name, and the decision taken there')
+  .option('-p, --path <path>', 'Project path', process.cwd())
+  .option('--run <id>', 'Run to update (default: the most recent unfinished run)')
+  .option('-d, --decision <decision>', `What the user decided: ${RUN_DECISIONS.join(', ')}`, 'continue')
+  .option('--feedback <text>', 'What the user said at the checkpoint')
+  .option('-f, --force', 'Record a checkpoint other than the next one')
+  .action(async (checkpoint, options) => {
+    try {
+      const result = await recordCheckpoint(path.resolve(options.path), checkpoint, options);
+
+      if (isJson()) {
+        printJson('run checkpoint', { result });
+        return;
+      }
+
+      const event = result.events.filter(entry => entry.type === 'checkpoint').pop();
+      console.log(chalk.green(`✓ ${result.id}: checkpoint ${event.checkpoint} ${event.name}, ${event.decision}`));
+
+      const next = getNextCheckpoint(result);
+      if (result.status === 'completed') {
+        console.log(chalk.dim('  Run completed'));
+      } else if (next) {
+        console.log(chalk.dim(`  Next: checkpoint ${next.index} ${next.name} (${next.review})`));
+      }
+    } catch (error) {
+      fail('run checkpoint', null, 'Could not record the checkpoint', error);
+    }
+  });
+
+run
+  .command('status [id]')
+  .description('List unfinished runs, or show the timeline of one run')
+  .option('-p, --path <path>', 'Project path', process.cwd())
+  .option('-a, --all', 'Include completed runs')
+  .action(async (id, options) => {
+    try {
+      const targetDir = path.resolve(options.path);
+
+      if (id) {
+        const result = await findRun(targetDir, id);
+        if (isJson()) {
+          printJson('run status', { result });
+          return;
+        }
+        printTimeline(result);
+        return;
+      }
+
+      const result = (await listRuns(targetDir)).filter(entry => options.all || entry.status !== 'completed');
+      if (isJson()) {
+        printJson('run status', { result });
+        return;
+      }
+
+      if (result.length === 0) {
+        console.log(chalk.dim(options.all ? 'No runs recorded' : 'No unfinished runs'));
+        return;
+      }
+
+      for (const entry of result) {
+        console.log(`  ${describeRun(entry)}`);
+      }
+    } catch (error) {
+      fail('run status', null, 'Could not read the run journal', error);
+    }
+  });
+
+run
+  .command('resume [id]')
+  .description('Pick up a run where it stopped (default: the most recent unfinished run)')
+  .option('-p, --path <path>', 'Project path', process.cwd())
+  .action(async (id, options) => {
+    try {
+      const result = await resumeRun(path.resolve(options.path), id);
+
+      if (isJson()) {
+        printJson('run resume', { result });
+        return;
+      }
+
+      printTimeline(result.run);
+      if (result.feedback) {
+        console.log(`\n  Act on this feedback first: ${chalk.yellow(`"${result.feedback}"`)}`);
+      }
+    } catch (error) {
+      fail('run resume', null, 'Could not resume the run', error);
+    }
+  });
+
+const worktree = program
+  .command('worktree')
+  .description('Create, list and prune git worktrees for feature work');
+
+/**
+ * One line summary of a worktree and what it is linked to
+ */
+function describeWorktree(entry) {
+  const links = [
+    entry.run && `run ${entry.run.id} (${entry.run.status})`,
+    entry.plan && `plan ${entry.plan}`
+  ].filter(Boolean);
+
+  return `${chalk.bold(entry.branch || chalk.dim('(detached)'))} ${chalk.dim(entry.path)}${entry.missing ? chalk.red(' missing') : ''}${entry.locked ? chalk.yellow(' locked') : ''}\n` +
+    `    ${links.length > 0 ? links.join(', ') : chalk.dim('no linked run or plan')}${entry.managed ? '' : chalk.dim(', not created by the suite')}`;
+}
+
+worktree
+  .command('create <feature...>')
+  .description('Create a worktree and branch for a feature, e.g. `worktree create OAuth2 Google`')
+  .option('-p, --path <path>', 'Project path', process.cwd())
+  .option('--prefix <prefix>', 'Branch prefix', DEFAULT_BRANCH_PREFIX)
+  .option('-b, --base <ref>', 'Branch or commit to start from (default: HEAD of the main checkout)')
+  .option('--dir <dir>', 'Worktree directory (default: ../<repo>-<feature>)')
+  .option('--run <id>', 'Run journal entry the worktree is for')
+  .option('--plan <file>', 'Plan the worktree implements')
+  .action(async (words, options) => {
+    const spinner = startSpinner('Creating worktree...');
+
+    try {
+      const result = await createWorktree(path.resolve(options.path), words.join(' '), options);
+
+      if (isJson()) {
+        printJson('worktree create', { result });
+        return;
+      }
+
+      spinner.succeed(chalk.green(`Created ${result.branch} in ${result.path}`));
+      console.log(chalk.dim(`  ${result.copied.length} .claude/ files copied`));
+      console.log(chalk.dim(`  cd ${path.relative(process.cwd(), result.path) || '.'}`));
+    } catch (error) {
+      fail('worktree create', spinner, 'Could not create the worktree', error);
+    }
+  });
+
+worktree
+  .command('list')
+  .description('List feature worktrees with the run or plan each is for')
+  .option('-p, --path <path>', 'Project path', process.cwd())
+  .action(async (options) => {
+    try {
+      const result = await listWorktrees(path.resolve(options.path));
+
+      if (isJson()) {
+        printJson('worktree list', { result });
+        return;
+      }
+
+      if (result.length === 0) {
+        console.log(chalk.dim('No worktrees besides the main checkout'));
+        return;
+      }
+
+      for (const entry of result) {
+        console.log(`  ${describeWorktree(entry)}`);
+      }
+    } catch (error) {
+      fail('worktree list', null, 'Could not list worktrees', error);
+    }
+  });
+
+worktree
+  .command('prune')
+  .description('Remove worktrees that are merged, or abandoned, leaving any with uncommitted changes')
+  .option('-p, --path <path>', 'Project path', process.cwd())
+  .option('-b, --base <branch>', 'Branch merged worktrees were merged into (default: the main checkout\'s branch)')
+  .option('--days <days>', 'Days without activity before a worktree counts as abandoned', String(DEFAULT_ABANDONED_DAYS))
+  .option('--dry-run', 'Show what would be removed without removing it')
+  .action(async (options) => {
+    const spinner = startSpinner('Pruning worktrees...');
+
+    try {
+      const days = Number(options.days);
+      if (!Number.isInteger(days) || days < 0) {
+        throw createError('INVALID_OPTION', `--days must be a whole number of days, got "${options.days}"`);
+      }
+
+      const result = await pruneWorktrees(path.resolve(options.path), { base: options.base, days, dryRun: options.dryRun });
+      const exitCode = result.failed.length > 0 ? EXIT_CODES.error : EXIT_CODES.success;
+
+      if (isJson()) {
+        printJson('worktree prune', { result }, exitCode);
+        return;
+      }
+
+      const verb = options.dryRun ? 'Would remove' : 'Removed';
+      const summary = `${verb} ${result.removed.length} worktree${result.removed.length === 1 ? '' : 's'}`;
+      if (result.failed.length > 0) {
+        spinner.warn(chalk.yellow(`${summary}, ${result.failed.length} failed`));
+      } else {
+        spinner.succeed(chalk.green(summary));
+      }
+
+      for (const entry of result.removed) {
+        console.log(`  ${chalk.red('-')} ${entry.branch || entry.path} ${chalk.dim(`${entry.reason}${entry.branchDeleted ? ', branch deleted' : ', branch kept'}`)}`);
+      }
+      for (const entry of result.kept) {
+        console.log(`  ${chalk.dim('·')} ${entry.branch || entry.path} ${chalk.dim(`kept, ${entry.reason}`)}`);
+      }
+      for (const entry of result.failed) {
+        console.log(`  ${chalk.red('✗')} ${entry.branch || entry.path} ${chalk.red(entry.reason)}`);
+      }
+
+      process.exitCode = exitCode;
+    } catch (error) {
+      fail('worktree prune', spinner, 'Prune failed', error);
+    }
+  });
+
+program
+  .command('rollback')
+  .description('Restore the state from before the last init, update or uninstall')
+  .option('-p, --path <path>', 'Path to roll back', process.cwd())
+  .action(async (options) => {
+    const spinner = startSpinner('Rolling back last operation...');
+
+    try {
+      const installer = new DaniZeeSuiteInstaller(options);
+      const result = await installer.rollback();
+
+      if (isJson()) {
+        printJson('rollback', { result });
+        return;
+      }
+
+      spinner.succeed(chalk.green(`Rolled back ${result.operation} from ${result.createdAt}`));
+      console.log(chalk.dim(`  ${result.restored.length} files restored`));
     } catch (error) {
-      spinner.fail(chalk.red('Uninstall failed'));
-      console.error(chalk.red(error.message));
-      process.exit(1);
+      fail('rollback', spinner, 'Rollback failed', error);
     }
   });
 
@@ -6,11 +6,63 @@
 import fs from 'fs/promises';
 import path from 'path';
 import { runConflictChecks } from './utils/conflicts.js';
-import { mergeSettings, removeSettings, readSettings } from './utils/settings.js';
-import { writeWorkflowShortcuts, shortcutsExist } from './utils/shortcuts.js';
-import * as claudeFlow from './plugins/claude-flow.js';
-import * as compoundEngineering from './plugins/compound-engineering.js';
-import * as frontendDesign from './plugins/frontend-design.js';
+import {
+  mergeSettings,
+  removeSettings,
+  readSettings,
+  readEffectiveSettings,
+  getSettingsPath,
+  getOwnedSettings,
+  getPreviousOwnedSettings,
+  getOriginalSettingsPath,
+  diffSettings,
+  validateSettingsFile,
+  SUITE_VERSION
+} from './utils/settings.js';
+import { writeWorkflowShortcuts, shortcutsExist, generateQuickStart, generateWorkflowCommand } from './utils/shortcuts.js';
+import { WORKFLOW_COMMANDS_DIR, loadWorkflows, getWorkflowCommandFile, getMemoryNamespaces } from './utils/workflows.js';
+import { RUN_COMMAND, generateRunCommand } from './utils/runs.js';
+import { SOLUTIONS_DIR, SOLUTION_CATEGORIES } from './utils/solutions.js';
+import { CHECKOUT_STATE } from './utils/worktrees.js';
+import {
+  createManifest,
+  getManifestPath,
+  readManifest,
+  writeManifest,
+  removeManifest,
+  recordFile,
+  listFiles,
+  verifyFiles
+} from './utils/manifest.js';
+import { FileWriter, getBaseDir } from './utils/writer.js';
+import { Transaction, rollbackLast } from './utils/transaction.js';
+import { unifiedDiff } from './utils/diff.js';
+import { loadPlugins, getSettingsFor } from './utils/registry.js';
+import { runMigrations, getPendingMigrations, getInstalledVersion, compareVersions } from './utils/migrations.js';
+import { MIGRATIONS } from './migrations/index.js';
+import { diagnose, applyFixes } from './utils/doctor.js';
+import { createError } from './utils/errors.js';
+import {
+  RESOLUTIONS_FILE,
+  getConflictId,
+  getResolutionChoices,
+  isValidResolution,
+  readResolutions,
+  formatResolutions,
+  applyResolution
+} from './utils/resolutions.js';
+
+/**
+ * Parse a comma-separated plugin list from the CLI
+ */
+function parsePluginList(value) {
+  if (!value) {
+    return null;
+  }
+
+  const names = Array.isArray(value) ? value : value.split(',');
+  return names.map(name => name.trim()).filter(Boolean);
+}
 
 /**
  * DaniZee Suite Installer
@@ -22,25 +74,314 @@ export class DaniZeeSuiteInstaller {
     this.force = options.force || false;
     this.dryRun = options.dryRun || false;
     this.keepSettings = options.keepSettings || false;
+    this.update = options.update || false;
+    this.onModified = options.onModified || (this.update ? 'keep' : 'overwrite');
+    this.resolveModified = options.resolveModified || null;
+    this.plugins = options.registry || null;
+    this.migrations = options.migrations || MIGRATIONS;
+    this.selected = parsePluginList(options.plugins);
+    this.scope = options.scope || null;
+    this.resolveConflict = options.resolveConflict || null;
+    this.saveResolutions = options.saveResolutions || false;
+    this.resolutions = [];
+    this.skipped = new Set();
+  }
+
+  /**
+   * Get the settings scope the suite writes to
+   *
+   * Defaults to the scope recorded in the manifest, so update and uninstall
+   * follow wherever init put the settings.
+   */
+  async getScope() {
+    if (!this.scope) {
+      const manifest = await readManifest(this.claudeDir);
+      this.scope = manifest?.settings?.scope || 'project';
+    }
+
+    // Throws on an unknown scope
+    getSettingsPath(this.claudeDir, this.scope);
+
+    return this.scope;
+  }
+
+  /**
+   * Get the settings file the suite writes to
+   */
+  async getSettingsFile() {
+    return getSettingsPath(this.claudeDir, await this.getScope());
+  }
+
+  /**
+   * Load plugins from the registry once per installer
+   */
+  async getPlugins() {
+    if (!this.plugins) {
+      this.plugins = await loadPlugins(this.targetDir);
+    }
+
+    return this.plugins;
+  }
+
+  /**
+   * Work out which plugins are enabled
+   *
+   * An explicit selection (`--plugins`) wins. Otherwise the
+   * `danizee-suite.plugins` map in settings is used, and plugins it doesn't
+   * mention yet are enabled.
+   */
+  async getPluginState() {
+    const names = (await this.getPlugins()).map(plugin => plugin.name);
+
+    if (this.selected) {
+      const unknown = this.selected.filter(name => !names.includes(name));
+      if (unknown.length > 0) {
+        throw createError('UNKNOWN_PLUGIN', `Unknown plugin "${unknown[0]}". Available plugins: ${names.join(', ')}`);
+      }
+
+      return Object.fromEntries(names.map(name => [name, this.selected.includes(name) && !this.skipped.has(name)]));
+    }
+
+    const settings = await readSettings(this.claudeDir, await this.getScope());
+    const current = settings['danizee-suite']?.plugins || {};
+
+    return Object.fromEntries(names.map(name => [name, current[name] !== false && !this.skipped.has(name)]));
+  }
+
+  /**
+   * Get the plugins that should be installed
+   */
+  async getEnabledPlugins() {
+    const state = await this.getPluginState();
+    return (await this.getPlugins()).filter(plugin => state[plugin.name]);
+  }
+
+  /**
+   * Get the names of the plugins that are switched off
+   */
+  async getDisabledPluginNames() {
+    const state = await this.getPluginState();
+    return Object.keys(state).filter(name => !state[name]);
+  }
+
+  /**
+   * Load built-in and project workflows once per installer
+   *
+   * Throws (code INVALID_WORKFLOWS) when the project's workflows file is
+   * invalid.
+   */
+  async getWorkflows() {
+    if (!this.workflows) {
+      this.workflows = await loadWorkflows(this.claudeDir);
+    }
+
+    return this.workflows;
+  }
+
+  /**
+   * Settings for a plugin, with the project workflows' memory namespaces
+   * added to claude-flow's
+   */
+  async getPluginSettingsFor(plugin) {
+    const settings = getSettingsFor(plugin);
+
+    if (plugin.name === 'claude-flow' && settings?.memory) {
+      const namespaces = getMemoryNamespaces((await this.getWorkflows()).filter(workflow => workflow.project));
+      settings.memory.namespaces = [...new Set([...(settings.memory.namespaces || []), ...namespaces])];
+    }
+
+    return settings;
+  }
+
+  /**
+   * The command files the suite writes to commands/danizee/: one per
+   * workflow and the run journal command
+   */
+  async getWorkflowCommands() {
+    const workflows = await this.getWorkflows();
+    const disabled = await this.getDisabledPluginNames();
+
+    return [
+      ...workflows.map(workflow => ({
+        file: getWorkflowCommandFile(this.claudeDir, workflow),
+        content: generateWorkflowCommand(workflow, disabled)
+      })),
+      {
+        file: path.join(this.claudeDir, WORKFLOW_COMMANDS_DIR, `${RUN_COMMAND}.md`),
+        content: generateRunCommand(workflows)
+      }
+    ];
+  }
+
+  /**
+   * List the command files enabled plugins and workflows install,
+   * for collision checks
+   */
+  async getSuiteCommands() {
+    const commands = [];
+
+    for (const command of await this.getWorkflowCommands()) {
+      commands.push({ ...command, plugin: 'workflows' });
+    }
+
+    for (const plugin of await this.getEnabledPlugins()) {
+      const templates = plugin.module.getCommands?.() || {};
+      for (const file of plugin.module.getCommandFiles?.(this.claudeDir) || []) {
+        const content = templates[path.basename(file, '.md')]?.content;
+        commands.push({ file, plugin: plugin.name, content });
+      }
+    }
+
+    return commands;
   }
 
   /**
    * Run the installation
    */
   async install() {
+    // Refuse invalid project workflows before touching anything
+    await this.getWorkflows();
+
     // Check for conflicts
     const conflictCheck = await runConflictChecks(this.claudeDir, {
-      force: this.force
+      force: this.force,
+      scope: await this.getScope(),
+      suiteCommands: await this.getSuiteCommands()
     });
 
-    if (conflictCheck.hasConflicts && !this.force) {
-      const errors = conflictCheck.conflicts.map(c => c.message).join('\n');
-      throw new Error(`Installation conflicts detected:\n${errors}`);
+    if (conflictCheck.conflicts.length > 0 && !this.force) {
+      await this.resolveConflicts(conflictCheck.conflicts);
+    }
+
+    return this.transact(this.update ? 'update' : 'install', () => this.applyInstall());
+  }
+
+  /**
+   * Decide how to handle each conflict
+   *
+   * Resolutions saved in .claude/danizee-resolutions.json are used first,
+   * then `resolveConflict(conflict, choices)` is asked about the rest.
+   * Unresolved errors stop the install; unresolved warnings are let through.
+   * File changes are made later, inside the transaction, by
+   * applyResolutions().
+   */
+  async resolveConflicts(conflicts) {
+    const saved = await readResolutions(this.claudeDir);
+    const context = { claudeDir: this.claudeDir, plugins: await this.getPlugins() };
+    const unresolved = [];
+    let asked = false;
+
+    for (const conflict of conflicts) {
+      const id = getConflictId(conflict);
+      let resolution = saved[id];
+
+      if (!isValidResolution(conflict, resolution, context) && this.resolveConflict) {
+        resolution = await this.resolveConflict(conflict, getResolutionChoices(conflict, context));
+        asked = true;
+      }
+
+      if (!isValidResolution(conflict, resolution, context)) {
+        if (conflict.severity === 'error') {
+          unresolved.push(conflict);
+        }
+        continue;
+      }
+
+      if (resolution.action === 'abort') {
+        throw createError('ABORTED', 'Installation aborted');
+      }
+      if (resolution.action === 'update') {
+        this.update = true;
+        this.onModified = 'keep';
+      }
+      if (resolution.action === 'skip') {
+        this.skipped.add(resolution.plugin);
+      }
+
+      this.resolutions.push({ id, conflict, resolution });
+    }
+
+    if (unresolved.length > 0) {
+      const errors = unresolved.map(c => c.message).join('\n');
+      throw createError('CONFLICTS', `Installation conflicts detected:\n${errors}`, {
+        conflicts: unresolved
+      });
+    }
+
+    // Only choices made just now are worth saving
+    if (asked && typeof this.saveResolutions === 'function') {
+      this.saveResolutions = await this.saveResolutions(this.resolutions);
+    }
+    this.savedResolutions = asked && this.saveResolutions ? saved : null;
+  }
+
+  /**
+   * Make the file changes the chosen resolutions call for
+   */
+  async applyResolutions() {
+    const context = { claudeDir: this.claudeDir, writer: this.writer };
+
+    for (const { conflict, resolution } of this.resolutions) {
+      await applyResolution(conflict, resolution, context);
     }
 
+    if (this.savedResolutions) {
+      const resolutions = { ...this.savedResolutions };
+      for (const { id, resolution } of this.resolutions) {
+        resolutions[id] = resolution;
+      }
+      await this.writer.put(path.join(this.claudeDir, RESOLUTIONS_FILE), formatResolutions(resolutions));
+    }
+  }
+
+  /**
+   * Run an operation, restoring every touched file if any step throws
+   */
+  async transact(operation, apply) {
     if (this.dryRun) {
-      return this.dryRunReport();
+      return apply();
+    }
+
+    this.transaction = new Transaction(this.targetDir, this.claudeDir, operation);
+
+    try {
+      const result = await apply();
+      await this.transaction.commit();
+      return result;
+    } catch (error) {
+      await this.transaction.rollback();
+      throw error;
     }
+  }
+
+  /**
+   * Write plugins, settings, shortcuts and helpers
+   */
+  async applyInstall() {
+    // Capture state before anything is written
+    const previousManifest = await readManifest(this.claudeDir);
+
+    this.writer = new FileWriter({
+      targetDir: this.targetDir,
+      claudeDir: this.claudeDir,
+      manifest: previousManifest,
+      onModified: this.onModified,
+      resolveModified: this.resolveModified,
+      dryRun: this.dryRun,
+      transaction: this.transaction
+    });
+
+    // Conflict resolutions may edit settings, so they go first
+    await this.applyResolutions();
+    const existingSettings = await readSettings(this.claudeDir, await this.getScope());
+
+    // Bring older installs up to date before merging
+    const migration = await runMigrations(structuredClone(existingSettings), {
+      claudeDir: this.claudeDir,
+      targetDir: this.targetDir,
+      plugins: await this.getPlugins(),
+      writer: this.writer
+    }, this.migrations);
 
     // Create .claude directory structure
     await this.createDirectoryStructure();
@@ -48,39 +389,138 @@ export class DaniZeeSuiteInstaller {
     // Install plugins
     const results = await this.installPlugins();
 
+    // Workflow commands, the run journal and project workflows' docs folders
+    await this.installWorkflows();
+
     // Merge settings
-    await mergeSettings(this.claudeDir, {
-      force: this.force,
-      targetDir: this.targetDir
+    const enabled = await this.getEnabledPlugins();
+    const pluginSettings = {};
+    for (const plugin of enabled) {
+      pluginSettings[plugin.name] = await this.getPluginSettingsFor(plugin);
+    }
+    await this.transaction?.snapshot(await this.getSettingsFile());
+    await this.transaction?.snapshot(getOriginalSettingsPath(this.claudeDir, await this.getScope()));
+    const { settings, changes } = await mergeSettings(this.claudeDir, {
+      scope: await this.getScope(),
+      targetDir: this.targetDir,
+      dryRun: this.dryRun,
+      existing: migration.settings,
+      owned: previousManifest?.settings,
+      plugins: pluginSettings,
+      disabled: await this.getDisabledPluginNames()
     });
 
     // Generate WORKFLOW-SHORTCUTS.md
-    await writeWorkflowShortcuts(this.targetDir);
+    const shortcuts = await writeWorkflowShortcuts(this.targetDir, {
+      writer: this.writer,
+      workflows: await this.getWorkflows(),
+      disabled: await this.getDisabledPluginNames()
+    });
 
     // Create helper scripts
     await this.createHelperScripts();
 
+    // Keep per-checkout state out of git
+    await this.createGitignore();
+
+    // Record everything the suite now owns
+    const manifest = await this.buildManifest(existingSettings, previousManifest);
+
+    // Drop files a previous version installed that this one no longer ships
+    await this.removeStaleFiles(previousManifest, manifest);
+
+    if (this.dryRun) {
+      return this.dryRunReport({ results, existingSettings, settings, manifest, migration });
+    }
+
+    await this.transaction.snapshot(getManifestPath(this.claudeDir));
+    await writeManifest(this.claudeDir, manifest);
+
     return {
       success: true,
       plugins: results,
-      shortcuts: path.join(this.targetDir, 'WORKFLOW-SHORTCUTS.md')
+      shortcuts,
+      files: this.writer.summary,
+      settings: changes,
+      resolutions: this.resolutions.map(({ id, resolution }) => ({ id, ...resolution })),
+      migrations: migration.applied,
+      manifest: Object.keys(manifest.files)
     };
   }
 
+  /**
+   * Build the install manifest from what the writer just wrote
+   */
+  async buildManifest(existingSettings, previousManifest) {
+    const manifest = createManifest(SUITE_VERSION);
+
+    for (const entry of this.writer.entries) {
+      await recordFile(manifest, this.targetDir, path.join(this.targetDir, entry.file), entry);
+    }
+
+    manifest.settings = getOwnedSettings(
+      existingSettings,
+      getPreviousOwnedSettings(existingSettings, previousManifest?.settings),
+      (await this.getEnabledPlugins()).map(plugin => plugin.name)
+    );
+    manifest.settings.scope = await this.getScope();
+
+    // Re-running an install that changes nothing leaves the manifest as it was
+    if (previousManifest && JSON.stringify({ ...previousManifest, updatedAt: null }) === JSON.stringify({ ...manifest, updatedAt: null })) {
+      manifest.updatedAt = previousManifest.updatedAt;
+    }
+
+    return manifest;
+  }
+
+  /**
+   * Remove pristine files owned by a previous install but not the current one
+   */
+  async removeStaleFiles(previousManifest, manifest) {
+    if (!previousManifest) {
+      return [];
+    }
+
+    const { pristine, pending } = await verifyFiles(previousManifest, this.targetDir);
+    const stale = [...pristine, ...pending].filter(file => !manifest.files[file]);
+
+    for (const file of stale) {
+      await this.writer.removeFile(path.join(this.targetDir, file));
+    }
+
+    // Tidy directories left empty, e.g. by a disabled plugin
+    for (const dir of new Set(stale.map(file => path.dirname(path.join(this.targetDir, file))))) {
+      await this.writer.removeEmptyDir(dir);
+    }
+
+    return stale;
+  }
+
+  /**
+   * Write the suite's templates through `writer`, the way install does:
+   * plugin and workflow commands and the helper scripts
+   */
+  async writeTemplates(writer) {
+    this.writer = writer;
+
+    await this.installPlugins();
+    await this.installWorkflows();
+    await this.createHelperScripts();
+    await this.createGitignore();
+  }
+
   /**
    * Create directory structure
    */
   async createDirectoryStructure() {
+    // Plugins create their own command directories
     const dirs = [
       this.claudeDir,
-      path.join(this.claudeDir, 'commands', 'workflows'),
-      path.join(this.claudeDir, 'commands', 'coordination'),
-      path.join(this.claudeDir, 'commands', 'analysis'),
       path.join(this.claudeDir, 'helpers')
     ];
 
     for (const dir of dirs) {
-      await fs.mkdir(dir, { recursive: true });
+      await this.writer.mkdir(dir);
     }
   }
 
@@ -90,25 +530,37 @@ export class DaniZeeSuiteInstaller {
   async installPlugins() {
     const results = [];
 
-    // Install Claude Flow
-    results.push(await claudeFlow.install(this.claudeDir, {
-      dryRun: this.dryRun,
-      targetDir: this.targetDir
-    }));
+    for (const plugin of await this.getEnabledPlugins()) {
+      results.push(await plugin.module.install(this.claudeDir, {
+        dryRun: this.dryRun,
+        targetDir: this.targetDir,
+        writer: this.writer.scoped(plugin.name)
+      }));
+    }
 
-    // Install Compound Engineering
-    results.push(await compoundEngineering.install(this.claudeDir, {
-      dryRun: this.dryRun,
-      targetDir: this.targetDir
-    }));
+    return results;
+  }
 
-    // Install Frontend Design
-    results.push(await frontendDesign.install(this.claudeDir, {
-      dryRun: this.dryRun,
-      targetDir: this.targetDir
-    }));
+  /**
+   * Write the docs folders of project workflows and the slash commands of
+   * every workflow, with the run journal command
+   *
+   * Built-in categories are left to the compound-engineering plugin.
+   */
+  async installWorkflows() {
+    const workflows = (await this.getWorkflows()).filter(workflow => workflow.project);
+    const folders = new Set(workflows.map(workflow => workflow.compound.docsFolder));
+
+    for (const folder of [...folders].filter(folder => !SOLUTION_CATEGORIES.includes(folder))) {
+      const docsDir = path.join(this.targetDir, SOLUTIONS_DIR, folder);
+      await this.writer.mkdir(docsDir);
+      await this.writer.writeFile(path.join(docsDir, '.gitkeep'), '', { kind: 'scaffold' });
+    }
 
-    return results;
+    for (const command of await this.getWorkflowCommands()) {
+      await this.writer.mkdir(path.dirname(command.file));
+      await this.writer.writeFile(command.file, command.content, { kind: 'command' });
+    }
   }
 
   /**
@@ -118,27 +570,12 @@ export class DaniZeeSuiteInstaller {
     const helpersDir = path.join(this.claudeDir, 'helpers');
 
     // Quick start script
-    const quickStart = `#!/bin/bash
-# Danizee Claude Suite Quick Start
-
-echo "🚀 Danizee Claude Suite Quick Start"
-echo ""
-echo "Available workflows:"
-echo "  • Full Cycle:     'Run the full cycle workflow on [feature]'"
-echo "  • Swarm Build:    'Use swarm to build [task]'"
-echo "  • TDD:            'TDD workflow for [feature]'"
-echo "  • Full TDD Swarm: 'Full TDD Swarm on [feature]'"
-echo "  • Quick Fix:      'Quick fix for [bug]'"
-echo "  • Deep Debug:     'Debug workflow for [issue]'"
-echo "  • Full Review:    'Full review of PR [number]'"
-echo ""
-echo "See WORKFLOW-SHORTCUTS.md for complete documentation."
-`;
+    const quickStart = generateQuickStart(await this.getWorkflows(), await this.getDisabledPluginNames());
 
-    await fs.writeFile(
+    await this.writer.writeFile(
       path.join(helpersDir, 'quick-start.sh'),
       quickStart,
-      { mode: 0o755 }
+      { mode: 0o755, kind: 'helper' }
     );
 
     // MCP setup script
@@ -152,29 +589,62 @@ echo ""
 echo "MCP server started. You can now use memory and swarm operations."
 `;
 
-    await fs.writeFile(
+    await this.writer.writeFile(
       path.join(helpersDir, 'setup-mcp.sh'),
       mcpSetup,
-      { mode: 0o755 }
+      { mode: 0o755, kind: 'helper' }
     );
   }
 
+  /**
+   * Keep the suite's per-checkout state in .claude/ out of git
+   */
+  async createGitignore() {
+    const content = [
+      '# Danizee Claude Suite: state of this checkout (rollback snapshot, run journals, worktrees)',
+      ...CHECKOUT_STATE.map(name => `/${name}`)
+    ].join('\n');
+
+    await this.writer.writeFile(path.join(this.claudeDir, '.gitignore'), `${content}\n`, { kind: 'gitignore' });
+  }
+
   /**
    * Check installation status
    */
   async check() {
     const status = {
       installed: false,
+      health: 'not-installed',
       claudeDir: false,
       settings: false,
       shortcuts: false,
-      plugins: {
-        claudeFlow: false,
-        compoundEngineering: false,
-        frontendDesign: false
-      }
+      manifest: false,
+      scope: null,
+      effective: { settings: {}, sources: {} },
+      version: null,
+      latestVersion: SUITE_VERSION,
+      behind: false,
+      pendingMigrations: [],
+      plugins: {},
+      files: {
+        pristine: [],
+        modified: [],
+        missing: [],
+        pending: []
+      },
+      conflicts: []
     };
 
+    // Only enabled plugins count towards the install
+    const plugins = await this.getEnabledPlugins();
+    for (const plugin of plugins) {
+      status.plugins[plugin.name] = {
+        displayName: plugin.displayName,
+        source: plugin.source,
+        installed: false
+      };
+    }
+
     // Check .claude directory
     try {
       await fs.access(this.claudeDir);
@@ -183,95 +653,305 @@ echo "MCP server started. You can now use memory and swarm operations."
       return status;
     }
 
-    // Check settings
-    const settings = await readSettings(this.claudeDir);
+    // Check settings, as Claude Code sees them across every scope
+    const effective = await readEffectiveSettings(this.claudeDir);
+    const settings = effective.settings;
     status.settings = !!settings['danizee-suite'];
+    status.scope = effective.sources['danizee-suite.version']?.at(-1) || null;
+    status.effective = effective;
+
+    // Check version
+    status.version = getInstalledVersion(settings);
+    status.pendingMigrations = getPendingMigrations(settings, this.migrations).map(migration => migration.id);
+    status.behind = !!status.version && compareVersions(status.version, SUITE_VERSION) < 0;
 
     // Check shortcuts
     status.shortcuts = await shortcutsExist(this.targetDir);
 
-    // Check plugins
-    status.plugins.claudeFlow = await claudeFlow.isInstalled(this.claudeDir);
-    status.plugins.compoundEngineering = await compoundEngineering.isInstalled(this.claudeDir);
-    status.plugins.frontendDesign = await frontendDesign.isInstalled(this.claudeDir);
+    // Check plugins, trusting the manifest over directory contents
+    const manifest = await readManifest(this.claudeDir);
+    status.manifest = !!manifest;
+
+    if (manifest) {
+      status.files = await verifyFiles(manifest, this.targetDir);
+    }
+
+    for (const plugin of plugins) {
+      status.plugins[plugin.name].installed = await this.isPluginInstalled(plugin, manifest, status.files.missing);
+    }
 
     // Overall status
     status.installed = status.claudeDir &&
       status.settings &&
       status.shortcuts &&
-      status.plugins.claudeFlow &&
-      status.plugins.compoundEngineering &&
-      status.plugins.frontendDesign;
+      Object.values(status.plugins).every(plugin => plugin.installed);
+
+    // Some but not all of the suite on disk means an interrupted or damaged install
+    const present = status.settings || status.manifest || status.shortcuts ||
+      Object.values(status.plugins).some(plugin => plugin.installed);
+    status.health = status.installed ? 'installed' : present ? 'partial' : 'not-installed';
+
+    status.conflicts = (await runConflictChecks(this.claudeDir, {
+      force: true,
+      scope: await this.getScope(),
+      suiteCommands: await this.getSuiteCommands()
+    })).conflicts;
 
     return status;
   }
 
   /**
-   * Uninstall the suite
+   * Validate the settings file against the suite's schema
    */
-  async uninstall() {
-    // Remove plugins
-    await claudeFlow.uninstall(this.claudeDir);
-    await compoundEngineering.uninstall(this.claudeDir);
-    await frontendDesign.uninstall(this.claudeDir);
+  async validate() {
+    return validateSettingsFile(this.claudeDir, await this.getScope());
+  }
 
-    // Remove settings
-    await removeSettings(this.claudeDir, this.keepSettings);
+  /**
+   * Diagnose the environment and the install
+   *
+   * With `fix`, safe fixes are applied and the checks run again, so the
+   * returned findings are what is left.
+   */
+  async doctor(options = {}) {
+    const scope = await this.getScope();
+    const context = {
+      targetDir: this.targetDir,
+      claudeDir: this.claudeDir,
+      scope,
+      manifest: await readManifest(this.claudeDir),
+      plugins: [],
+      templates: writer => new DaniZeeSuiteInstaller({
+        path: this.targetDir,
+        scope,
+        registry: this.plugins,
+        dryRun: true
+      }).writeTemplates(writer),
+      update: () => new DaniZeeSuiteInstaller({
+        path: this.targetDir,
+        scope,
+        registry: this.plugins,
+        migrations: this.migrations,
+        update: true,
+        force: true,
+        onModified: 'keep'
+      }).install()
+    };
 
-    // Remove WORKFLOW-SHORTCUTS.md
+    // Plugin state lives in settings, which may not parse
     try {
-      await fs.unlink(path.join(this.targetDir, 'WORKFLOW-SHORTCUTS.md'));
+      context.plugins = await this.getEnabledPlugins();
     } catch {
-      // File doesn't exist
+      // Reported by the settings check
     }
 
-    // Remove helpers
-    try {
-      await fs.rm(path.join(this.claudeDir, 'helpers'), { recursive: true });
-    } catch {
-      // Directory doesn't exist
+    let findings = await diagnose(context);
+    let fixed = [];
+
+    if (options.fix) {
+      fixed = await applyFixes(findings);
+      if (fixed.length > 0) {
+        context.manifest = await readManifest(this.claudeDir);
+        findings = await diagnose(context);
+      }
+    }
+
+    return { findings, fixed };
+  }
+
+  /**
+   * Check one plugin, trusting the manifest over directory contents
+   */
+  async isPluginInstalled(plugin, manifest, missing = []) {
+    const owned = listFiles(manifest, { plugin: plugin.name });
+
+    if (owned.length > 0) {
+      return owned.every(entry => !missing.includes(entry.file));
+    }
+
+    return plugin.module.isInstalled(this.claudeDir);
+  }
+
+  /**
+   * List every available plugin with its enabled and installed state
+   */
+  async listPlugins() {
+    const state = await this.getPluginState();
+    const manifest = await readManifest(this.claudeDir);
+    const { missing } = manifest ? await verifyFiles(manifest, this.targetDir) : { missing: [] };
+    const plugins = [];
+
+    for (const plugin of await this.getPlugins()) {
+      plugins.push({
+        name: plugin.name,
+        displayName: plugin.displayName,
+        source: plugin.source,
+        enabled: state[plugin.name],
+        installed: state[plugin.name] && await this.isPluginInstalled(plugin, manifest, missing)
+      });
+    }
+
+    return plugins;
+  }
+
+  /**
+   * Enable or disable a plugin, adding or removing its files and settings
+   */
+  async setPluginEnabled(name, enabled) {
+    const settings = await readSettings(this.claudeDir, await this.getScope());
+    if (!settings['danizee-suite']) {
+      throw createError('NOT_INSTALLED', 'Danizee Claude Suite is not installed. Run `init` first.');
+    }
+
+    this.selected = null;
+    const state = await this.getPluginState();
+    if (!(name in state)) {
+      throw createError('UNKNOWN_PLUGIN', `Unknown plugin "${name}". Available plugins: ${Object.keys(state).join(', ')}`);
+    }
+
+    state[name] = enabled;
+    this.selected = Object.keys(state).filter(plugin => state[plugin]);
+
+    return this.install();
+  }
+
+  /**
+   * Uninstall the suite
+   *
+   * Only files recorded in the manifest are removed. Files the user has
+   * edited since install are kept and reported back.
+   */
+  async uninstall() {
+    return this.transact('uninstall', () => this.applyUninstall());
+  }
+
+  /**
+   * Remove suite files and settings
+   */
+  async applyUninstall() {
+    const manifest = await readManifest(this.claudeDir);
+    const kept = [];
+
+    this.writer = new FileWriter({
+      targetDir: this.targetDir,
+      claudeDir: this.claudeDir,
+      transaction: this.transaction
+    });
+
+    if (manifest) {
+      const { modified } = await verifyFiles(manifest, this.targetDir);
+      kept.push(...modified);
+
+      // Scaffolding under docs/solutions holds the team's knowledge base, and
+      // .gitignore still has the rollback snapshot, runs and worktrees to hide
+      const removable = listFiles(manifest)
+        .filter(entry => !['scaffold', 'gitignore'].includes(entry.kind) && !modified.includes(entry.file));
+
+      const plugins = await this.getPlugins();
+      for (const plugin of plugins) {
+        const files = removable
+          .filter(entry => entry.plugin === plugin.name)
+          .map(entry => path.join(this.targetDir, entry.file));
+
+        for (const file of files) {
+          await this.transaction.snapshot(file);
+        }
+        await plugin.module.uninstall(this.claudeDir, { files });
+      }
+
+      // Suite files, and files of plugins that are no longer available
+      const loaded = plugins.map(plugin => plugin.name);
+      for (const entry of removable.filter(entry => !loaded.includes(entry.plugin))) {
+        await this.writer.removeFile(path.join(this.targetDir, entry.file));
+      }
+    } else {
+      // Installs older than the manifest: remove only the known file names
+      for (const plugin of await this.getPlugins()) {
+        for (const file of plugin.module.getCommandFiles?.(this.claudeDir) || []) {
+          await this.transaction.snapshot(file);
+        }
+        await plugin.module.uninstall(this.claudeDir);
+      }
+
+      const legacyFiles = [
+        path.join(this.targetDir, 'WORKFLOW-SHORTCUTS.md'),
+        path.join(this.claudeDir, 'helpers', 'quick-start.sh'),
+        path.join(this.claudeDir, 'helpers', 'setup-mcp.sh')
+      ];
+
+      for (const file of legacyFiles) {
+        await this.writer.removeFile(file);
+      }
     }
 
-    // Remove empty command directories
-    const commandDirs = ['workflows', 'coordination', 'analysis'];
-    for (const dir of commandDirs) {
+    // Remove settings
+    await this.transaction.snapshot(await this.getSettingsFile());
+    await this.transaction.snapshot(getOriginalSettingsPath(this.claudeDir, await this.getScope()));
+    await removeSettings(this.claudeDir, this.keepSettings, await this.getScope(), manifest?.settings);
+
+    await this.transaction.snapshot(getManifestPath(this.claudeDir));
+    await removeManifest(this.claudeDir);
+
+    // Pristine copies go; the rollback snapshot stays so uninstall can be undone
+    const baseDir = getBaseDir(this.claudeDir);
+    await this.transaction.snapshotTree(baseDir);
+    await fs.rm(baseDir, { recursive: true, force: true });
+
+    // Remove empty suite directories
+    const suiteDirs = ['helpers', 'commands/workflows', 'commands/coordination', 'commands/analysis', 'commands/danizee', 'commands'];
+    for (const dir of suiteDirs) {
       try {
-        await fs.rmdir(path.join(this.claudeDir, 'commands', dir));
+        await fs.rmdir(path.join(this.claudeDir, dir));
       } catch {
         // Not empty or doesn't exist
       }
     }
 
-    try {
-      await fs.rmdir(path.join(this.claudeDir, 'commands'));
-    } catch {
-      // Not empty
+    return { success: true, kept };
+  }
+
+  /**
+   * Restore the state from before the last successful operation
+   */
+  async rollback() {
+    const journal = await rollbackLast(this.targetDir, this.claudeDir);
+
+    if (!journal) {
+      throw createError('NOTHING_TO_ROLL_BACK', 'Nothing to roll back');
     }
 
-    return { success: true };
+    return {
+      success: true,
+      operation: journal.operation,
+      createdAt: journal.createdAt,
+      restored: journal.files.map(entry => entry.file)
+    };
   }
 
   /**
-   * Generate dry run report
+   * Generate dry run report from the changes the writer planned
    */
-  async dryRunReport() {
+  async dryRunReport({ results, existingSettings, settings, manifest, migration }) {
+    // Settings and manifest are written outside the writer, plan them here
+    await this.writer.plan(
+      await this.getSettingsFile(),
+      JSON.stringify(settings, null, 2)
+    );
+    await this.writer.plan(
+      getManifestPath(this.claudeDir),
+      JSON.stringify(manifest, null, 2)
+    );
+
+    const changes = this.writer.changes;
+
     return {
       dryRun: true,
-      wouldCreate: [
-        `${this.claudeDir}/`,
-        `${this.claudeDir}/commands/workflows/`,
-        `${this.claudeDir}/commands/coordination/`,
-        `${this.claudeDir}/commands/analysis/`,
-        `${this.claudeDir}/helpers/`,
-        `${this.claudeDir}/settings.json`,
-        `${this.targetDir}/WORKFLOW-SHORTCUTS.md`,
-        `${this.targetDir}/docs/solutions/`
-      ],
-      plugins: [
-        'claude-flow',
-        'compound-engineering',
-        'frontend-design'
-      ]
+      changes: changes.map(({ file, action }) => ({ file, action })),
+      settings: diffSettings(existingSettings, settings),
+      files: this.writer.summary,
+      migrations: migration.applied,
+      diff: changes.map(change => unifiedDiff(change.before, change.after, { file: change.file })).join(''),
+      plugins: results.map(result => result.plugin)
     };
   }
 }
@@ -0,0 +1,101 @@
+/**
+ * Claude Flow memory adapter for Danizee Claude Suite
+ * Reads and writes claude-flow memory through its CLI
+ */
+
+import { execFile } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { promisify } from 'util';
+import { createError } from '../utils/errors.js';
+
+const execFileAsync = promisify(execFile);
+
+export const CLAUDE_FLOW_PACKAGE = 'claude-flow@alpha';
+
+/**
+ * Turn an export file into `{ key, value }` entries
+ *
+ * Accepts a list of entries, `{ entries: [...] }` or a key-to-value map, so
+ * it keeps working across claude-flow export formats.
+ */
+function normalizeExport(data) {
+  const list = Array.isArray(data) ? data : Array.isArray(data?.entries) ? data.entries : null;
+
+  if (list) {
+    return list
+      .filter(entry => entry && typeof entry.key === 'string')
+      .map(entry => ({ key: entry.key, value: entry.value, updatedAt: entry.updatedAt || entry.timestamp || null }));
+  }
+
+  return Object.entries(data || {}).map(([key, entry]) => ({
+    key,
+    value: entry && typeof entry === 'object' && 'value' in entry ? entry.value : entry,
+    updatedAt: entry?.updatedAt || null
+  }));
+}
+
+/**
+ * Create the adapter
+ *
+ * `options.namespace` is the claude-flow memory namespace (default
+ * danizee-flow, the plugin's namespace).
+ */
+export function createAdapter(options = {}) {
+  const namespace = options.namespace || 'danizee-flow';
+  const cwd = options.targetDir || process.cwd();
+
+  const run = async (args) => {
+    try {
+      return await execFileAsync('npx', [CLAUDE_FLOW_PACKAGE, 'memory', ...args, '--namespace', namespace], {
+        cwd,
+        timeout: 120000,
+        maxBuffer: 64 * 1024 * 1024
+      });
+    } catch (error) {
+      throw createError('MEMORY_UNAVAILABLE',
+        `claude-flow memory is unavailable (${error.stderr?.trim() || error.message}). ` +
+        'Use --adapter json to sync with a local stand-in');
+    }
+  };
+
+  return {
+    name: 'claude-flow',
+
+    /**
+     * List entries whose key starts with `prefix`
+     */
+    async list(prefix = '') {
+      const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'danizee-memory-'));
+
+      try {
+        const file = path.join(dir, 'export.json');
+        await run(['export', file]);
+
+        let data;
+        try {
+          data = JSON.parse(await fs.readFile(file, 'utf-8'));
+        } catch (error) {
+          throw createError('MEMORY_UNAVAILABLE', `Could not read the claude-flow memory export: ${error.message}`);
+        }
+
+        return normalizeExport(data).filter(entry => entry.key.startsWith(prefix));
+      } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+      }
+    },
+
+    /**
+     * Store a value under a key
+     */
+    async set(key, value) {
+      await run(['store', key, value]);
+    }
+  };
+}
+
+export default {
+  CLAUDE_FLOW_PACKAGE,
+  createAdapter
+};
@@ -0,0 +1,61 @@
+/**
+ * JSON memory adapter for Danizee Claude Suite
+ * Keeps memory entries in a local file, standing in for claude-flow memory
+ * in tests and on machines without the MCP server
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { createError } from '../utils/errors.js';
+
+export const DEFAULT_FILE = path.join('.claude', 'danizee-memory.json');
+
+/**
+ * Create the adapter
+ *
+ * `options.file` is the JSON file, relative to `options.targetDir`.
+ */
+export function createAdapter(options = {}) {
+  const file = path.resolve(options.targetDir || process.cwd(), options.file || DEFAULT_FILE);
+
+  const read = async () => {
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf-8')).entries || {};
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return {};
+      }
+      throw createError('MEMORY_UNAVAILABLE', `Could not read memory from ${file}: ${error.message}`);
+    }
+  };
+
+  return {
+    name: 'json',
+    file,
+
+    /**
+     * List entries whose key starts with `prefix`
+     */
+    async list(prefix = '') {
+      return Object.entries(await read())
+        .filter(([key]) => key.startsWith(prefix))
+        .map(([key, entry]) => ({ key, value: entry.value, updatedAt: entry.updatedAt || null }));
+    },
+
+    /**
+     * Store a value under a key
+     */
+    async set(key, value) {
+      const entries = await read();
+      entries[key] = { value, updatedAt: new Date().toISOString() };
+
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, JSON.stringify({ version: 1, entries }, null, 2));
+    }
+  };
+}
+
+export default {
+  DEFAULT_FILE,
+  createAdapter
+};
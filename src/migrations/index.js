@@ -0,0 +1,8 @@
+/**
+ * Settings migrations for Danizee Claude Suite
+ * Listed in the order they must be applied
+ */
+
+export const MIGRATIONS = [];
+
+export default MIGRATIONS;
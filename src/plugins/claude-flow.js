@@ -5,6 +5,10 @@
 
 import fs from 'fs/promises';
 import path from 'path';
+import { getWriter } from '../utils/writer.js';
+import { SUITE_CLI, getNamespaceContents } from '../utils/workflows.js';
+
+export const displayName = 'Claude Flow';
 
 /**
  * Get Claude Flow MCP server configuration
@@ -93,6 +97,11 @@ Store and retrieve solution patterns for knowledge compounding.
 mcp__claude-flow__memory_search { pattern: "project/features/*" }
 \`\`\`
 
+If the MCP server is unavailable, search docs/solutions offline:
+\`\`\`bash
+${SUITE_CLI} search "[query]" --category features
+\`\`\`
+
 ### Store Pattern
 \`\`\`
 mcp__claude-flow__memory_usage { action: "store", key: "project/features/[name]" }
@@ -109,40 +118,49 @@ mcp__claude-flow__neural_patterns { action: "learn" }
 \`\`\`
 
 ## Memory Namespaces
-- \`project/features/*\` - Feature implementations
-- \`project/bugs/*\` - Bug fixes
-- \`project/security/*\` - Security findings
-- \`project/performance/*\` - Performance optimizations
-- \`project/architecture/*\` - Design decisions
-- \`project/reviews/*\` - Review findings
-- \`project/incidents/*\` - Incident responses
+${[...getNamespaceContents()].map(([namespace, contents]) => `- \`${namespace}\` - ${contents}`).join('\n')}
 `
     }
   };
 }
 
+/**
+ * Get the command file paths this plugin writes
+ */
+export function getCommandFiles(claudeDir) {
+  const commandsDir = path.join(claudeDir, 'commands', 'coordination');
+  return Object.keys(getCommands()).map(name => path.join(commandsDir, `${name}.md`));
+}
+
 /**
  * Install Claude Flow plugin
  */
 export async function install(claudeDir, options = {}) {
   const commandsDir = path.join(claudeDir, 'commands', 'coordination');
 
+  const writer = getWriter(claudeDir, options);
+
   // Ensure directory exists
-  await fs.mkdir(commandsDir, { recursive: true });
+  await writer.mkdir(commandsDir);
 
   // Write command files
   const commands = getCommands();
+  const files = [];
   for (const [name, command] of Object.entries(commands)) {
     const filePath = path.join(commandsDir, `${name}.md`);
 
-    if (!options.dryRun) {
-      await fs.writeFile(filePath, command.content, 'utf-8');
-    }
+    await writer.writeFile(filePath, command.content, {
+      plugin: 'claude-flow',
+      kind: 'command'
+    });
+
+    files.push({ path: filePath, kind: 'command' });
   }
 
   return {
     plugin: 'claude-flow',
     commands: Object.keys(commands),
+    files,
     mcp: getMcpConfig()
   };
 }
@@ -150,13 +168,23 @@ export async function install(claudeDir, options = {}) {
 /**
  * Uninstall Claude Flow plugin
  */
-export async function uninstall(claudeDir) {
+export async function uninstall(claudeDir, options = {}) {
   const commandsDir = path.join(claudeDir, 'commands', 'coordination');
 
+  // Only remove files this plugin wrote, never the whole directory
+  const files = options.files || getCommandFiles(claudeDir);
+  for (const filePath of files) {
+    try {
+      await fs.unlink(filePath);
+    } catch {
+      // File doesn't exist
+    }
+  }
+
   try {
-    await fs.rm(commandsDir, { recursive: true });
+    await fs.rmdir(commandsDir);
   } catch {
-    // Directory doesn't exist
+    // Not empty or doesn't exist
   }
 }
 
@@ -164,19 +192,21 @@ export async function uninstall(claudeDir) {
  * Check if Claude Flow is installed
  */
 export async function isInstalled(claudeDir) {
-  const commandsDir = path.join(claudeDir, 'commands', 'coordination');
-
   try {
-    const files = await fs.readdir(commandsDir);
-    return files.length > 0;
+    for (const filePath of getCommandFiles(claudeDir)) {
+      await fs.access(filePath);
+    }
+    return true;
   } catch {
     return false;
   }
 }
 
 export default {
+  displayName,
   getMcpConfig,
   getCommands,
+  getCommandFiles,
   install,
   uninstall,
   isInstalled
@@ -5,6 +5,11 @@
 
 import fs from 'fs/promises';
 import path from 'path';
+import { getWriter } from '../utils/writer.js';
+import { SOLUTION_CATEGORIES } from '../utils/solutions.js';
+import { SUITE_CLI } from '../utils/workflows.js';
+
+export const displayName = 'Compound Engineering';
 
 /**
  * Get Compound Engineering commands
@@ -65,9 +70,23 @@ Execute implementation plans in isolated git worktrees.
 - Progress tracking via todos
 - Easy rollback if needed
 
+## Worktrees
+Create the worktree with the suite rather than \`git worktree add\`: it
+names the branch and directory after the feature, copies \`.claude/\` into
+the worktree and links it to the run or plan it implements.
+
+\`\`\`bash
+${SUITE_CLI} worktree create oauth2 google --plan [plan file] --run [run-id]
+# feature/oauth2-google in ../<repo>-oauth2-google
+${SUITE_CLI} worktree list
+# Once merged, remove it and its branch
+${SUITE_CLI} worktree prune
+\`\`\`
+
 ## Example
 \`\`\`
-git worktree add ../feature-oauth feature/oauth2-google
+${SUITE_CLI} worktree create oauth2 google
+cd ../<repo>-oauth2-google
 /compound-engineering:workflows:work
 \`\`\`
 `
@@ -147,59 +166,58 @@ export function getNamespace() {
   return 'danizee-compound';
 }
 
+/**
+ * Get the command file paths this plugin writes
+ */
+export function getCommandFiles(claudeDir) {
+  const commandsDir = path.join(claudeDir, 'commands', 'workflows');
+  return Object.keys(getCommands()).map(name => path.join(commandsDir, `${name}.md`));
+}
+
 /**
  * Install Compound Engineering plugin
  */
 export async function install(claudeDir, options = {}) {
   const commandsDir = path.join(claudeDir, 'commands', 'workflows');
 
+  const writer = getWriter(claudeDir, options);
+
   // Ensure directory exists
-  await fs.mkdir(commandsDir, { recursive: true });
+  await writer.mkdir(commandsDir);
 
   // Write command files
   const commands = getCommands();
+  const files = [];
   for (const [name, command] of Object.entries(commands)) {
     const filePath = path.join(commandsDir, `${name}.md`);
 
-    if (!options.dryRun) {
-      await fs.writeFile(filePath, command.content, 'utf-8');
-    }
+    await writer.writeFile(filePath, command.content, {
+      plugin: 'compound-engineering',
+      kind: 'command'
+    });
+
+    files.push({ path: filePath, kind: 'command' });
   }
 
   // Create docs/solutions directory structure
   const docsDir = path.join(options.targetDir || process.cwd(), 'docs', 'solutions');
-  const subdirs = [
-    'features',
-    'bugs',
-    'security',
-    'performance',
-    'architecture',
-    'reviews',
-    'incidents',
-    'tdd',
-    'implementations',
-    'debugging',
-    'full-tdd-swarm',
-    'multi-repo'
-  ];
-
-  for (const subdir of subdirs) {
-    if (!options.dryRun) {
-      await fs.mkdir(path.join(docsDir, subdir), { recursive: true });
-
-      // Create .gitkeep to preserve empty directories
-      await fs.writeFile(
-        path.join(docsDir, subdir, '.gitkeep'),
-        '',
-        'utf-8'
-      );
-    }
+  for (const subdir of SOLUTION_CATEGORIES) {
+    await writer.mkdir(path.join(docsDir, subdir));
+
+    // Create .gitkeep to preserve empty directories
+    await writer.writeFile(path.join(docsDir, subdir, '.gitkeep'), '', {
+      plugin: 'compound-engineering',
+      kind: 'scaffold'
+    });
+
+    files.push({ path: path.join(docsDir, subdir, '.gitkeep'), kind: 'scaffold' });
   }
 
   return {
     plugin: 'compound-engineering',
     namespace: getNamespace(),
     commands: Object.keys(commands),
+    files,
     docsDir
   };
 }
@@ -207,13 +225,23 @@ export async function install(claudeDir, options = {}) {
 /**
  * Uninstall Compound Engineering plugin
  */
-export async function uninstall(claudeDir) {
+export async function uninstall(claudeDir, options = {}) {
   const commandsDir = path.join(claudeDir, 'commands', 'workflows');
 
+  // Only remove files this plugin wrote, never the whole directory
+  const files = options.files || getCommandFiles(claudeDir);
+  for (const filePath of files) {
+    try {
+      await fs.unlink(filePath);
+    } catch {
+      // File doesn't exist
+    }
+  }
+
   try {
-    await fs.rm(commandsDir, { recursive: true });
+    await fs.rmdir(commandsDir);
   } catch {
-    // Directory doesn't exist
+    // Not empty or doesn't exist
   }
 }
 
@@ -221,18 +249,20 @@ export async function uninstall(claudeDir) {
  * Check if Compound Engineering is installed
  */
 export async function isInstalled(claudeDir) {
-  const commandsDir = path.join(claudeDir, 'commands', 'workflows');
-
   try {
-    const files = await fs.readdir(commandsDir);
-    return files.length > 0;
+    for (const filePath of getCommandFiles(claudeDir)) {
+      await fs.access(filePath);
+    }
+    return true;
   } catch {
     return false;
   }
 }
 
 export default {
+  displayName,
   getCommands,
+  getCommandFiles,
   getNamespace,
   install,
   uninstall,
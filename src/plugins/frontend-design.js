@@ -5,6 +5,9 @@
 
 import fs from 'fs/promises';
 import path from 'path';
+import { getWriter } from '../utils/writer.js';
+
+export const displayName = 'Frontend Design';
 
 /**
  * Get Frontend Design commands
@@ -138,42 +141,67 @@ export function getNamespace() {
   return 'danizee-frontend';
 }
 
+/**
+ * Get the command file paths this plugin writes
+ */
+export function getCommandFiles(claudeDir) {
+  const commandsDir = path.join(claudeDir, 'commands', 'analysis');
+  return Object.keys(getCommands()).map(name => path.join(commandsDir, `${name}.md`));
+}
+
 /**
  * Install Frontend Design plugin
  */
 export async function install(claudeDir, options = {}) {
   const commandsDir = path.join(claudeDir, 'commands', 'analysis');
 
+  const writer = getWriter(claudeDir, options);
+
   // Ensure directory exists
-  await fs.mkdir(commandsDir, { recursive: true });
+  await writer.mkdir(commandsDir);
 
   // Write command files
   const commands = getCommands();
+  const files = [];
   for (const [name, command] of Object.entries(commands)) {
     const filePath = path.join(commandsDir, `${name}.md`);
 
-    if (!options.dryRun) {
-      await fs.writeFile(filePath, command.content, 'utf-8');
-    }
+    await writer.writeFile(filePath, command.content, {
+      plugin: 'frontend-design',
+      kind: 'command'
+    });
+
+    files.push({ path: filePath, kind: 'command' });
   }
 
   return {
     plugin: 'frontend-design',
     namespace: getNamespace(),
-    commands: Object.keys(commands)
+    commands: Object.keys(commands),
+    files
   };
 }
 
 /**
  * Uninstall Frontend Design plugin
  */
-export async function uninstall(claudeDir) {
+export async function uninstall(claudeDir, options = {}) {
   const commandsDir = path.join(claudeDir, 'commands', 'analysis');
 
+  // Only remove files this plugin wrote, never the whole directory
+  const files = options.files || getCommandFiles(claudeDir);
+  for (const filePath of files) {
+    try {
+      await fs.unlink(filePath);
+    } catch {
+      // File doesn't exist
+    }
+  }
+
   try {
-    await fs.rm(commandsDir, { recursive: true });
+    await fs.rmdir(commandsDir);
   } catch {
-    // Directory doesn't exist
+    // Not empty or doesn't exist
   }
 }
 
@@ -181,18 +209,20 @@ export async function uninstall(claudeDir) {
  * Check if Frontend Design is installed
  */
 export async function isInstalled(claudeDir) {
-  const commandsDir = path.join(claudeDir, 'commands', 'analysis');
-
   try {
-    const files = await fs.readdir(commandsDir);
-    return files.length > 0;
+    for (const filePath of getCommandFiles(claudeDir)) {
+      await fs.access(filePath);
+    }
+    return true;
   } catch {
     return false;
   }
 }
 
 export default {
+  displayName,
   getCommands,
+  getCommandFiles,
   getNamespace,
   install,
   uninstall,
@@ -4,7 +4,10 @@
  */
 
 import fs from 'fs/promises';
+import os from 'os';
 import path from 'path';
+import { SETTINGS_SCOPES, getSettingsLabel, getSettingsPath, readEffectiveSettings, readSettings } from './settings.js';
+import { parseFrontMatter } from './frontmatter.js';
 
 /**
  * Calculate Levenshtein distance between two strings
@@ -38,100 +41,402 @@ function levenshteinDistance(a, b) {
   return matrix[b.length][a.length];
 }
 
+export const DEFAULT_SIMILARITY_THRESHOLD = 0.3;
+
 /**
- * Check if two strings are similar (within threshold)
+ * Words shorter than this are only similar when one extends the other,
+ * since a single edit usually changes their meaning (plan/play, work/fork)
  */
-function areSimilar(a, b, threshold = 0.3) {
-  const distance = levenshteinDistance(a.toLowerCase(), b.toLowerCase());
-  const maxLength = Math.max(a.length, b.length);
-  return distance / maxLength <= threshold;
+const SHORT_WORD_LENGTH = 6;
+
+/**
+ * Split a command name into lowercase words on separators and camelCase
+ */
+function tokenize(name) {
+  return name
+    .replace(/([a-z\d])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .split(/[^a-z\d]+/)
+    .filter(Boolean);
 }
 
 /**
- * Detect duplicate command directories
+ * Check if two words are similar (within threshold)
  */
-export async function detectDuplicateCommands(claudeDir) {
-  const commandsDir = path.join(claudeDir, 'commands');
-  const conflicts = [];
+function areWordsSimilar(a, b, threshold) {
+  if (a === b) {
+    return true;
+  }
+
+  if (levenshteinDistance(a, b) / Math.max(a.length, b.length) > threshold) {
+    return false;
+  }
+
+  return Math.min(a.length, b.length) >= SHORT_WORD_LENGTH || a.startsWith(b) || b.startsWith(a);
+}
+
+/**
+ * Check if two command names are similar
+ *
+ * Names are compared word by word, so `plan-api` and `play-api` differ where
+ * `code-review` and `review-code` or `codeReview` match. Names with a
+ * different number of words are compared as a whole.
+ */
+export function areSimilar(a, b, threshold = DEFAULT_SIMILARITY_THRESHOLD) {
+  const wordsA = tokenize(a);
+  const wordsB = tokenize(b);
+
+  if ([...wordsA].sort().join(' ') === [...wordsB].sort().join(' ')) {
+    return true;
+  }
+
+  if (wordsA.length === wordsB.length) {
+    return wordsA.every((word, i) => areWordsSimilar(word, wordsB[i], threshold));
+  }
+
+  return areWordsSimilar(wordsA.join(''), wordsB.join(''), threshold);
+}
+
+/**
+ * Check if two titles or descriptions share most of their words
+ */
+function areTextsSimilar(a, b, threshold) {
+  const words = text => new Set((text.toLowerCase().match(/[a-z\d]+/g) || []).filter(word => word.length > 2));
+  const wordsA = words(a || '');
+  const wordsB = words(b || '');
+
+  if (wordsA.size === 0 || wordsB.size === 0) {
+    return false;
+  }
+
+  const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+  return shared / new Set([...wordsA, ...wordsB]).size >= 1 - threshold;
+}
+
+/**
+ * Read a command's title and description from its markdown
+ *
+ * Front matter `title` and `description` win. Otherwise the first heading
+ * is the title and the paragraph right after it the description.
+ */
+export function parseCommandMetadata(content) {
+  let meta = {};
+  let body = content;
 
   try {
-    const subdirs = await fs.readdir(commandsDir);
-
-    for (const subdir of subdirs) {
-      const subdirPath = path.join(commandsDir, subdir);
-      const stat = await fs.stat(subdirPath);
-
-      if (stat.isDirectory()) {
-        const files = await fs.readdir(subdirPath);
-
-        for (let i = 0; i < files.length; i++) {
-          for (let j = i + 1; j < files.length; j++) {
-            const nameA = files[i].replace('.md', '');
-            const nameB = files[j].replace('.md', '');
-
-            if (areSimilar(nameA, nameB)) {
-              conflicts.push({
-                type: 'similar_commands',
-                directory: subdir,
-                files: [files[i], files[j]],
-                message: `Similar command names detected: "${nameA}" and "${nameB}"`
-              });
-            }
-          }
-        }
-      }
+    ({ data: meta, body } = parseFrontMatter(content));
+  } catch {
+    // Read what we can from the body of a command with broken front matter
+  }
+
+  const lines = body.split(/\r?\n/);
+  const heading = lines.findIndex(line => /^#\s+/.test(line));
+  const paragraph = [];
+
+  for (const line of lines.slice(heading + 1)) {
+    if (line.trim() === '' && paragraph.length === 0) {
+      continue;
+    }
+    if (line.trim() === '' || /^(#|```)/.test(line.trim())) {
+      break;
+    }
+    paragraph.push(line.trim());
+  }
+
+  const text = value => (typeof value === 'string' ? value : '');
+  return {
+    title: text(meta.title) || (heading === -1 ? '' : lines[heading].replace(/^#\s+/, '').trim()),
+    description: text(meta.description) || paragraph.join(' ')
+  };
+}
+
+/**
+ * Read the similarity threshold and allowlist from settings
+ *
+ * They live under `danizee-suite.commandSimilarity` in any settings scope.
+ * `allow` holds groups of command names that are meant to look alike.
+ */
+async function getSimilaritySettings(claudeDir, options) {
+  let config = options.similarity;
+
+  if (!config) {
+    try {
+      const { settings } = await readEffectiveSettings(claudeDir);
+      config = settings['danizee-suite']?.commandSimilarity;
+    } catch {
+      // Unreadable settings are reported by validate and doctor
     }
+  }
+
+  return {
+    threshold: typeof config?.threshold === 'number' ? config.threshold : DEFAULT_SIMILARITY_THRESHOLD,
+    allow: (Array.isArray(config?.allow) ? config.allow : [])
+      .filter(Array.isArray)
+      .map(group => group.map(name => String(name).replace(/^\//, '')))
+  };
+}
+
+/**
+ * Where slash commands are looked up, highest precedence first
+ */
+export const COMMAND_SOURCES = ['project', 'user', 'plugin'];
+
+/**
+ * List markdown command files below a directory, with their namespace
+ */
+async function listCommandFiles(dir, namespace = '') {
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
   } catch {
-    // Commands directory doesn't exist yet, no conflicts
+    return [];
+  }
+
+  const files = [];
+  for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+    const entryPath = path.join(dir, entry.name);
+
+    if (entry.isDirectory()) {
+      files.push(...await listCommandFiles(entryPath, namespace ? `${namespace}/${entry.name}` : entry.name));
+    } else if (entry.name.endsWith('.md')) {
+      files.push({ file: entryPath, name: entry.name.slice(0, -3), namespace });
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Find commands directories of Claude Code plugin packs under ~/.claude/plugins
+ */
+async function findPluginCommandDirs(dir, depth = 0) {
+  if (depth > 3) {
+    return [];
+  }
+
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch {
+    return [];
+  }
+
+  const found = [];
+  for (const entry of entries.filter(entry => entry.isDirectory()).sort((a, b) => a.name.localeCompare(b.name))) {
+    const entryPath = path.join(dir, entry.name);
+
+    if (entry.name === 'commands') {
+      found.push({ dir: entryPath, plugin: path.basename(dir) });
+    } else if (!entry.name.startsWith('.') && entry.name !== 'node_modules') {
+      found.push(...await findPluginCommandDirs(entryPath, depth + 1));
+    }
+  }
+
+  return found;
+}
+
+/**
+ * Collect every slash command Claude Code would see
+ *
+ * Sources are the project's .claude/commands, the user's ~/.claude/commands
+ * and installed plugin packs. `options.suiteCommands` lists the command
+ * files the suite installs (`{ file, plugin, content }`), so they are known
+ * even before they are written. Subfolders only namespace a command, so
+ * `workflows/review.md` and `review.md` are both `/review`, and the suite's
+ * `danizee/full-cycle.md` is `/full-cycle`: `name` is what the command is
+ * invoked by, and what collisions are keyed on. Each command
+ * carries the `title` and `description` from its markdown.
+ */
+export async function collectCommands(claudeDir, options = {}) {
+  const homeDir = options.homeDir || os.homedir();
+  const projectDir = path.dirname(claudeDir);
+  const suite = new Map((options.suiteCommands || []).map(entry => [entry.file, entry]));
+  const display = (file, base, prefix) => `${prefix}/${path.relative(base, file).split(path.sep).join('/')}`;
+  const commands = [];
+
+  const projectFiles = await listCommandFiles(path.join(claudeDir, 'commands'));
+  const projectPaths = new Set(projectFiles.map(entry => entry.file));
+
+  // Suite commands that aren't on disk yet still count
+  for (const [file] of suite) {
+    if (!projectPaths.has(file)) {
+      const namespace = path.relative(path.join(claudeDir, 'commands'), path.dirname(file)).split(path.sep).join('/');
+      projectFiles.push({ file, name: path.basename(file, '.md'), namespace });
+    }
+  }
+
+  for (const entry of projectFiles) {
+    commands.push({
+      ...entry,
+      path: display(entry.file, projectDir, '.'),
+      source: 'project',
+      plugin: suite.get(entry.file)?.plugin || null
+    });
+  }
+
+  const userDir = path.join(homeDir, '.claude', 'commands');
+  if (path.resolve(userDir) !== path.resolve(claudeDir, 'commands')) {
+    for (const entry of await listCommandFiles(userDir)) {
+      commands.push({ ...entry, path: display(entry.file, homeDir, '~'), source: 'user', plugin: null });
+    }
+  }
+
+  for (const { dir, plugin } of await findPluginCommandDirs(path.join(homeDir, '.claude', 'plugins'))) {
+    for (const entry of await listCommandFiles(dir)) {
+      commands.push({
+        ...entry,
+        namespace: entry.namespace ? `${plugin}:${entry.namespace}` : plugin,
+        path: display(entry.file, homeDir, '~'),
+        source: 'plugin',
+        plugin: null
+      });
+    }
+  }
+
+  for (const command of commands) {
+    let content;
+    try {
+      content = await fs.readFile(command.file, 'utf-8');
+    } catch {
+      content = suite.get(command.file)?.content || '';
+    }
+    Object.assign(command, parseCommandMetadata(content));
+  }
+
+  return commands;
+}
+
+/**
+ * Work out which of several same-named commands Claude Code runs
+ *
+ * Project commands win over user commands, which win over plugin packs.
+ * Within a source a top-level command wins over a namespaced one, then the
+ * first path in alphabetical order.
+ */
+export function getWinningCommand(commands) {
+  return [...commands].sort((a, b) =>
+    COMMAND_SOURCES.indexOf(a.source) - COMMAND_SOURCES.indexOf(b.source) ||
+    Number(Boolean(a.namespace)) - Number(Boolean(b.namespace)) ||
+    a.path.localeCompare(b.path)
+  )[0];
+}
+
+/**
+ * Describe a command for conflict messages
+ */
+function describeCommand(command) {
+  return `${command.path} (${command.plugin ? `suite: ${command.plugin}` : command.source})`;
+}
+
+/**
+ * Detect slash command collisions across every command source
+ *
+ * Two commands with the same name are a `command_collision`: an error when
+ * one of them is the suite's, a warning between the user's own commands.
+ * Commands whose names, titles or descriptions are alike are
+ * `similar_commands` warnings, unless the settings allowlist them.
+ */
+export async function detectCommandCollisions(claudeDir, options = {}) {
+  const commands = await collectCommands(claudeDir, options);
+  const conflicts = [];
+
+  const byName = new Map();
+  for (const command of commands) {
+    byName.set(command.name, [...(byName.get(command.name) || []), command]);
+  }
+
+  for (const [name, group] of byName) {
+    if (group.length < 2) {
+      continue;
+    }
+
+    const winner = getWinningCommand(group);
+    conflicts.push({
+      type: 'command_collision',
+      severity: group.some(command => command.plugin) ? 'error' : 'warning',
+      name,
+      commands: group,
+      winner: winner.path,
+      message: `/${name} is defined by ${group.map(describeCommand).join(' and ')}; ${winner.path} wins`
+    });
+  }
+
+  const { threshold, allow } = await getSimilaritySettings(claudeDir, options);
+  const allowed = (a, b) => allow.some(group => group.includes(a) && group.includes(b));
+  const names = [...byName.keys()];
+
+  for (let i = 0; i < names.length; i++) {
+    for (let j = i + 1; j < names.length; j++) {
+      const pair = [byName.get(names[i])[0], byName.get(names[j])[0]];
+
+      // The suite's own commands ship together on purpose
+      if ((pair[0].plugin && pair[1].plugin) || allowed(names[i], names[j])) {
+        continue;
+      }
+
+      const commands = `/${names[i]} (${pair[0].path}) and /${names[j]} (${pair[1].path})`;
+      const reason = areSimilar(names[i], names[j], threshold) ? 'name'
+        : areTextsSimilar(pair[0].title, pair[1].title, threshold) ? 'title'
+          : areTextsSimilar(pair[0].description, pair[1].description, threshold) ? 'description'
+            : null;
+
+      if (reason) {
+        conflicts.push({
+          type: 'similar_commands',
+          severity: 'warning',
+          reason,
+          commands: pair,
+          message: reason === 'name'
+            ? `Similar command names detected: ${commands}`
+            : `Commands ${commands} have similar ${reason}s`
+        });
+      }
+    }
   }
 
   return conflicts;
 }
 
 /**
- * Check for settings conflicts
+ * Check for settings the suite writes that a later scope overrides
+ *
+ * The suite writes to the `scope` settings file, and scopes after it in
+ * SETTINGS_SCOPES win (settings.local.json over settings.json, say).
  */
-export async function detectSettingsConflicts(claudeDir) {
+export async function detectSettingsConflicts(claudeDir, scope = 'project') {
   const conflicts = [];
-  const settingsPath = path.join(claudeDir, 'settings.json');
-  const localSettingsPath = path.join(claudeDir, 'settings.local.json');
 
   try {
-    const settingsExists = await fs.access(settingsPath).then(() => true).catch(() => false);
-    const localExists = await fs.access(localSettingsPath).then(() => true).catch(() => false);
+    const settings = await readSettings(claudeDir, scope);
 
-    if (settingsExists && localExists) {
-      const settings = JSON.parse(await fs.readFile(settingsPath, 'utf-8'));
-      const localSettings = JSON.parse(await fs.readFile(localSettingsPath, 'utf-8'));
+    for (const overrideScope of SETTINGS_SCOPES.slice(SETTINGS_SCOPES.indexOf(scope) + 1)) {
+      const override = await readSettings(claudeDir, overrideScope);
+      const files = `${getSettingsLabel(scope)} and ${getSettingsLabel(overrideScope)}`;
 
       // Check for conflicting plugin namespaces
-      if (settings.plugins && localSettings.plugins) {
-        for (const plugin of Object.keys(settings.plugins)) {
-          if (localSettings.plugins[plugin]) {
-            conflicts.push({
-              type: 'plugin_override',
-              plugin,
-              message: `Plugin "${plugin}" is defined in both settings.json and settings.local.json`
-            });
-          }
-        }
+      for (const plugin of Object.keys(settings.plugins || {}).filter(plugin => override.plugins?.[plugin])) {
+        conflicts.push({
+          type: 'plugin_override',
+          plugin,
+          scope,
+          overrideScope,
+          message: `Plugin "${plugin}" is defined in both ${files}`
+        });
       }
 
       // Check for conflicting MCP servers
-      if (settings.mcpServers && localSettings.mcpServers) {
-        for (const server of Object.keys(settings.mcpServers)) {
-          if (localSettings.mcpServers[server]) {
-            conflicts.push({
-              type: 'mcp_server_override',
-              server,
-              message: `MCP server "${server}" is defined in both settings files`
-            });
-          }
-        }
+      for (const server of Object.keys(settings.mcpServers || {}).filter(server => override.mcpServers?.[server])) {
+        conflicts.push({
+          type: 'mcp_server_override',
+          server,
+          scope,
+          overrideScope,
+          message: `MCP server "${server}" is defined in both ${files}`
+        });
       }
     }
   } catch {
-    // Settings don't exist yet, no conflicts
+    // Unreadable settings are reported by validate and doctor
   }
 
   return conflicts;
@@ -140,8 +445,8 @@ export async function detectSettingsConflicts(claudeDir) {
 /**
  * Check for existing Danizee suite installation
  */
-export async function detectExistingInstallation(claudeDir) {
-  const settingsPath = path.join(claudeDir, 'settings.json');
+export async function detectExistingInstallation(claudeDir, scope = 'project') {
+  const settingsPath = getSettingsPath(claudeDir, scope);
 
   try {
     const content = await fs.readFile(settingsPath, 'utf-8');
@@ -162,38 +467,42 @@ export async function detectExistingInstallation(claudeDir) {
 }
 
 /**
- * Check for MCP server duplicates
+ * Check for MCP servers configured twice under different names
+ *
+ * Looks at the servers of every scope together, since Claude Code starts
+ * them all. `scopes` maps each server to the scope its definition comes
+ * from.
  */
 export async function detectMcpConflicts(claudeDir) {
   const conflicts = [];
-  const settingsPath = path.join(claudeDir, 'settings.json');
 
   try {
-    const content = await fs.readFile(settingsPath, 'utf-8');
-    const settings = JSON.parse(content);
-
-    if (settings.mcpServers) {
-      const servers = Object.entries(settings.mcpServers);
-
-      for (let i = 0; i < servers.length; i++) {
-        for (let j = i + 1; j < servers.length; j++) {
-          const [nameA, configA] = servers[i];
-          const [nameB, configB] = servers[j];
-
-          // Check if same command is used
-          if (configA.command === configB.command &&
-              JSON.stringify(configA.args) === JSON.stringify(configB.args)) {
-            conflicts.push({
-              type: 'duplicate_mcp',
-              servers: [nameA, nameB],
-              message: `Duplicate MCP server configuration: "${nameA}" and "${nameB}"`
-            });
-          }
+    const { settings, sources } = await readEffectiveSettings(claudeDir);
+    const servers = Object.entries(settings.mcpServers || {});
+    const scopeOf = name => Object.entries(sources)
+      .filter(([keyPath]) => keyPath.startsWith(`mcpServers.${name}.`))
+      .flatMap(([, scopes]) => scopes)
+      .pop() || 'project';
+
+    for (let i = 0; i < servers.length; i++) {
+      for (let j = i + 1; j < servers.length; j++) {
+        const [nameA, configA] = servers[i];
+        const [nameB, configB] = servers[j];
+
+        // Check if same command is used
+        if (configA.command === configB.command &&
+            JSON.stringify(configA.args) === JSON.stringify(configB.args)) {
+          conflicts.push({
+            type: 'duplicate_mcp',
+            servers: [nameA, nameB],
+            scopes: { [nameA]: scopeOf(nameA), [nameB]: scopeOf(nameB) },
+            message: `Duplicate MCP server configuration: "${nameA}" and "${nameB}"`
+          });
         }
       }
     }
   } catch {
-    // No settings file
+    // Unreadable settings are reported by validate and doctor
   }
 
   return conflicts;
@@ -201,18 +510,21 @@ export async function detectMcpConflicts(claudeDir) {
 
 /**
  * Run all conflict checks
+ *
+ * Every conflict has a `severity`. Only errors set `hasConflicts`;
+ * warnings are reported but don't stop an install on their own.
  */
 export async function runConflictChecks(claudeDir, options = {}) {
   const allConflicts = [];
 
-  const [duplicateCommands, settingsConflicts, mcpConflicts, existing] = await Promise.all([
-    detectDuplicateCommands(claudeDir),
-    detectSettingsConflicts(claudeDir),
+  const [commandConflicts, settingsConflicts, mcpConflicts, existing] = await Promise.all([
+    detectCommandCollisions(claudeDir, options),
+    detectSettingsConflicts(claudeDir, options.scope),
     detectMcpConflicts(claudeDir),
-    detectExistingInstallation(claudeDir)
+    detectExistingInstallation(claudeDir, options.scope)
   ]);
 
-  allConflicts.push(...duplicateCommands, ...settingsConflicts, ...mcpConflicts);
+  allConflicts.push(...commandConflicts, ...settingsConflicts, ...mcpConflicts);
 
   if (existing.installed && !options.force) {
     allConflicts.push({
@@ -222,19 +534,27 @@ export async function runConflictChecks(claudeDir, options = {}) {
     });
   }
 
+  // Anything without a severity of its own blocks the install
+  const conflicts = allConflicts.map(conflict => ({ severity: 'error', ...conflict }));
+
   return {
-    hasConflicts: allConflicts.length > 0,
-    conflicts: allConflicts,
+    hasConflicts: conflicts.some(conflict => conflict.severity === 'error'),
+    conflicts,
     existing
   };
 }
 
 export default {
-  detectDuplicateCommands,
+  COMMAND_SOURCES,
+  collectCommands,
+  getWinningCommand,
+  detectCommandCollisions,
   detectSettingsConflicts,
   detectExistingInstallation,
   detectMcpConflicts,
   runConflictChecks,
+  DEFAULT_SIMILARITY_THRESHOLD,
   areSimilar,
+  parseCommandMetadata,
   levenshteinDistance
 };
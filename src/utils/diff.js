@@ -0,0 +1,251 @@
+/**
+ * Line diff utilities for Danizee Claude Suite
+ * Used to merge local edits into updated command files
+ */
+
+// Marks a last line with no newline after it
+const NO_NEWLINE = '\0';
+
+/**
+ * Split text into lines
+ */
+function splitLines(text) {
+  return text === '' ? [] : text.split('\n');
+}
+
+/**
+ * Split text into the lines a unified diff shows
+ *
+ * The newline ending the text doesn't make a line of its own. A last line
+ * without one keeps NO_NEWLINE, so it differs from the same line with one.
+ */
+function splitDiffLines(text) {
+  const lines = splitLines(text ?? '');
+
+  if (lines.at(-1) === '') {
+    lines.pop();
+  } else if (lines.length > 0) {
+    lines[lines.length - 1] += NO_NEWLINE;
+  }
+
+  return lines;
+}
+
+/**
+ * Check whether two line arrays are equal
+ */
+function sameLines(a, b) {
+  return a.length === b.length && a.every((line, i) => line === b[i]);
+}
+
+/**
+ * Match lines of `a` to lines of `b` along their longest common subsequence
+ * Returns a Map of index in `a` to index in `b`
+ */
+function matchLines(a, b) {
+  const table = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      table[i][j] = a[i] === b[j]
+        ? table[i + 1][j + 1] + 1
+        : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+
+  const matches = new Map();
+  let i = 0;
+  let j = 0;
+
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      matches.set(i, j);
+      i++;
+      j++;
+    } else if (table[i + 1][j] >= table[i][j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+
+  return matches;
+}
+
+/**
+ * Unified diff between two versions of a file
+ *
+ * Pass null for `before` or `after` to diff a created or deleted file.
+ */
+export function unifiedDiff(before, after, options = {}) {
+  const a = splitDiffLines(before);
+  const b = splitDiffLines(after);
+  const context = options.context ?? 3;
+  const matches = matchLines(a, b);
+
+  // Flatten into a sequence of unchanged, removed and added lines
+  const ops = [];
+  let ia = 0;
+  let ib = 0;
+  for (const [ma, mb] of [...matches, [a.length, b.length]]) {
+    while (ia < ma) {
+      ops.push({ type: '-', line: a[ia++] });
+    }
+    while (ib < mb) {
+      ops.push({ type: '+', line: b[ib++] });
+    }
+    if (ia < a.length && ib < b.length) {
+      ops.push({ type: ' ', line: a[ia++] });
+      ib++;
+    }
+  }
+
+  // Group changes into hunks with surrounding context
+  const hunks = [];
+  let oldLine = 1;
+  let newLine = 1;
+  let hunk = null;
+  let trailing = 0;
+  let keep = 0;
+
+  ops.forEach((op, index) => {
+    if (op.type !== ' ') {
+      if (!hunk) {
+        const lead = ops.slice(Math.max(0, index - context), index);
+        hunk = {
+          oldStart: oldLine - lead.length,
+          newStart: newLine - lead.length,
+          ops: [...lead]
+        };
+        hunks.push(hunk);
+      }
+      hunk.ops.push(op);
+      trailing = 0;
+    } else if (hunk) {
+      // Bridge short gaps between changes, otherwise close after the context
+      if (trailing === 0) {
+        let run = 0;
+        while (ops[index + run]?.type === ' ') {
+          run++;
+        }
+        keep = index + run < ops.length && run <= context * 2 ? run : context;
+      }
+
+      if (trailing < keep) {
+        hunk.ops.push(op);
+        trailing++;
+      } else {
+        hunk = null;
+      }
+    }
+
+    if (op.type !== '+') {
+      oldLine++;
+    }
+    if (op.type !== '-') {
+      newLine++;
+    }
+  });
+
+  if (hunks.length === 0) {
+    return '';
+  }
+
+  const lines = [
+    `--- ${before === null ? '/dev/null' : `a/${options.file}`}`,
+    `+++ ${after === null ? '/dev/null' : `b/${options.file}`}`
+  ];
+
+  for (const { oldStart, newStart, ops: hunkOps } of hunks) {
+    const oldCount = hunkOps.filter(op => op.type !== '+').length;
+    const newCount = hunkOps.filter(op => op.type !== '-').length;
+    lines.push(`@@ -${oldCount ? oldStart : oldStart - 1},${oldCount} +${newCount ? newStart : newStart - 1},${newCount} @@`);
+    lines.push(...hunkOps.map(op => (op.line.endsWith(NO_NEWLINE)
+      ? `${op.type}${op.line.slice(0, -1)}\n\\ No newline at end of file`
+      : `${op.type}${op.line}`)));
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Three-way merge of a locally edited file with an updated version
+ *
+ * `base` is the version originally installed, `local` is what is on disk and
+ * `remote` is the version being installed now. Overlapping edits are wrapped
+ * in git-style conflict markers.
+ */
+export function merge3(local, base, remote, labels = {}) {
+  const o = splitLines(base);
+  const a = splitLines(local);
+  const b = splitLines(remote);
+  const toA = matchLines(o, a);
+  const toB = matchLines(o, b);
+
+  const output = [];
+  let conflicts = 0;
+  let io = 0;
+  let ia = 0;
+  let ib = 0;
+
+  while (io < o.length || ia < a.length || ib < b.length) {
+    // Copy lines unchanged on both sides
+    let stable = 0;
+    while (
+      io + stable < o.length &&
+      toA.get(io + stable) === ia + stable &&
+      toB.get(io + stable) === ib + stable
+    ) {
+      stable++;
+    }
+
+    if (stable > 0) {
+      output.push(...o.slice(io, io + stable));
+      io += stable;
+      ia += stable;
+      ib += stable;
+      continue;
+    }
+
+    // Find the next base line both sides still share
+    let next = io;
+    while (next < o.length && !(toA.has(next) && toB.has(next))) {
+      next++;
+    }
+
+    const endA = next < o.length ? toA.get(next) : a.length;
+    const endB = next < o.length ? toB.get(next) : b.length;
+    const chunkO = o.slice(io, next);
+    const chunkA = a.slice(ia, endA);
+    const chunkB = b.slice(ib, endB);
+
+    if (sameLines(chunkA, chunkO)) {
+      output.push(...chunkB);
+    } else if (sameLines(chunkB, chunkO) || sameLines(chunkA, chunkB)) {
+      output.push(...chunkA);
+    } else {
+      conflicts++;
+      output.push(
+        `<<<<<<< ${labels.local || 'local'}`,
+        ...chunkA,
+        '=======',
+        ...chunkB,
+        `>>>>>>> ${labels.remote || 'update'}`
+      );
+    }
+
+    io = next;
+    ia = endA;
+    ib = endB;
+  }
+
+  return {
+    content: output.join('\n'),
+    conflicts
+  };
+}
+
+export default {
+  unifiedDiff,
+  merge3
+};
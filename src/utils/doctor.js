@@ -0,0 +1,327 @@
+/**
+ * Environment diagnostics for Danizee Claude Suite
+ * Each check returns findings with a severity and a suggested fix
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { FileWriter } from './writer.js';
+import { listFiles } from './manifest.js';
+import { compareVersions } from './migrations.js';
+import { readSettings, writeSettings, getSettingsPath, validateSettingsFile, getDefaultSettings } from './settings.js';
+
+export const SEVERITIES = ['error', 'warning', 'info'];
+
+const PACKAGE_JSON = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..', 'package.json');
+
+/**
+ * Build a finding
+ *
+ * `apply` is set only for fixes that are safe to run unattended: they never
+ * discard content the user wrote.
+ */
+function finding(check, severity, message, fix = null, apply = null) {
+  return { check, severity, message, fix, fixable: apply !== null, apply };
+}
+
+/**
+ * Check the running Node version against package.json engines
+ */
+async function checkNodeVersion() {
+  const pkg = JSON.parse(await fs.readFile(PACKAGE_JSON, 'utf-8'));
+  const range = pkg.engines?.node;
+  const minimum = /^>=\s*v?([\d.]+)$/.exec(range || '')?.[1];
+
+  if (!minimum) {
+    return [];
+  }
+
+  if (compareVersions(process.versions.node, minimum) < 0) {
+    return [finding('node', 'error',
+      `Node.js ${process.versions.node} does not satisfy ${range}`,
+      `Install Node.js ${minimum} or later`)];
+  }
+
+  return [];
+}
+
+/**
+ * Check that npx is on PATH, since the claude-flow MCP server runs through it
+ */
+async function checkNpx() {
+  const names = process.platform === 'win32' ? ['npx.cmd', 'npx.exe', 'npx'] : ['npx'];
+  const dirs = (process.env.PATH || '').split(path.delimiter).filter(Boolean);
+
+  for (const dir of dirs) {
+    for (const name of names) {
+      try {
+        await fs.access(path.join(dir, name), fs.constants.X_OK);
+        return [];
+      } catch {
+        // Not in this directory
+      }
+    }
+  }
+
+  return [finding('npx', 'error',
+    'npx was not found on PATH, so the claude-flow MCP server cannot start',
+    'Install npm (it ships npx) and make sure it is on PATH')];
+}
+
+/**
+ * Check that the settings file parses and matches the schema
+ */
+async function checkSettingsFile({ claudeDir, scope }) {
+  const result = await validateSettingsFile(claudeDir, scope);
+  const file = path.basename(result.file);
+
+  if (!result.exists) {
+    return [finding('settings', 'error', `${file} (${scope} scope) does not exist`, 'Run `init`')];
+  }
+
+  if (result.parseError) {
+    const { line, column, message } = result.parseError;
+    return [finding('settings', 'error',
+      `${file} is not valid JSON: ${message} at line ${line}, column ${column}`,
+      'Fix the syntax error by hand or restore the file from version control')];
+  }
+
+  return result.errors.map(error => finding('settings', 'warning',
+    `${file}: ${error.path} ${error.message}` + (error.line ? ` (line ${error.line}, column ${error.column})` : ''),
+    'Run `validate` for details and correct the value'));
+}
+
+/**
+ * Check that the claude-flow MCP entry matches what the plugin ships
+ */
+async function checkMcpConfig({ claudeDir, scope, plugins, manifest }) {
+  const claudeFlow = plugins.find(plugin => plugin.name === 'claude-flow');
+  if (!claudeFlow) {
+    return [];
+  }
+
+  const expected = claudeFlow.module.getMcpConfig?.()['claude-flow'] || getDefaultSettings().mcpServers['claude-flow'];
+  const settings = await readSettings(claudeDir, scope);
+  const actual = settings.mcpServers?.['claude-flow'];
+
+  const restore = async () => {
+    const current = await readSettings(claudeDir, scope);
+    current.mcpServers = { ...current.mcpServers, 'claude-flow': expected };
+    await writeSettings(claudeDir, current, scope);
+  };
+
+  if (!actual) {
+    return [finding('mcp', 'error',
+      'The claude-flow MCP server is not configured',
+      'Add the claude-flow entry to mcpServers', restore)];
+  }
+
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    // Only rewrite an entry the suite created, never one the user brought
+    const owned = manifest?.settings?.keys?.includes('mcpServers.claude-flow');
+    return [finding('mcp', 'warning',
+      'The claude-flow MCP server config differs from what the suite installs',
+      `Set mcpServers.claude-flow to ${JSON.stringify(expected)}`,
+      owned ? restore : null)];
+  }
+
+  return [];
+}
+
+/**
+ * Check that helper scripts are executable
+ */
+async function checkHelpers({ targetDir, manifest }) {
+  const findings = [];
+
+  for (const entry of listFiles(manifest, { kind: 'helper' })) {
+    const filePath = path.join(targetDir, entry.file);
+
+    let stat;
+    try {
+      stat = await fs.stat(filePath);
+    } catch {
+      // Reported by the template check
+      continue;
+    }
+
+    if ((stat.mode & 0o111) === 0) {
+      findings.push(finding('helpers', 'warning',
+        `${entry.file} is not executable`,
+        `chmod +x ${entry.file}`,
+        () => fs.chmod(filePath, 0o755)));
+    }
+  }
+
+  return findings;
+}
+
+/**
+ * Check installed command files and helpers against the current templates
+ *
+ * The installer writes its templates into a dry-run writer, which tells us
+ * which files would be created, upgraded or need merging without touching
+ * anything.
+ */
+async function checkTemplates({ targetDir, claudeDir, manifest, templates, update }) {
+  const writer = new FileWriter({ targetDir, claudeDir, manifest, dryRun: true, onModified: 'keep' });
+  await templates(writer);
+
+  const files = writer.entries.filter(entry => ['command', 'helper'].includes(entry.kind)).map(entry => entry.file);
+  const findings = [];
+
+  for (const file of writer.summary.created.filter(file => files.includes(file))) {
+    findings.push(finding('templates', 'error', `${file} is missing`, 'Run `update`', update));
+  }
+
+  for (const file of writer.summary.upgraded.filter(file => files.includes(file))) {
+    findings.push(finding('templates', 'warning',
+      `${file} is out of date with the installed suite`,
+      'Run `update`', update));
+  }
+
+  for (const file of writer.summary.kept.filter(file => files.includes(file))) {
+    const template = writer.changes.find(change => change.file === `${file}.new`)?.after;
+    if (template !== undefined && template !== await writer.readBase(file)) {
+      findings.push(finding('templates', 'info',
+        `${file} was customised and a newer template is available`,
+        'Run `update --on-modified merge` to merge it into your copy'));
+    }
+  }
+
+  return findings;
+}
+
+/**
+ * Check for docs/solutions folders the suite no longer scaffolds
+ */
+async function checkSolutionFolders({ targetDir, manifest }) {
+  const solutionsDir = path.join(targetDir, 'docs', 'solutions');
+  const current = new Set(
+    listFiles(manifest, { kind: 'scaffold' }).map(entry => path.basename(path.dirname(entry.file)))
+  );
+
+  if (current.size === 0) {
+    return [];
+  }
+
+  let entries;
+  try {
+    entries = await fs.readdir(solutionsDir, { withFileTypes: true });
+  } catch {
+    return [];
+  }
+
+  const findings = [];
+  for (const entry of entries.filter(entry => entry.isDirectory() && !current.has(entry.name))) {
+    const folder = path.join(solutionsDir, entry.name);
+    const docs = (await fs.readdir(folder)).filter(file => file !== '.gitkeep');
+    const relative = path.relative(targetDir, folder).split(path.sep).join('/');
+
+    if (docs.length === 0) {
+      findings.push(finding('solutions', 'warning',
+        `${relative} is empty and no longer a solution category`,
+        `Remove ${relative}`,
+        () => fs.rm(folder, { recursive: true })));
+    } else {
+      findings.push(finding('solutions', 'info',
+        `${relative} holds ${docs.length} doc${docs.length === 1 ? '' : 's'} but is no longer a solution category`,
+        `Move the docs into one of: ${[...current].join(', ')}`));
+    }
+  }
+
+  return findings;
+}
+
+/**
+ * Check settings.local.json for overrides that undo suite settings
+ */
+async function checkLocalOverrides({ claudeDir, scope }) {
+  if (scope === 'local') {
+    return [];
+  }
+
+  const local = await readSettings(claudeDir, 'local');
+  const suite = await readSettings(claudeDir, scope);
+  const file = path.basename(getSettingsPath(claudeDir, 'local'));
+  const findings = [];
+
+  const overridden = [
+    ...Object.keys(local.mcpServers || {}).filter(name => name === 'claude-flow').map(name => `mcpServers.${name}`),
+    ...Object.keys(local.features || {}).filter(name => name.startsWith('danizee-')).map(name => `features.${name}`),
+    ...Object.keys(local['danizee-suite']?.plugins || {}).map(name => `danizee-suite.plugins.${name}`)
+  ];
+
+  for (const keyPath of overridden) {
+    const read = settings => keyPath.split('.').reduce((value, key) => value?.[key], settings);
+    if (JSON.stringify(read(local)) !== JSON.stringify(read(suite))) {
+      findings.push(finding('overrides', 'warning',
+        `${file} overrides ${keyPath} from the ${scope} settings`,
+        `Remove ${keyPath} from ${file} if the override is unintended`));
+    }
+  }
+
+  const allowed = suite.permissions?.allow || [];
+  for (const rule of (local.permissions?.deny || []).filter(rule => allowed.includes(rule))) {
+    findings.push(finding('overrides', 'warning',
+      `${file} denies "${rule}", which the suite allows`,
+      `Remove "${rule}" from permissions.deny in ${file}`));
+  }
+
+  return findings;
+}
+
+/**
+ * Run every check
+ *
+ * `context` holds `targetDir`, `claudeDir`, `scope`, `manifest`, the enabled
+ * `plugins`, `templates`, a function that writes the suite's templates into
+ * a writer, and `update`, a function that runs a non-destructive update.
+ * Checks that need settings are skipped while the file doesn't parse.
+ */
+export async function diagnose(context) {
+  const findings = [
+    ...await checkNodeVersion(),
+    ...await checkNpx(),
+    ...await checkSettingsFile(context)
+  ];
+
+  const unreadable = findings.some(entry => entry.check === 'settings' && entry.severity === 'error');
+  const checks = unreadable
+    ? [checkHelpers, checkSolutionFolders]
+    : [checkMcpConfig, checkHelpers, checkTemplates, checkSolutionFolders, checkLocalOverrides];
+
+  for (const check of checks) {
+    findings.push(...await check(context));
+  }
+
+  return findings.sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+}
+
+/**
+ * Apply the safe fixes among a list of findings
+ *
+ * Fixes that share an action (the update) run once. Returns the findings
+ * that were fixed.
+ */
+export async function applyFixes(findings) {
+  const applied = new Set();
+  const fixed = [];
+
+  for (const entry of findings.filter(entry => entry.fixable)) {
+    if (!applied.has(entry.apply)) {
+      applied.add(entry.apply);
+      await entry.apply();
+    }
+    fixed.push(entry);
+  }
+
+  return fixed;
+}
+
+export default {
+  SEVERITIES,
+  diagnose,
+  applyFixes
+};
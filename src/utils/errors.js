@@ -0,0 +1,56 @@
+/**
+ * Error codes for Danizee Claude Suite
+ * Give failures a stable code and the CLI a stable exit code for each
+ */
+
+/**
+ * Process exit codes the CLI promises to keep stable
+ */
+export const EXIT_CODES = {
+  success: 0,
+  error: 1,
+  notInstalled: 2,
+  conflicts: 3,
+  partial: 4
+};
+
+const EXIT_CODE_BY_ERROR = {
+  NOT_INSTALLED: EXIT_CODES.notInstalled,
+  CONFLICTS: EXIT_CODES.conflicts
+};
+
+/**
+ * Create an error carrying a code and any extra details
+ */
+export function createError(code, message, details = {}) {
+  const error = new Error(message);
+  error.code = code;
+  Object.assign(error, details);
+  return error;
+}
+
+/**
+ * Plain object describing an error, for JSON output
+ */
+export function serializeError(error) {
+  const { code, file, line, column } = error;
+
+  return Object.fromEntries(
+    Object.entries({ code: code || 'ERROR', message: error.message, file, line, column })
+      .filter(([, value]) => value !== undefined)
+  );
+}
+
+/**
+ * Exit code for an error
+ */
+export function getExitCode(error) {
+  return EXIT_CODE_BY_ERROR[error.code] ?? EXIT_CODES.error;
+}
+
+export default {
+  EXIT_CODES,
+  createError,
+  serializeError,
+  getExitCode
+};
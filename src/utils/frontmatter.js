@@ -0,0 +1,130 @@
+/**
+ * Front matter utilities for Danizee Claude Suite
+ * Reads and writes the YAML block at the top of markdown docs
+ */
+
+import { createError } from './errors.js';
+
+const FRONT_MATTER = /^---\r?\n([\s\S]*?)\r?\n?---[ \t]*(?:\r?\n|$)/;
+
+/**
+ * Parse a scalar YAML value
+ *
+ * Quoted strings are unquoted, `[a, b]` is a list and `~`/`null` are null.
+ * Everything else stays a string, so dates and versions keep their text.
+ */
+function parseScalar(text) {
+  const value = text.trim();
+
+  if (value === '' || value === '~' || value === 'null') {
+    return null;
+  }
+  if (value === 'true' || value === 'false') {
+    return value === 'true';
+  }
+  if (value.startsWith('"')) {
+    return JSON.parse(value);
+  }
+  if (value.startsWith("'") && value.endsWith("'")) {
+    return value.slice(1, -1).replace(/''/g, "'");
+  }
+  if (value.startsWith('[') && value.endsWith(']')) {
+    const inner = value.slice(1, -1).trim();
+    return inner === '' ? [] : inner.split(',').map(item => parseScalar(item));
+  }
+
+  return value;
+}
+
+/**
+ * Split markdown into its front matter and body
+ *
+ * Supports the subset of YAML the suite writes: `key: value` pairs, flow
+ * lists and block lists of scalars. Returns `{ data, body, present }`.
+ * Throws (code FRONT_MATTER_PARSE_ERROR, with `line`) on anything else.
+ */
+export function parseFrontMatter(content) {
+  const match = FRONT_MATTER.exec(content);
+  if (!match) {
+    return { data: {}, body: content, present: false };
+  }
+
+  const data = {};
+  let listKey = null;
+
+  match[1].split(/\r?\n/).forEach((line, index) => {
+    const fail = message => {
+      throw createError('FRONT_MATTER_PARSE_ERROR', `${message} at line ${index + 2}`, { line: index + 2 });
+    };
+
+    if (line.trim() === '' || line.trim().startsWith('#')) {
+      return;
+    }
+
+    const item = /^\s+-\s*(.*)$/.exec(line) || /^-\s+(.*)$/.exec(line);
+    if (item) {
+      if (!listKey) {
+        fail('List item without a key');
+      }
+      try {
+        data[listKey] = [...(data[listKey] || []), parseScalar(item[1])];
+      } catch {
+        fail(`Invalid list item in "${listKey}"`);
+      }
+      return;
+    }
+
+    const pair = /^([A-Za-z_][\w-]*):(?:\s+(.*))?$/.exec(line);
+    if (!pair) {
+      fail(`Expected "key: value", got "${line.trim()}"`);
+    }
+
+    try {
+      data[pair[1]] = parseScalar(pair[2] || '');
+    } catch {
+      fail(`Invalid value for "${pair[1]}"`);
+    }
+
+    // An empty value may be followed by a block list
+    listKey = data[pair[1]] === null ? pair[1] : null;
+  });
+
+  return { data, body: content.slice(match[0].length), present: true };
+}
+
+/**
+ * Format a scalar as YAML, quoting it only when it needs to be
+ */
+function formatScalar(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (typeof value !== 'string') {
+    return String(value);
+  }
+  if (value === '' || /^[\s\-?:,[\]{}#&*!|>'"%@`~]|:\s|\s#|\s$|^(true|false|null)$/.test(value)) {
+    return JSON.stringify(value);
+  }
+  return value;
+}
+
+/**
+ * Format an object as a front matter block, keys in insertion order
+ */
+export function formatFrontMatter(data) {
+  const lines = Object.entries(data).map(([key, value]) => {
+    if (!Array.isArray(value)) {
+      return `${key}: ${formatScalar(value)}`.trimEnd();
+    }
+    return value.length === 0
+      ? `${key}: []`
+      : [`${key}:`, ...value.map(item => `  - ${formatScalar(item)}`)].join('\n');
+  });
+
+  return `---\n${lines.join('\n')}\n---\n`;
+}
+
+export default {
+  parseFrontMatter,
+  formatFrontMatter
+};
@@ -0,0 +1,39 @@
+/**
+ * Git helpers for Danizee Claude Suite
+ * Thin wrappers around the git CLI
+ */
+
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { createError } from './errors.js';
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Run git in a directory and return its trimmed stdout
+ *
+ * Throws (code GIT_ERROR) with git's own message when it fails.
+ */
+export async function runGit(args, cwd) {
+  try {
+    const { stdout } = await execFileAsync('git', args, { cwd, maxBuffer: 16 * 1024 * 1024 });
+    return stdout.trim();
+  } catch (error) {
+    const message = error.stderr?.trim() || error.message;
+    throw createError('GIT_ERROR', `git ${args[0]} failed: ${message}`);
+  }
+}
+
+/**
+ * List staged files that were added, copied, modified or renamed, relative
+ * to `cwd`
+ */
+export async function listStagedFiles(cwd) {
+  const output = await runGit(['diff', '--cached', '--name-only', '--relative', '--diff-filter=ACMR'], cwd);
+  return output ? output.split('\n') : [];
+}
+
+export default {
+  runGit,
+  listStagedFiles
+};
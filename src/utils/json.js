@@ -0,0 +1,237 @@
+/**
+ * JSON text utilities for Danizee Claude Suite
+ * Edits JSON files in place so everything we don't touch keeps its formatting
+ */
+
+/**
+ * Line and column (both 1-based) of an offset in a text
+ */
+export function getPosition(text, offset) {
+  const before = text.slice(0, offset).split('\n');
+  return {
+    line: before.length,
+    column: before[before.length - 1].length + 1
+  };
+}
+
+/**
+ * Parse JSON text into a tree of nodes that remember where they are
+ *
+ * Every node has `type`, `start` and `end` offsets. Objects have `members`
+ * (`{ key, start, end, value }`, spanning key to value) and arrays `items`.
+ * Throws an error with `reason`, `offset`, `line` and `column` on invalid JSON.
+ */
+export function parseTree(text) {
+  let pos = 0;
+
+  const fail = (message) => {
+    const { line, column } = getPosition(text, pos);
+    const error = new Error(`${message} at line ${line}, column ${column}`);
+    error.reason = message;
+    error.offset = pos;
+    error.line = line;
+    error.column = column;
+    throw error;
+  };
+
+  const skipWhitespace = () => {
+    while (pos < text.length && ' \t\n\r'.includes(text[pos])) {
+      pos++;
+    }
+  };
+
+  const parseString = () => {
+    const start = pos++;
+    while (pos < text.length && text[pos] !== '"') {
+      if (text[pos] === '\n') {
+        fail('Unterminated string');
+      }
+      pos += text[pos] === '\\' ? 2 : 1;
+    }
+    if (pos >= text.length) {
+      fail('Unterminated string');
+    }
+    pos++;
+    try {
+      return { type: 'string', start, end: pos, value: JSON.parse(text.slice(start, pos)) };
+    } catch {
+      pos = start;
+      return fail('Invalid escape in string');
+    }
+  };
+
+  const parseValue = () => {
+    skipWhitespace();
+    const start = pos;
+    const char = text[pos];
+
+    if (char === '{') {
+      pos++;
+      const members = [];
+      skipWhitespace();
+      if (text[pos] === '}') {
+        pos++;
+        return { type: 'object', start, end: pos, members };
+      }
+      for (;;) {
+        skipWhitespace();
+        if (text[pos] !== '"') {
+          fail('Expected a property name');
+        }
+        const key = parseString();
+        skipWhitespace();
+        if (text[pos] !== ':') {
+          fail('Expected ":" after property name');
+        }
+        pos++;
+        const value = parseValue();
+        members.push({ key: key.value, start: key.start, end: value.end, value });
+        skipWhitespace();
+        if (text[pos] === ',') {
+          pos++;
+        } else if (text[pos] === '}') {
+          pos++;
+          return { type: 'object', start, end: pos, members };
+        } else {
+          fail('Expected "," or "}"');
+        }
+      }
+    }
+
+    if (char === '[') {
+      pos++;
+      const items = [];
+      skipWhitespace();
+      if (text[pos] === ']') {
+        pos++;
+        return { type: 'array', start, end: pos, items };
+      }
+      for (;;) {
+        items.push(parseValue());
+        skipWhitespace();
+        if (text[pos] === ',') {
+          pos++;
+        } else if (text[pos] === ']') {
+          pos++;
+          return { type: 'array', start, end: pos, items };
+        } else {
+          fail('Expected "," or "]"');
+        }
+      }
+    }
+
+    if (char === '"') {
+      return parseString();
+    }
+
+    const literal = /^(?:true|false|null|-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?)/.exec(text.slice(pos));
+    if (!literal) {
+      fail(pos >= text.length ? 'Unexpected end of input' : `Unexpected character "${char}"`);
+    }
+    pos += literal[0].length;
+    const value = JSON.parse(literal[0]);
+    return { type: value === null ? 'null' : typeof value, start, end: pos, value };
+  };
+
+  const root = parseValue();
+  skipWhitespace();
+  if (pos < text.length) {
+    fail(`Unexpected character "${text[pos]}"`);
+  }
+
+  return root;
+}
+
+/**
+ * Find the node at a key path, or null
+ *
+ * Numeric keys index into arrays.
+ */
+export function findNode(root, keys) {
+  let node = root;
+
+  for (const key of keys) {
+    if (node?.type === 'array' && typeof key === 'number') {
+      node = node.items[key];
+    } else {
+      node = node?.type === 'object'
+        ? node.members.find(candidate => candidate.key === key)?.value
+        : null;
+    }
+    if (!node) {
+      return null;
+    }
+  }
+
+  return node;
+}
+
+/**
+ * Cut an entry out of an object or array along with its separator
+ */
+function removeEntry(text, container, entries, index) {
+  if (entries.length === 1) {
+    return text.slice(0, container.start + 1) + text.slice(container.end - 1);
+  }
+
+  // Take the following comma and whitespace, or the preceding one for the last entry
+  const [from, to] = index < entries.length - 1
+    ? [entries[index].start, entries[index + 1].start]
+    : [entries[index - 1].end, entries[index].end];
+
+  return text.slice(0, from) + text.slice(to);
+}
+
+/**
+ * Remove a property from JSON text, leaving the rest untouched
+ *
+ * With `prune`, objects and arrays left empty by the removal go too.
+ */
+export function removeProperty(text, keys, options = {}) {
+  const root = parseTree(text);
+  const parent = findNode(root, keys.slice(0, -1));
+  const index = parent?.type === 'object'
+    ? parent.members.findIndex(member => member.key === keys[keys.length - 1])
+    : -1;
+
+  if (index === -1) {
+    return text;
+  }
+
+  if (options.prune && parent.members.length === 1 && keys.length > 1) {
+    return removeProperty(text, keys.slice(0, -1), options);
+  }
+
+  return removeEntry(text, parent, parent.members, index);
+}
+
+/**
+ * Remove every occurrence of a value from an array in JSON text
+ */
+export function removeArrayValue(text, keys, value, options = {}) {
+  const expected = JSON.stringify(value);
+  let result = text;
+
+  for (;;) {
+    const array = findNode(parseTree(result), keys);
+    const index = array?.type === 'array'
+      ? array.items.findIndex(item => JSON.stringify(JSON.parse(result.slice(item.start, item.end))) === expected)
+      : -1;
+
+    if (index === -1) {
+      return result;
+    }
+
+    result = options.prune && array.items.length === 1
+      ? removeProperty(result, keys, options)
+      : removeEntry(result, array, array.items, index);
+  }
+}
+
+export default {
+  getPosition,
+  parseTree,
+  findNode,
+  removeProperty,
+  removeArrayValue
+};
@@ -0,0 +1,452 @@
+/**
+ * Solution doc linter for Danizee Claude Suite
+ * Keeps docs/solutions consistent as it grows, fixing what is safe to fix
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { parseFrontMatter, formatFrontMatter } from './frontmatter.js';
+import { getPluginSettings, readEffectiveSettings } from './settings.js';
+import {
+  SOLUTIONS_DIR,
+  SOLUTION_FIELDS,
+  slugify,
+  isValidDate,
+  listSolutionFiles,
+  loadCategories
+} from './solutions.js';
+
+export const LINT_SEVERITIES = ['off', 'warning', 'error'];
+
+const REQUIRED_FIELDS = ['id', 'title', 'category', 'date', 'memory_key'];
+
+/**
+ * Escape text for use in a regular expression
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Line (1-based) of the first line matching a pattern, or null
+ */
+function findLine(content, pattern) {
+  const index = content.split('\n').findIndex(line => pattern.test(line));
+  return index === -1 ? null : index + 1;
+}
+
+/**
+ * Value a missing front matter field can safely be filled in with, or null
+ */
+function inferField(doc, field, context) {
+  const name = path.basename(doc.file, '.md');
+  const title = doc.data.title || /^#\s+(.+)$/m.exec(doc.body)?.[1].trim();
+
+  switch (field) {
+    case 'id':
+      return name;
+    case 'title':
+      return title || null;
+    case 'category':
+      return Object.hasOwn(context.categories, doc.folder) ? doc.folder : null;
+    case 'date': {
+      const date = /^\d{4}-\d{2}-\d{2}/.exec(name)?.[0];
+      return isValidDate(date) ? date : null;
+    }
+    case 'memory_key': {
+      const category = doc.data.category || inferField(doc, 'category', context);
+      return category && title ? `project/${category}/${slugify(title)}` : null;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Lint rules by id
+ *
+ * `check(doc, context)` returns `{ message, line, fix }` issues. `fix`, when
+ * present, changes `doc.data`, `doc.body` or `doc.target` and never throws
+ * away anything the author wrote.
+ */
+export const LINT_RULES = {
+  'front-matter': {
+    severity: 'error',
+    description: 'Front matter parses and has id, title, category, date and memory_key',
+    check(doc, context) {
+      if (doc.parseError) {
+        return [{ message: `Front matter doesn't parse: ${doc.parseError.message}`, line: doc.parseError.line }];
+      }
+
+      const issues = [];
+      for (const field of REQUIRED_FIELDS.filter(field => !doc.data[field])) {
+        const value = inferField(doc, field, context);
+        issues.push({
+          message: doc.present ? `Missing "${field}" in front matter` : `No front matter (missing "${field}")`,
+          line: 1,
+          fix: value === null ? null : () => { doc.data[field] = value; }
+        });
+      }
+
+      const name = path.basename(doc.file, '.md');
+      if (doc.data.id && doc.data.id !== name) {
+        issues.push({
+          message: `id "${doc.data.id}" doesn't match the file name "${name}"`,
+          line: findLine(doc.content, /^id:/),
+          fix: () => { doc.data.id = name; }
+        });
+      }
+
+      if (doc.data.date && !isValidDate(doc.data.date)) {
+        issues.push({ message: `date "${doc.data.date}" is not a YYYY-MM-DD calendar date`, line: findLine(doc.content, /^date:/) });
+      }
+
+      return issues;
+    }
+  },
+
+  'summary': {
+    severity: 'warning',
+    description: 'Front matter states the problem and the outcome',
+    check(doc) {
+      return ['problem', 'outcome']
+        .filter(field => !doc.parseError && !String(doc.data[field] || '').trim())
+        .map(field => ({ message: `"${field}" is empty`, line: findLine(doc.content, new RegExp(`^${field}:`)) || 1 }));
+    }
+  },
+
+  'sections': {
+    severity: 'warning',
+    description: 'Every section of the category template is present and filled in',
+    check(doc, context) {
+      const template = Object.hasOwn(context.categories, doc.category) ? context.categories[doc.category] : null;
+      if (!template) {
+        return [];
+      }
+
+      const sections = new Map();
+      let current = null;
+      for (const line of doc.body.split('\n')) {
+        const heading = /^##\s+(.+?)\s*$/.exec(line);
+        if (heading) {
+          current = heading[1].toLowerCase();
+          sections.set(current, '');
+        } else if (current) {
+          sections.set(current, sections.get(current) + line.replace(/<!--[\s\S]*?-->/g, '').trim());
+        }
+      }
+
+      const issues = [];
+      const missing = template.filter(([heading]) => !sections.has(heading.toLowerCase()));
+
+      if (missing.length > 0) {
+        issues.push({
+          message: `Missing section${missing.length === 1 ? '' : 's'}: ${missing.map(([heading]) => heading).join(', ')}`,
+          line: null,
+          fix: () => {
+            const added = missing.map(([heading, hint]) => `## ${heading}\n\n<!-- ${hint} -->\n`).join('\n');
+            doc.body = `${doc.body.replace(/\s*$/, '')}\n\n${added}`;
+          }
+        });
+      }
+
+      for (const [heading] of template.filter(([heading]) => sections.get(heading.toLowerCase()) === '')) {
+        issues.push({
+          message: `Section "${heading}" is empty`,
+          line: findLine(doc.content, new RegExp(`^##\\s+${escapeRegExp(heading)}\\s*$`, 'i'))
+        });
+      }
+
+      return issues;
+    }
+  },
+
+  'file-links': {
+    severity: 'error',
+    description: 'Files in front matter and relative links in the body exist',
+    async check(doc, context) {
+      const exists = async file => {
+        try {
+          await fs.access(file);
+          return true;
+        } catch {
+          return false;
+        }
+      };
+
+      const issues = [];
+      for (const file of (Array.isArray(doc.data.files) ? doc.data.files : []).filter(Boolean)) {
+        if (!await exists(path.resolve(context.targetDir, String(file)))) {
+          issues.push({
+            message: `Listed file "${file}" does not exist`,
+            line: findLine(doc.content, new RegExp(`^\\s+-\\s*["']?${escapeRegExp(String(file))}`))
+          });
+        }
+      }
+
+      const lines = doc.content.split('\n');
+      for (const [index, line] of lines.entries()) {
+        for (const match of line.matchAll(/\]\(([^)\s]+)(?:\s+"[^"]*")?\)/g)) {
+          const target = match[1].split('#')[0];
+          if (!target || /^[a-z][a-z\d+.-]*:/i.test(target) || target.startsWith('/')) {
+            continue;
+          }
+          if (!await exists(path.resolve(path.dirname(doc.file), decodeURIComponent(target)))) {
+            issues.push({ message: `Broken link to "${match[1]}"`, line: index + 1 });
+          }
+        }
+      }
+
+      return issues;
+    }
+  },
+
+  'memory-key': {
+    severity: 'error',
+    description: 'memory_key sits in the claude-flow namespace of the doc\'s category',
+    check(doc, context) {
+      const key = doc.data.memory_key;
+      if (!key || !doc.category) {
+        return [];
+      }
+
+      const expected = `project/${doc.category}/*`;
+      const patterns = context.namespaces.filter(namespace => namespace === expected);
+      const matches = patterns.some(pattern => new RegExp(`^${escapeRegExp(pattern).replace(/\\\*/g, '[^/]+')}$`).test(key));
+
+      if (matches) {
+        return [];
+      }
+
+      const line = findLine(doc.content, /^memory_key:/);
+      return [{
+        message: patterns.length === 0
+          ? `No claude-flow memory namespace ${expected} for memory_key "${key}"`
+          : `memory_key "${key}" is outside ${expected}`,
+        line
+      }];
+    }
+  },
+
+  'category-folder': {
+    severity: 'error',
+    description: 'The doc sits in the folder of its category',
+    async check(doc, context) {
+      const category = doc.data.category;
+
+      if (category && !Object.hasOwn(context.categories, category)) {
+        return [{
+          message: `Unknown category "${category}". Use one of: ${Object.keys(context.categories).join(', ')}`,
+          line: findLine(doc.content, /^category:/)
+        }];
+      }
+
+      if (!category || category === doc.folder) {
+        return [];
+      }
+
+      // Moving would break relative links, and must not replace another doc
+      const target = path.join(context.targetDir, SOLUTIONS_DIR, category, path.basename(doc.file));
+      let movable = !/\]\((?![a-z][a-z\d+.-]*:|#|\/)/i.test(doc.body);
+      try {
+        await fs.access(target);
+        movable = false;
+      } catch {
+        // Nothing there yet
+      }
+
+      return [{
+        message: `Category is "${category}" but the doc is in ${doc.folder ? `${doc.folder}/` : 'the solutions root'}`,
+        line: findLine(doc.content, /^category:/),
+        fix: movable ? () => { doc.target = target; } : null
+      }];
+    }
+  }
+};
+
+/**
+ * Work out each rule's severity from the defaults and the settings
+ *
+ * Settings go under `danizee-suite.solutionsLint.rules`, mapping a rule id
+ * to off, warning or error.
+ */
+async function getRuleSeverities(targetDir, overrides) {
+  let configured = overrides;
+
+  if (!configured) {
+    try {
+      const { settings } = await readEffectiveSettings(path.join(targetDir, '.claude'));
+      configured = settings['danizee-suite']?.solutionsLint?.rules;
+    } catch {
+      // Unreadable settings are reported by validate and doctor
+    }
+  }
+
+  return Object.fromEntries(Object.entries(LINT_RULES).map(([id, rule]) => [
+    id,
+    LINT_SEVERITIES.includes(configured?.[id]) ? configured[id] : rule.severity
+  ]));
+}
+
+/**
+ * Read the claude-flow memory namespaces, defaults plus any from settings
+ */
+async function getNamespaces(targetDir) {
+  const namespaces = [...getPluginSettings('claude-flow').memory.namespaces];
+
+  try {
+    const { settings } = await readEffectiveSettings(path.join(targetDir, '.claude'));
+    namespaces.push(...(settings.plugins?.['claude-flow']?.memory?.namespaces || []));
+  } catch {
+    // Unreadable settings are reported by validate and doctor
+  }
+
+  return [...new Set(namespaces)];
+}
+
+/**
+ * Read a doc into the shape the rules work on
+ */
+async function readDoc(file, solutionsDir, categories) {
+  const content = await fs.readFile(file, 'utf-8');
+  const relative = path.relative(solutionsDir, file).split(path.sep);
+  const doc = {
+    file,
+    content,
+    folder: relative.length > 1 ? relative[0] : null,
+    data: {},
+    body: content,
+    present: false,
+    parseError: null,
+    target: file
+  };
+
+  try {
+    Object.assign(doc, parseFrontMatter(content));
+  } catch (error) {
+    doc.parseError = error;
+  }
+
+  doc.category = Object.hasOwn(categories, doc.data.category) ? doc.data.category : doc.folder;
+  return doc;
+}
+
+/**
+ * Write a fixed doc back, moving it if a fix asked for it
+ *
+ * Front matter is rewritten with the solution fields first, in their usual
+ * order, followed by any others.
+ */
+async function writeDoc(doc) {
+  const ordered = Object.fromEntries([
+    ...SOLUTION_FIELDS.filter(field => field in doc.data).map(field => [field, doc.data[field]]),
+    ...Object.entries(doc.data).filter(([field]) => !SOLUTION_FIELDS.includes(field))
+  ]);
+  const content = doc.present || Object.keys(ordered).length > 0
+    ? `${formatFrontMatter(ordered)}${doc.present ? '' : '\n'}${doc.body}`
+    : doc.body;
+
+  await fs.mkdir(path.dirname(doc.target), { recursive: true });
+  await fs.writeFile(doc.target, content);
+
+  if (doc.target !== doc.file) {
+    await fs.unlink(doc.file);
+  }
+}
+
+/**
+ * Run every enabled rule over a doc, applying fixes when `fix` is set
+ */
+async function checkDoc(doc, severities, context, fix) {
+  const issues = [];
+  let changed = false;
+
+  for (const [id, rule] of Object.entries(LINT_RULES)) {
+    if (severities[id] === 'off') {
+      continue;
+    }
+
+    for (const issue of await rule.check(doc, context)) {
+      if (fix && issue.fix) {
+        issue.fix();
+        changed = true;
+        continue;
+      }
+
+      issues.push({
+        rule: id,
+        severity: severities[id],
+        message: issue.message,
+        line: issue.line || null,
+        fixable: Boolean(issue.fix)
+      });
+    }
+  }
+
+  issues.sort((a, b) => (a.line ?? Infinity) - (b.line ?? Infinity));
+  return { issues, changed };
+}
+
+/**
+ * Lint solution docs
+ *
+ * Checks every doc under docs/solutions, or just `options.files` (paths
+ * relative to `targetDir`; anything outside docs/solutions is ignored).
+ * `options.rules` overrides the severities from settings. With
+ * `options.fix`, fixable issues are fixed and left out of the results.
+ * Returns `{ results, errorCount, warningCount, fixableCount, fixed }` where
+ * `results` lists `{ file, issues }` for docs that still have issues and
+ * `fixed` the files that were changed.
+ */
+export async function lintSolutions(targetDir, options = {}) {
+  const solutionsDir = path.join(targetDir, SOLUTIONS_DIR);
+  const severities = await getRuleSeverities(targetDir, options.rules);
+  const context = { targetDir, namespaces: await getNamespaces(targetDir), categories: await loadCategories(targetDir) };
+
+  const files = options.files
+    ? options.files
+      .map(file => path.resolve(targetDir, file))
+      .filter(file => file.endsWith('.md') && !path.relative(solutionsDir, file).startsWith('..'))
+    : await listSolutionFiles(targetDir);
+
+  const results = [];
+  const fixed = [];
+  let errorCount = 0;
+  let warningCount = 0;
+  let fixableCount = 0;
+
+  for (const file of files) {
+    let doc;
+    try {
+      doc = await readDoc(file, solutionsDir, context.categories);
+    } catch {
+      // Deleted or unreadable, e.g. a staged removal
+      continue;
+    }
+
+    let { issues, changed } = await checkDoc(doc, severities, context, options.fix);
+    const relative = path.relative(targetDir, doc.target).split(path.sep).join('/');
+
+    // Report what is left against the fixed file, so line numbers match
+    if (changed) {
+      await writeDoc(doc);
+      fixed.push(relative);
+      ({ issues } = await checkDoc(await readDoc(doc.target, solutionsDir, context.categories), severities, context, false));
+    }
+
+    if (issues.length > 0) {
+      results.push({ file: relative, issues });
+      errorCount += issues.filter(issue => issue.severity === 'error').length;
+      warningCount += issues.filter(issue => issue.severity === 'warning').length;
+      fixableCount += issues.filter(issue => issue.fixable).length;
+    }
+  }
+
+  return { results, errorCount, warningCount, fixableCount, fixed };
+}
+
+export default {
+  LINT_SEVERITIES,
+  LINT_RULES,
+  lintSolutions
+};
@@ -0,0 +1,192 @@
+/**
+ * Install manifest utilities for Danizee Claude Suite
+ * Records every file and settings key the suite owns, with content hashes
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+export const MANIFEST_FILE = 'danizee-manifest.json';
+export const MANIFEST_VERSION = 1;
+export const PENDING_KIND = 'pending';
+
+/**
+ * Hashes of the files 1.0.0 installed, before installs kept a manifest
+ *
+ * Updating such an install upgrades a file that still matches and treats
+ * any other content as a local edit.
+ */
+export const LEGACY_FILE_HASHES = {
+  '.claude/commands/analysis/component.md': '40d7a93083bf36b9ea3b9afead543f37f3a1a4cb0ca624e734ed0d720d985e39',
+  '.claude/commands/analysis/design.md': '5d5bcff6bed8dd46fe4c8d237fafa8014b0460d388098d912b8fd5dd51482020',
+  '.claude/commands/analysis/layout.md': '1f1b0f883a70b2877f7a4286df5a02aa97c9a30f09bdf6ae5dbaebf32d20c429',
+  '.claude/commands/analysis/theme.md': 'c7c728f6e860a879cabbd3be1856370fcae7446765d5e2772bf2be9e94ca20a9',
+  '.claude/commands/coordination/agent-spawn.md': '648e77aa104b8f657b19813b0fbe9e900cf119c5d07859f5bae7358ab50affdf',
+  '.claude/commands/coordination/memory-ops.md': 'b6a11c8541069d0fd6c6b9569af4664398dc93325e7346294edc1dc47753bd9b',
+  '.claude/commands/coordination/swarm-init.md': 'cab10d18798dd849b0c2f7233fffc50dea8e5f97f278ff60c5535ef1384cb1cd',
+  '.claude/commands/workflows/compound.md': '9ca45da459fcabd53e55d2969bf23fd66e9122a154190e1035121e67657f7c1c',
+  '.claude/commands/workflows/plan.md': '9e97faafe23526eaeed9a3433f369432be30f04b938f2361d946b99133a550bd',
+  '.claude/commands/workflows/review.md': '02af07062c7ee73271e1acbf249ddb7bc95a679f9674393811fcae97828123e7',
+  '.claude/commands/workflows/work.md': 'c088723d6950f7ca6a72c70d5729e1c6e830e55d1a2f98aef89752f15a00105a',
+  '.claude/helpers/quick-start.sh': '88cf60a36499a2d53ea0ff1a752426a394999c27ca0fbac000db4c8888a3f369',
+  '.claude/helpers/setup-mcp.sh': 'efc0c8b9063005cca08b5c50065e90607feb10f1c708506a7c6c894db76ddfc2',
+  'WORKFLOW-SHORTCUTS.md': '6408b844db932482319f0f2f1e0114f410664fda83ad22cde02403f44144cf91'
+};
+
+/**
+ * Get the manifest path for a .claude directory
+ */
+export function getManifestPath(claudeDir) {
+  return path.join(claudeDir, MANIFEST_FILE);
+}
+
+/**
+ * Hash file content
+ */
+export function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Hash a file on disk, or return null if it doesn't exist
+ */
+export async function hashFile(filePath) {
+  try {
+    return hashContent(await fs.readFile(filePath));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Create an empty manifest
+ */
+export function createManifest(suiteVersion) {
+  return {
+    manifestVersion: MANIFEST_VERSION,
+    suiteVersion,
+    updatedAt: new Date().toISOString(),
+    files: {},
+    settings: {
+      keys: [],
+      entries: {}
+    }
+  };
+}
+
+/**
+ * Read the manifest, or return null if none was written
+ */
+export async function readManifest(claudeDir) {
+  try {
+    const content = await fs.readFile(getManifestPath(claudeDir), 'utf-8');
+    return JSON.parse(content);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Write the manifest
+ */
+export async function writeManifest(claudeDir, manifest) {
+  await fs.writeFile(
+    getManifestPath(claudeDir),
+    JSON.stringify(manifest, null, 2),
+    'utf-8'
+  );
+}
+
+/**
+ * Remove the manifest
+ */
+export async function removeManifest(claudeDir) {
+  try {
+    await fs.unlink(getManifestPath(claudeDir));
+  } catch {
+    // File doesn't exist
+  }
+}
+
+/**
+ * Record an installed file in the manifest
+ *
+ * Paths are stored relative to the project root so the manifest survives
+ * the project being moved or cloned.
+ */
+export async function recordFile(manifest, targetDir, filePath, details = {}) {
+  const relative = path.relative(targetDir, filePath).split(path.sep).join('/');
+
+  manifest.files[relative] = {
+    hash: details.hash || await hashFile(filePath),
+    plugin: details.plugin || null,
+    kind: details.kind || 'file'
+  };
+
+  return relative;
+}
+
+/**
+ * List manifest files, optionally filtered by owning plugin or kind
+ */
+export function listFiles(manifest, filter = {}) {
+  if (!manifest) {
+    return [];
+  }
+
+  return Object.entries(manifest.files)
+    .filter(([, entry]) => !filter.plugin || entry.plugin === filter.plugin)
+    .filter(([, entry]) => !filter.kind || entry.kind === filter.kind)
+    .map(([file, entry]) => ({ file, ...entry }));
+}
+
+/**
+ * Compare manifest files against what is on disk
+ *
+ * `<file>.new` copies written beside kept local edits (PENDING_KIND) are
+ * listed as pending while untouched, and dropped once the user deletes them.
+ */
+export async function verifyFiles(manifest, targetDir, filter = {}) {
+  const result = {
+    pristine: [],
+    modified: [],
+    missing: [],
+    pending: []
+  };
+
+  for (const entry of listFiles(manifest, filter)) {
+    const current = await hashFile(path.join(targetDir, entry.file));
+
+    if (entry.kind === PENDING_KIND && current === null) {
+      continue;
+    } else if (entry.kind === PENDING_KIND && current === entry.hash) {
+      result.pending.push(entry.file);
+    } else if (current === null) {
+      result.missing.push(entry.file);
+    } else if (current !== entry.hash) {
+      result.modified.push(entry.file);
+    } else {
+      result.pristine.push(entry.file);
+    }
+  }
+
+  return result;
+}
+
+export default {
+  MANIFEST_FILE,
+  MANIFEST_VERSION,
+  PENDING_KIND,
+  LEGACY_FILE_HASHES,
+  getManifestPath,
+  hashContent,
+  hashFile,
+  createManifest,
+  readManifest,
+  writeManifest,
+  removeManifest,
+  recordFile,
+  listFiles,
+  verifyFiles
+};
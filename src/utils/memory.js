@@ -0,0 +1,292 @@
+/**
+ * Memory sync for Danizee Claude Suite
+ * Keeps docs/solutions and claude-flow memory in step through an adapter
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { createError } from './errors.js';
+import { parseFrontMatter, formatFrontMatter } from './frontmatter.js';
+import { hashContent } from './manifest.js';
+import { readEffectiveSettings } from './settings.js';
+import { SOLUTIONS_DIR, listSolutionFiles, loadCategories, renderSolution } from './solutions.js';
+
+export const ADAPTERS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'memory');
+export const BUILT_IN_ADAPTERS = ['claude-flow', 'json'];
+export const DEFAULT_ADAPTER = 'claude-flow';
+export const REQUIRED_ADAPTER_METHODS = ['list', 'set'];
+export const SYNC_STATE_FILE = 'danizee-memory-sync.json';
+
+const KEY_PREFIX = 'project/';
+
+/**
+ * Load a memory adapter by name, or from a module path
+ *
+ * A module must export `createAdapter(options)`, as a named or default
+ * export, returning an object with `list(prefix)` and `set(key, value)`.
+ * Without a name the adapter comes from `danizee-suite.memory.adapter` in
+ * settings, then DEFAULT_ADAPTER. Settings also supply the adapter's
+ * options, such as `file` for the json adapter.
+ */
+export async function loadMemoryAdapter(targetDir, name = null, options = {}) {
+  let config = {};
+  try {
+    const { settings } = await readEffectiveSettings(path.join(targetDir, '.claude'));
+    config = settings['danizee-suite']?.memory || {};
+  } catch {
+    // Unreadable settings are reported by validate and doctor
+  }
+
+  const adapter = name || config.adapter || DEFAULT_ADAPTER;
+  const file = BUILT_IN_ADAPTERS.includes(adapter)
+    ? path.join(ADAPTERS_DIR, `${adapter}.js`)
+    : path.resolve(targetDir, adapter);
+
+  let namespace;
+  try {
+    namespace = await import(pathToFileURL(file).href);
+  } catch (error) {
+    throw createError('UNKNOWN_ADAPTER',
+      `Could not load memory adapter "${adapter}": ${error.message}. Use one of: ${BUILT_IN_ADAPTERS.join(', ')} or a module path`);
+  }
+
+  const createAdapter = namespace.createAdapter || namespace.default?.createAdapter;
+  const instance = typeof createAdapter === 'function'
+    ? await createAdapter({ ...config, ...options, targetDir })
+    : null;
+  const missing = REQUIRED_ADAPTER_METHODS.filter(method => typeof instance?.[method] !== 'function');
+
+  if (missing.length > 0) {
+    throw createError('UNKNOWN_ADAPTER',
+      `Memory adapter "${adapter}" is missing ${instance ? missing.map(method => `${method}()`).join(', ') : 'createAdapter()'}`);
+  }
+
+  return { name: adapter, ...instance, list: instance.list.bind(instance), set: instance.set.bind(instance) };
+}
+
+/**
+ * The memory value for a doc: its front matter fields plus its body
+ */
+function toMemoryValue(data, body, file) {
+  return JSON.stringify({
+    title: data.title || null,
+    category: data.category || null,
+    tags: data.tags || [],
+    date: data.date || null,
+    files: data.files || [],
+    problem: data.problem || '',
+    outcome: data.outcome || '',
+    file,
+    content: body.trim()
+  });
+}
+
+/**
+ * Turn a memory entry into a solution doc
+ *
+ * Values the sync pushed are JSON and come back as the doc they came from.
+ * Anything else becomes a new doc from the category template, with the
+ * value as its introduction. Its date is `date` (the doc's own, or when the
+ * entry was stored, as a string or timestamp), so pulled docs keep their
+ * place in searches by date.
+ */
+function fromMemoryValue(key, value, category, template, date = null) {
+  const slug = key.split('/').pop();
+  let stored = null;
+  try {
+    stored = JSON.parse(value);
+  } catch {
+    // A plain text entry
+  }
+
+  const when = new Date(date ?? Date.now());
+  const day = stored?.date || (Number.isNaN(when.getTime()) ? new Date() : when).toISOString().slice(0, 10);
+  const frontMatter = {
+    id: `${day}-${slug}`,
+    title: stored?.title || slug.replace(/[-_]+/g, ' ').replace(/^\w/, char => char.toUpperCase()),
+    category,
+    tags: stored?.tags || [],
+    date: day,
+    memory_key: key,
+    files: stored?.files || [],
+    problem: stored?.problem || '',
+    outcome: stored?.outcome || ''
+  };
+
+  // Only trust a recorded path that stays inside docs/solutions
+  const recorded = typeof stored?.file === 'string' && stored.file.startsWith(`${SOLUTIONS_DIR.split(path.sep).join('/')}/`) &&
+    !stored.file.split('/').includes('..');
+  const file = recorded
+    ? stored.file
+    : path.join(SOLUTIONS_DIR, category, `${frontMatter.id}.md`).split(path.sep).join('/');
+  const content = typeof stored?.content === 'string'
+    ? `${formatFrontMatter(frontMatter)}\n${stored.content}\n`
+    : renderSolution(frontMatter, typeof value === 'string' ? value : JSON.stringify(value, null, 2), template);
+
+  return { file, content };
+}
+
+/**
+ * Read the hashes recorded at the last sync, per adapter and key
+ */
+async function readSyncState(claudeDir) {
+  try {
+    return JSON.parse(await fs.readFile(path.join(claudeDir, SYNC_STATE_FILE), 'utf-8')).adapters || {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Sync docs/solutions with a memory store
+ *
+ * Each doc with a `memory_key` is matched to the memory entry of that key.
+ * Docs with no entry, or that changed since the last sync while the entry
+ * didn't, are pushed. Entries under project/<category>/ with no doc are
+ * pulled into new docs. An entry that changed on the memory side, or on
+ * both sides, is reported as diverged and left alone unless
+ * `options.prefer` is `docs` (push the doc) or `memory` (rewrite the doc).
+ * `options.dryRun` reports without writing either side.
+ *
+ * Returns `{ adapter, pushed, pulled, diverged, unchanged, unmapped }`.
+ */
+export async function syncMemory(targetDir, adapter, options = {}) {
+  const claudeDir = path.join(targetDir, '.claude');
+  const relative = file => path.relative(targetDir, file).split(path.sep).join('/');
+  const state = await readSyncState(claudeDir);
+  const previous = state[adapter.name] || {};
+  const categories = await loadCategories(targetDir);
+  const next = { ...previous };
+
+  const result = { adapter: adapter.name, pushed: [], pulled: [], diverged: [], unchanged: 0, unmapped: [] };
+
+  // Docs by memory key
+  const docs = new Map();
+  for (const file of await listSolutionFiles(targetDir)) {
+    let parsed;
+    try {
+      parsed = parseFrontMatter(await fs.readFile(file, 'utf-8'));
+    } catch {
+      // `solutions lint` reports front matter that doesn't parse
+      continue;
+    }
+
+    const key = parsed.data.memory_key;
+    if (key) {
+      docs.set(key, [...(docs.get(key) || []), { file: relative(file), ...parsed }]);
+    }
+  }
+
+  const memory = new Map((await adapter.list(KEY_PREFIX)).map(entry => [entry.key, entry]));
+
+  const push = async (key, doc, value) => {
+    if (!options.dryRun) {
+      await adapter.set(key, value);
+    }
+    result.pushed.push({ key, file: doc.file });
+    next[key] = { doc: hashContent(value), memory: hashContent(value) };
+  };
+
+  const exists = async file => {
+    try {
+      await fs.access(path.join(targetDir, file));
+      return true;
+    } catch {
+      return false;
+    }
+  };
+
+  // `file` is the doc to rewrite; new docs never replace an existing file
+  const pull = async (key, value, file = null, date = null) => {
+    const category = key.slice(KEY_PREFIX.length).split('/')[0];
+    const doc = fromMemoryValue(key, value, category, categories[category], date);
+    const target = file || doc.file;
+
+    if (!file && await exists(target)) {
+      result.diverged.push({ key, file: target, reason: 'memory has no doc, but its file is taken by another doc' });
+      return;
+    }
+
+    if (!options.dryRun) {
+      await fs.mkdir(path.dirname(path.join(targetDir, target)), { recursive: true });
+      await fs.writeFile(path.join(targetDir, target), doc.content);
+    }
+    result.pulled.push({ key, file: target });
+
+    const parsed = parseFrontMatter(doc.content);
+    next[key] = { doc: hashContent(toMemoryValue(parsed.data, parsed.body, target)), memory: hashContent(value) };
+  };
+
+  for (const [key, matches] of docs) {
+    if (matches.length > 1) {
+      result.diverged.push({ key, file: matches.map(doc => doc.file).join(', '), reason: `used by ${matches.length} docs` });
+      continue;
+    }
+
+    const [doc] = matches;
+    const value = toMemoryValue(doc.data, doc.body, doc.file);
+
+    if (!memory.has(key)) {
+      await push(key, doc, value);
+      continue;
+    }
+
+    const entry = memory.get(key);
+    const stored = typeof entry.value === 'string' ? entry.value : JSON.stringify(entry.value);
+    const last = previous[key];
+    const docChanged = !last || last.doc !== hashContent(value);
+    const memoryChanged = !last || last.memory !== hashContent(stored);
+
+    if (stored === value || (!docChanged && !memoryChanged)) {
+      result.unchanged++;
+      next[key] = { doc: hashContent(value), memory: hashContent(stored) };
+    } else if (docChanged && !memoryChanged) {
+      await push(key, doc, value);
+    } else if (options.prefer === 'docs') {
+      await push(key, doc, value);
+    } else if (options.prefer === 'memory') {
+      await pull(key, stored, doc.file, doc.data.date || entry.updatedAt);
+    } else {
+      result.diverged.push({
+        key,
+        file: doc.file,
+        reason: !last
+          ? 'the doc and memory differ and were never synced'
+          : docChanged ? 'both changed since the last sync' : 'memory changed since the last sync'
+      });
+    }
+  }
+
+  for (const [key, { value, updatedAt }] of memory) {
+    if (docs.has(key)) {
+      continue;
+    }
+
+    const category = key.slice(KEY_PREFIX.length).split('/')[0];
+    if (!Object.hasOwn(categories, category) || key.split('/').length !== 3) {
+      result.unmapped.push(key);
+      continue;
+    }
+
+    await pull(key, typeof value === 'string' ? value : JSON.stringify(value), null, updatedAt);
+  }
+
+  if (!options.dryRun) {
+    state[adapter.name] = next;
+    await fs.mkdir(claudeDir, { recursive: true });
+    await fs.writeFile(path.join(claudeDir, SYNC_STATE_FILE), JSON.stringify({ version: 1, adapters: state }, null, 2));
+  }
+
+  return result;
+}
+
+export default {
+  ADAPTERS_DIR,
+  BUILT_IN_ADAPTERS,
+  DEFAULT_ADAPTER,
+  REQUIRED_ADAPTER_METHODS,
+  SYNC_STATE_FILE,
+  loadMemoryAdapter,
+  syncMemory
+};
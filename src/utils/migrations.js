@@ -0,0 +1,90 @@
+/**
+ * Migration runner for Danizee Claude Suite
+ * Brings settings and installed files from older suite versions up to date
+ */
+
+import { MIGRATIONS } from '../migrations/index.js';
+import { SUITE_VERSION } from './settings.js';
+
+/**
+ * Compare two dotted version strings
+ */
+export function compareVersions(a, b) {
+  const partsA = String(a).split('.').map(part => parseInt(part, 10) || 0);
+  const partsB = String(b).split('.').map(part => parseInt(part, 10) || 0);
+
+  for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+    const diff = (partsA[i] || 0) - (partsB[i] || 0);
+    if (diff !== 0) {
+      return diff > 0 ? 1 : -1;
+    }
+  }
+
+  return 0;
+}
+
+/**
+ * Get the suite version recorded in settings, or null if not installed
+ */
+export function getInstalledVersion(settings) {
+  return settings['danizee-suite']?.version || null;
+}
+
+/**
+ * List migrations an install still needs, in order
+ *
+ * A migration is pending when it targets a version newer than the installed
+ * one, no newer than this release, and hasn't been recorded as applied.
+ */
+export function getPendingMigrations(settings, migrations = MIGRATIONS) {
+  const installed = getInstalledVersion(settings);
+
+  if (!installed) {
+    return [];
+  }
+
+  const applied = (settings['danizee-suite'].migrations || []).map(entry => entry.id);
+
+  return migrations.filter(migration =>
+    compareVersions(migration.version, installed) > 0 &&
+    compareVersions(migration.version, SUITE_VERSION) <= 0 &&
+    !applied.includes(migration.id)
+  );
+}
+
+/**
+ * Run pending migrations against a settings object
+ *
+ * `context` is handed to every migration: `claudeDir`, `targetDir`, the
+ * loaded `plugins` and a `writer` for any file changes. Each applied
+ * migration is recorded under `danizee-suite.migrations`.
+ */
+export async function runMigrations(settings, context, migrations = MIGRATIONS) {
+  const pending = getPendingMigrations(settings, migrations);
+  let current = settings;
+
+  for (const migration of pending) {
+    try {
+      current = (await migration.migrate(current, context)) || current;
+    } catch (error) {
+      throw new Error(`Migration ${migration.id} failed: ${error.message}`);
+    }
+
+    current['danizee-suite'].migrations = [
+      ...(current['danizee-suite'].migrations || []),
+      { id: migration.id, appliedAt: new Date().toISOString() }
+    ];
+  }
+
+  return {
+    settings: current,
+    applied: pending.map(migration => migration.id)
+  };
+}
+
+export default {
+  compareVersions,
+  getInstalledVersion,
+  getPendingMigrations,
+  runMigrations
+};
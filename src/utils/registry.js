@@ -0,0 +1,165 @@
+/**
+ * Plugin registry for Danizee Claude Suite
+ * Loads plugins from the built-in directory, npm packages and the project
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { getPluginSettings } from './settings.js';
+
+export const BUILT_IN_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'plugins');
+export const NPM_PREFIX = 'danizee-plugin-';
+export const LOCAL_PLUGIN_DIR = 'danizee-plugins';
+export const REQUIRED_EXPORTS = ['install', 'uninstall', 'isInstalled', 'getCommands'];
+
+/**
+ * Check that a module implements the plugin contract
+ */
+export function validatePlugin(module, name, source) {
+  const missing = REQUIRED_EXPORTS.filter(fn => typeof module?.[fn] !== 'function');
+
+  if (missing.length > 0) {
+    throw new Error(
+      `Plugin "${name}" (${source}) is missing required exports: ${missing.map(fn => `${fn}()`).join(', ')}`
+    );
+  }
+
+  return module;
+}
+
+/**
+ * Import a plugin module, accepting named exports or a default export
+ */
+async function importPlugin(file, name, source) {
+  const namespace = await import(pathToFileURL(file).href);
+  const module = typeof namespace.install === 'function' ? namespace : namespace.default;
+
+  validatePlugin(module, name, source);
+
+  return {
+    name: module.name && typeof module.name === 'string' ? module.name : name,
+    displayName: module.displayName || name,
+    source,
+    path: file,
+    module
+  };
+}
+
+/**
+ * List plugin files in a directory
+ */
+async function listPluginFiles(dir) {
+  try {
+    const files = await fs.readdir(dir);
+    return files
+      .filter(file => file.endsWith('.js') || file.endsWith('.mjs'))
+      .sort()
+      .map(file => path.join(dir, file));
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Find npm packages following the danizee-plugin-* naming convention
+ *
+ * Only packages the project declares as dependencies are loaded, so nothing
+ * runs just because it happens to sit in node_modules.
+ */
+async function findNpmPlugins(targetDir) {
+  let pkg;
+  try {
+    pkg = JSON.parse(await fs.readFile(path.join(targetDir, 'package.json'), 'utf-8'));
+  } catch {
+    return [];
+  }
+
+  const dependencies = Object.keys({
+    ...pkg.dependencies,
+    ...pkg.devDependencies
+  });
+
+  const plugins = [];
+  for (const dependency of dependencies.sort()) {
+    const bare = dependency.split('/').pop();
+    if (!bare.startsWith(NPM_PREFIX)) {
+      continue;
+    }
+
+    const packageDir = path.join(targetDir, 'node_modules', dependency);
+    let entry = 'index.js';
+    try {
+      const manifest = JSON.parse(await fs.readFile(path.join(packageDir, 'package.json'), 'utf-8'));
+      entry = manifest.exports?.['.'] || manifest.exports || manifest.main || entry;
+    } catch {
+      throw new Error(`Plugin package "${dependency}" is declared but not installed`);
+    }
+
+    plugins.push({
+      name: bare.slice(NPM_PREFIX.length),
+      file: path.join(packageDir, typeof entry === 'string' ? entry : entry.import || entry.default)
+    });
+  }
+
+  return plugins;
+}
+
+/**
+ * Discover and load every available plugin
+ *
+ * Built-ins load first, then npm packages, then project-local plugins from
+ * .claude/danizee-plugins/. Two plugins may not share a name.
+ */
+export async function loadPlugins(targetDir) {
+  const candidates = [];
+
+  for (const file of await listPluginFiles(BUILT_IN_DIR)) {
+    candidates.push({ name: path.basename(file, path.extname(file)), file, source: 'built-in' });
+  }
+
+  for (const plugin of await findNpmPlugins(targetDir)) {
+    candidates.push({ ...plugin, source: 'npm' });
+  }
+
+  for (const file of await listPluginFiles(path.join(targetDir, '.claude', LOCAL_PLUGIN_DIR))) {
+    candidates.push({ name: path.basename(file, path.extname(file)), file, source: 'local' });
+  }
+
+  const plugins = [];
+  for (const candidate of candidates) {
+    const plugin = await importPlugin(candidate.file, candidate.name, candidate.source);
+    const existing = plugins.find(loaded => loaded.name === plugin.name);
+
+    if (existing) {
+      throw new Error(
+        `Plugin "${plugin.name}" from ${plugin.source} conflicts with the ${existing.source} plugin of the same name`
+      );
+    }
+
+    plugins.push(plugin);
+  }
+
+  return plugins;
+}
+
+/**
+ * Get the settings block a plugin contributes under `plugins.<name>`
+ */
+export function getSettingsFor(plugin) {
+  if (typeof plugin.module.getSettings === 'function') {
+    return plugin.module.getSettings();
+  }
+
+  return getPluginSettings(plugin.name);
+}
+
+export default {
+  BUILT_IN_DIR,
+  NPM_PREFIX,
+  LOCAL_PLUGIN_DIR,
+  REQUIRED_EXPORTS,
+  validatePlugin,
+  loadPlugins,
+  getSettingsFor
+};
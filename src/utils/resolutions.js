@@ -0,0 +1,243 @@
+/**
+ * Conflict resolution for Danizee Claude Suite
+ * Lists the choices for each conflict type and applies the one picked
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { createError } from './errors.js';
+import { getSettingsLabel, getSettingsPath } from './settings.js';
+import { removeProperty } from './json.js';
+
+export const RESOLUTIONS_FILE = 'danizee-resolutions.json';
+export const RESOLUTIONS_VERSION = 1;
+
+/**
+ * What the new name of a renamed command may look like
+ */
+export const RENAME_PATTERN = /^[\w.-]+$/;
+
+/**
+ * Stable identifier for a conflict, used as the key of a saved resolution
+ */
+export function getConflictId(conflict) {
+  switch (conflict.type) {
+    case 'command_collision':
+      return `command_collision:${conflict.name}`;
+    case 'similar_commands':
+      return `similar_commands:${conflict.commands.map(command => command.path).sort().join('|')}`;
+    case 'plugin_override':
+      return `plugin_override:${conflict.plugin}`;
+    case 'mcp_server_override':
+      return `mcp_server_override:${conflict.server}`;
+    case 'duplicate_mcp':
+      return `duplicate_mcp:${[...conflict.servers].sort().join('|')}`;
+    default:
+      return conflict.type;
+  }
+}
+
+/**
+ * Choices shared by command conflicts: rename one of the project's own
+ * commands, or skip a suite plugin whose command is involved
+ */
+function getCommandChoices(commands, skip) {
+  return [
+    ...commands.filter(command => command.source === 'project' && !command.plugin).map(command => ({
+      name: `Rename ${command.path}`,
+      value: { action: 'rename', file: command.path.replace(/^\.\//, '') }
+    })),
+    ...[...new Set(commands.map(command => command.plugin).filter(Boolean))].map(skip)
+  ];
+}
+
+/**
+ * List the ways a conflict can be resolved
+ *
+ * Each choice is `{ name, value }` where `value` is the resolution to save:
+ * `{ action }` plus whatever the action needs. `rename` choices leave `to`
+ * for the caller to fill in. Only project commands the suite doesn't own
+ * are offered for renaming, since an update would just bring ours back.
+ */
+export function getResolutionChoices(conflict, context) {
+  const { plugins } = context;
+  const skip = name => ({ name: `Skip the ${name} plugin`, value: { action: 'skip', plugin: name } });
+  const hasPlugin = name => plugins.some(plugin => plugin.name === name);
+  const override = getSettingsLabel(conflict.overrideScope || 'local');
+
+  switch (conflict.type) {
+    case 'command_collision':
+      return [
+        { name: `Keep all, /${conflict.name} runs ${conflict.winner}`, value: { action: 'keep' } },
+        ...getCommandChoices(conflict.commands, skip)
+      ];
+
+    case 'similar_commands':
+      return [
+        { name: 'Keep both commands', value: { action: 'keep' } },
+        ...getCommandChoices(conflict.commands, skip)
+      ];
+
+    case 'plugin_override':
+      return [
+        { name: `Keep theirs: leave the ${override} override`, value: { action: 'theirs' } },
+        { name: `Take ours: remove the override from ${override}`, value: { action: 'ours' } },
+        ...(hasPlugin(conflict.plugin) ? [skip(conflict.plugin)] : [])
+      ];
+
+    case 'mcp_server_override':
+      return [
+        { name: `Keep theirs: leave the ${override} definition`, value: { action: 'theirs' } },
+        { name: `Take ours: remove the definition from ${override}`, value: { action: 'ours' } },
+        { name: `Merge the ${override} definition into ${getSettingsLabel(conflict.scope)}`, value: { action: 'merge' } },
+        ...(conflict.server === 'claude-flow' && hasPlugin('claude-flow') ? [skip('claude-flow')] : [])
+      ];
+
+    case 'duplicate_mcp': {
+      const [ours, theirs] = conflict.servers.includes('claude-flow')
+        ? ['claude-flow', conflict.servers.find(server => server !== 'claude-flow')]
+        : [null, null];
+
+      if (!ours) {
+        return [
+          { name: 'Keep both servers', value: { action: 'keep' } },
+          ...conflict.servers.map(server => ({
+            name: `Remove "${server}"`,
+            value: { action: 'remove', server }
+          }))
+        ];
+      }
+
+      return [
+        { name: 'Keep both servers', value: { action: 'keep' } },
+        { name: `Take ours: remove "${theirs}" and keep claude-flow`, value: { action: 'ours', server: theirs } },
+        ...(hasPlugin('claude-flow') ? [{
+          name: `Keep theirs: keep "${theirs}" and skip the claude-flow plugin`,
+          value: { action: 'skip', plugin: 'claude-flow' }
+        }] : [])
+      ];
+    }
+
+    case 'existing_installation':
+      return [
+        { name: 'Update it, keeping local edits', value: { action: 'update' } },
+        { name: 'Reinstall over it', value: { action: 'overwrite' } },
+        { name: 'Abort', value: { action: 'abort' } }
+      ];
+
+    default:
+      return [{ name: 'Ignore', value: { action: 'keep' } }];
+  }
+}
+
+/**
+ * Check that a resolution is one of the choices for a conflict
+ */
+export function isValidResolution(conflict, resolution, context) {
+  return getResolutionChoices(conflict, context).some(choice =>
+    choice.value.action === resolution?.action &&
+    Object.entries(choice.value).every(([key, value]) => resolution[key] === value) &&
+    (resolution.action !== 'rename' || (typeof resolution.to === 'string' && RENAME_PATTERN.test(resolution.to)))
+  );
+}
+
+/**
+ * Read saved resolutions, keyed by conflict id
+ */
+export async function readResolutions(claudeDir) {
+  try {
+    const content = await fs.readFile(path.join(claudeDir, RESOLUTIONS_FILE), 'utf-8');
+    return JSON.parse(content).resolutions || {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Serialize resolutions for saving next to the settings
+ */
+export function formatResolutions(resolutions) {
+  return JSON.stringify({ version: RESOLUTIONS_VERSION, resolutions }, null, 2);
+}
+
+/**
+ * Apply the file changes a resolution calls for
+ *
+ * Changes go through `writer` so they are planned in dry-run mode and
+ * snapshotted for rollback. Actions that only change what the install does
+ * (skip, update, abort) are handled by the installer.
+ */
+export async function applyResolution(conflict, resolution, context) {
+  const { claudeDir, writer } = context;
+  const suitePath = getSettingsPath(claudeDir, conflict.scope);
+  const overridePath = getSettingsPath(claudeDir, conflict.overrideScope || 'local');
+  const serverPath = server => getSettingsPath(claudeDir, conflict.scopes?.[server]);
+
+  switch (resolution.action) {
+    case 'rename': {
+      const from = path.join(path.dirname(claudeDir), resolution.file);
+      const to = path.join(path.dirname(from), resolution.to.endsWith('.md') ? resolution.to : `${resolution.to}.md`);
+      const content = await writer.read(from);
+
+      if (content !== null) {
+        if (await writer.read(to) !== null) {
+          throw createError('RENAME_TARGET_EXISTS',
+            `Can't rename ${resolution.file} to ${path.relative(path.dirname(claudeDir), to)}: that file already exists`);
+        }
+
+        await writer.put(to, content);
+        await writer.removeFile(from);
+      }
+      break;
+    }
+
+    case 'ours': {
+      if (conflict.type === 'duplicate_mcp') {
+        const file = serverPath(resolution.server);
+        await writer.put(file, removeProperty(await writer.read(file), ['mcpServers', resolution.server]));
+      } else {
+        const keys = conflict.type === 'plugin_override'
+          ? ['plugins', conflict.plugin]
+          : ['mcpServers', conflict.server];
+        const text = await writer.read(overridePath);
+        await writer.put(overridePath, removeProperty(text, keys, { prune: true }));
+      }
+      break;
+    }
+
+    case 'remove': {
+      const file = serverPath(resolution.server);
+      await writer.put(file, removeProperty(await writer.read(file), ['mcpServers', resolution.server]));
+      break;
+    }
+
+    case 'merge': {
+      const override = JSON.parse(await writer.read(overridePath));
+      const suite = JSON.parse(await writer.read(suitePath));
+      suite.mcpServers[conflict.server] = {
+        ...suite.mcpServers[conflict.server],
+        ...override.mcpServers[conflict.server]
+      };
+
+      await writer.put(suitePath, JSON.stringify(suite, null, 2));
+      await writer.put(overridePath, removeProperty(await writer.read(overridePath), ['mcpServers', conflict.server], { prune: true }));
+      break;
+    }
+
+    default:
+      // Nothing on disk to change
+      break;
+  }
+}
+
+export default {
+  RESOLUTIONS_FILE,
+  RESOLUTIONS_VERSION,
+  RENAME_PATTERN,
+  getConflictId,
+  getResolutionChoices,
+  isValidResolution,
+  readResolutions,
+  formatResolutions,
+  applyResolution
+};
@@ -0,0 +1,317 @@
+/**
+ * Workflow run journal for Danizee Claude Suite
+ * Records which checkpoint a workflow run reached so a dead session can
+ * pick up where it stopped
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { createError } from './errors.js';
+import { formatFrontMatter } from './frontmatter.js';
+import { slugify } from './solutions.js';
+import { SUITE_CLI, WORKFLOW_COMMANDS_DIR, loadWorkflows, getWorkflow } from './workflows.js';
+
+export const RUNS_DIR = 'danizee-runs';
+export const RUN_STATUSES = ['active', 'stopped', 'completed'];
+export const RUN_DECISIONS = ['continue', 'feedback', 'stop'];
+export const RUN_COMMAND = 'run';
+
+/**
+ * Get the journal directory for a project
+ */
+export function getRunsDir(targetDir) {
+  return path.join(targetDir, '.claude', RUNS_DIR);
+}
+
+/**
+ * Write a run back to its journal file
+ */
+async function writeRun(targetDir, run) {
+  await fs.mkdir(getRunsDir(targetDir), { recursive: true });
+  await fs.writeFile(path.join(getRunsDir(targetDir), `${run.id}.json`), `${JSON.stringify(run, null, 2)}\n`);
+  return run;
+}
+
+/**
+ * Read one run by id
+ *
+ * Throws (code RUN_NOT_FOUND) when there is no such run.
+ */
+export async function readRun(targetDir, id) {
+  try {
+    return JSON.parse(await fs.readFile(path.join(getRunsDir(targetDir), `${path.basename(id)}.json`), 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw createError('RUN_NOT_FOUND', `No run "${id}". List runs with \`run status --all\``);
+    }
+    throw createError('INVALID_RUN', `Could not read run "${id}": ${error.message}`);
+  }
+}
+
+/**
+ * List runs, most recently updated first
+ *
+ * Journal files that don't parse are skipped.
+ */
+export async function listRuns(targetDir) {
+  let files;
+  try {
+    files = (await fs.readdir(getRunsDir(targetDir))).filter(file => file.endsWith('.json'));
+  } catch {
+    return [];
+  }
+
+  const runs = [];
+  for (const file of files) {
+    try {
+      runs.push(JSON.parse(await fs.readFile(path.join(getRunsDir(targetDir), file), 'utf-8')));
+    } catch {
+      // A half-written or hand-edited journal file
+    }
+  }
+
+  return runs.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt) || a.id.localeCompare(b.id));
+}
+
+/**
+ * Find a run by id, or the most recently updated unfinished run
+ */
+export async function findRun(targetDir, id = null) {
+  if (id) {
+    return readRun(targetDir, id);
+  }
+
+  const run = (await listRuns(targetDir)).find(entry => entry.status !== 'completed');
+  if (!run) {
+    throw createError('RUN_NOT_FOUND', 'No unfinished runs. Start one with `run start <workflow> <target>`');
+  }
+
+  return run;
+}
+
+/**
+ * The checkpoint a run should work towards next, or null when it is done
+ *
+ * After `continue` it is the one after the last checkpoint reached; after
+ * `feedback` or `stop` the same checkpoint is reviewed again.
+ */
+export function getNextCheckpoint(run) {
+  const last = [...run.events].reverse().find(event => event.type === 'checkpoint');
+  const index = !last ? 0 : last.decision === 'continue' ? last.checkpoint + 1 : last.checkpoint;
+
+  return index < run.checkpoints.length ? { index, ...run.checkpoints[index] } : null;
+}
+
+/**
+ * Start a run of a workflow on a target
+ *
+ * The id is `<date>-<workflow>-<target slug>`, with a number added when a
+ * run of that name already exists. Workflows without checkpoints have
+ * nothing to record and are refused.
+ */
+export async function startRun(targetDir, workflowId, target) {
+  const workflows = await loadWorkflows(path.join(targetDir, '.claude'));
+  const workflow = getWorkflow(workflowId, workflows);
+
+  if (!workflow) {
+    throw createError('UNKNOWN_WORKFLOW',
+      `Unknown workflow "${workflowId}". Use one of: ${workflows.map(entry => entry.id).join(', ')}`);
+  }
+
+  if (!workflow.checkpoints?.length) {
+    throw createError('INVALID_WORKFLOW', `The ${workflow.name} workflow has no checkpoints to record`);
+  }
+
+  const now = new Date().toISOString();
+  const base = [now.slice(0, 10), workflow.id, slugify(target)].filter(Boolean).join('-');
+  const taken = new Set((await listRuns(targetDir)).map(run => run.id));
+  let id = base;
+  for (let count = 2; taken.has(id); count++) {
+    id = `${base}-${count}`;
+  }
+
+  return writeRun(targetDir, {
+    version: 1,
+    id,
+    workflow: workflow.id,
+    name: workflow.name,
+    target,
+    status: 'active',
+    checkpoints: workflow.checkpoints.map(([name, review]) => ({ name, review })),
+    checkpoint: null,
+    startedAt: now,
+    updatedAt: now,
+    events: [{ type: 'start', at: now }]
+  });
+}
+
+/**
+ * Record reaching a checkpoint and what the user decided there
+ *
+ * `checkpoint` is the checkpoint's number or name. `options.decision` is
+ * one of RUN_DECISIONS (default continue) and `options.feedback` what the
+ * user said. `stop` stops the run; `continue` at the last checkpoint
+ * completes it. Throws (code RUN_FINISHED) for a completed run, and (code
+ * CHECKPOINT_OUT_OF_ORDER) for any checkpoint but the next one, which
+ * `options.force` allows.
+ */
+export async function recordCheckpoint(targetDir, checkpoint, options = {}) {
+  const run = await findRun(targetDir, options.run);
+  const decision = options.decision || 'continue';
+
+  if (!RUN_DECISIONS.includes(decision)) {
+    throw createError('INVALID_OPTION', `Decision must be one of ${RUN_DECISIONS.join(', ')}, got "${decision}"`);
+  }
+  if (run.status === 'completed') {
+    throw createError('RUN_FINISHED', `Run "${run.id}" is already completed`);
+  }
+  if (run.checkpoints.length === 0) {
+    throw createError('INVALID_CHECKPOINT', `The ${run.name} workflow has no checkpoints`);
+  }
+
+  const value = String(checkpoint).trim();
+  const index = /^\d+$/.test(value)
+    ? Number(value)
+    : run.checkpoints.findIndex(entry => entry.name.toLowerCase() === value.toLowerCase());
+
+  if (index < 0 || index >= run.checkpoints.length) {
+    throw createError('INVALID_CHECKPOINT',
+      `Unknown checkpoint "${value}". Use 0-${run.checkpoints.length - 1} or one of: ${run.checkpoints.map(entry => entry.name).join(', ')}`);
+  }
+
+  const next = getNextCheckpoint(run);
+  if (index !== next.index && !options.force) {
+    const reached = `checkpoint ${index} ${run.checkpoints[index].name}`;
+    throw createError('CHECKPOINT_OUT_OF_ORDER', index > next.index
+      ? `Recording ${reached} would skip checkpoint ${next.index} ${next.name}. Record that first, or use --force`
+      : `Run "${run.id}" is past ${reached}, at checkpoint ${next.index} ${next.name}. Use --force to go back`);
+  }
+
+  const now = new Date().toISOString();
+  run.events.push({
+    type: 'checkpoint',
+    checkpoint: index,
+    name: run.checkpoints[index].name,
+    decision,
+    ...(options.feedback ? { feedback: options.feedback } : {}),
+    at: now
+  });
+  run.checkpoint = index;
+  run.status = decision === 'stop'
+    ? 'stopped'
+    : decision === 'continue' && index === run.checkpoints.length - 1 ? 'completed' : 'active';
+  run.updatedAt = now;
+
+  if (run.status === 'completed') {
+    run.events.push({ type: 'complete', at: now });
+  }
+
+  return writeRun(targetDir, run);
+}
+
+/**
+ * Pick a run back up
+ *
+ * A stopped run becomes active again. Returns `{ run, next, feedback }`:
+ * the checkpoint to work towards and the latest feedback given there that
+ * still has to be acted on.
+ */
+export async function resumeRun(targetDir, id = null) {
+  const run = await findRun(targetDir, id);
+
+  if (run.status === 'completed') {
+    throw createError('RUN_FINISHED', `Run "${run.id}" is already completed`);
+  }
+
+  const now = new Date().toISOString();
+  run.status = 'active';
+  run.updatedAt = now;
+  run.events.push({ type: 'resume', at: now });
+  await writeRun(targetDir, run);
+
+  // Feedback given since the last checkpoint the user let through
+  const checkpoints = run.events.filter(event => event.type === 'checkpoint');
+  const pending = checkpoints.slice(checkpoints.findLastIndex(event => event.decision === 'continue') + 1);
+
+  return {
+    run,
+    next: getNextCheckpoint(run),
+    feedback: pending.filter(event => event.feedback).pop()?.feedback || null
+  };
+}
+
+/**
+ * Render the /run command that has the agent keep the journal
+ */
+export function generateRunCommand(workflows) {
+  const journaled = workflows.filter(workflow => workflow.checkpoints?.length);
+
+  return `${formatFrontMatter({
+    description: 'Record workflow checkpoints in the run journal, or resume an unfinished run',
+    'argument-hint': '[run-id]'
+  }).trimEnd()}
+
+# Run Journal
+
+Workflow runs are recorded in \`.claude/${RUNS_DIR}/\` so a session that
+ends mid-workflow can pick up at the checkpoint it reached. Keep the journal
+up to date whenever you run a workflow with checkpoints.
+
+## When a Workflow Starts
+
+\`\`\`bash
+${SUITE_CLI} run start <workflow> "<target>"
+\`\`\`
+
+Note the run id it prints. Workflows: ${journaled.map(workflow => `\`${workflow.id}\``).join(', ')}.
+
+## At Each Checkpoint
+
+Show what the user should review and wait for their answer, then record it
+before doing anything else:
+
+\`\`\`bash
+# They said "continue"
+${SUITE_CLI} run checkpoint <number> --decision continue
+# They gave feedback: act on it, then ask again at the same checkpoint
+${SUITE_CLI} run checkpoint <number> --decision feedback --feedback "<what they said>"
+# They want to stop for now
+${SUITE_CLI} run checkpoint <number> --decision stop
+\`\`\`
+
+Add \`--run <run-id>\` when more than one run is unfinished. Checkpoints are
+recorded in order: when the command says one would be skipped, record the
+skipped one first, and use \`--force\` only if the user chose to skip it.
+
+## Resuming
+
+At the start of a session, or when asked to resume, find the run (the one
+given here, if any: $ARGUMENTS) and pick it back up:
+
+\`\`\`bash
+${SUITE_CLI} run status
+${SUITE_CLI} run resume [run-id]
+\`\`\`
+
+Resume prints the workflow, the target, the checkpoints already passed and
+the next one, with any feedback still to act on. Re-read the workflow's
+command in \`.claude/${WORKFLOW_COMMANDS_DIR.split(path.sep).join('/')}/\` or WORKFLOW-SHORTCUTS.md and
+carry on from that checkpoint instead of starting over.
+`;
+}
+
+export default {
+  RUNS_DIR,
+  RUN_STATUSES,
+  RUN_DECISIONS,
+  RUN_COMMAND,
+  getRunsDir,
+  readRun,
+  listRuns,
+  findRun,
+  getNextCheckpoint,
+  startRun,
+  recordCheckpoint,
+  resumeRun,
+  generateRunCommand
+};
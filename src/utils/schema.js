@@ -0,0 +1,329 @@
+/**
+ * Settings schema for Danizee Claude Suite
+ * Describes the blocks the suite writes and validates settings and project
+ * workflows against them
+ */
+
+const stringArray = { type: 'array', items: { type: 'string' } };
+const topologies = ['hierarchical', 'mesh', 'ring', 'star'];
+
+/**
+ * JSON Schema for the parts of settings.json the suite reads and writes
+ *
+ * Other top-level keys belong to Claude Code or the user and aren't checked.
+ * The claude-flow MCP server is only there while its plugin is enabled, so
+ * doctor checks for it rather than the schema.
+ */
+export const SETTINGS_SCHEMA = {
+  type: 'object',
+  required: ['danizee-suite'],
+  properties: {
+    'danizee-suite': {
+      type: 'object',
+      required: ['version', 'plugins'],
+      additionalProperties: false,
+      properties: {
+        version: { type: 'string', pattern: '^\\d+\\.\\d+\\.\\d+' },
+        installedAt: { type: 'string', format: 'date-time' },
+        updatedAt: { type: 'string', format: 'date-time' },
+        plugins: {
+          type: 'object',
+          additionalProperties: { type: 'boolean' }
+        },
+        commandSimilarity: {
+          type: 'object',
+          additionalProperties: false,
+          properties: {
+            threshold: { type: 'number', minimum: 0, maximum: 1 },
+            allow: { type: 'array', items: stringArray }
+          }
+        },
+        memory: {
+          type: 'object',
+          properties: {
+            adapter: { type: 'string' },
+            file: { type: 'string' },
+            namespace: { type: 'string' }
+          }
+        },
+        solutionsLint: {
+          type: 'object',
+          additionalProperties: false,
+          properties: {
+            rules: {
+              type: 'object',
+              additionalProperties: { enum: ['off', 'warning', 'error'] }
+            }
+          }
+        },
+        migrations: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['id'],
+            properties: {
+              id: { type: 'string' },
+              appliedAt: { type: 'string', format: 'date-time' }
+            }
+          }
+        }
+      }
+    },
+    mcpServers: {
+      type: 'object',
+      additionalProperties: {
+        type: 'object',
+        properties: {
+          type: { enum: ['stdio', 'sse', 'http'] },
+          command: { type: 'string' },
+          args: stringArray,
+          env: { type: 'object', additionalProperties: { type: 'string' } },
+          url: { type: 'string' },
+          description: { type: 'string' }
+        }
+      }
+    },
+    permissions: {
+      type: 'object',
+      properties: {
+        allow: stringArray,
+        deny: stringArray,
+        ask: stringArray,
+        additionalDirectories: stringArray,
+        defaultMode: { type: 'string' }
+      }
+    },
+    features: {
+      type: 'object',
+      additionalProperties: { type: 'boolean' }
+    },
+    plugins: {
+      type: 'object',
+      properties: {
+        'claude-flow': {
+          type: 'object',
+          properties: {
+            namespace: { type: 'string' },
+            swarm: {
+              type: 'object',
+              properties: {
+                topologies: { type: 'array', items: { enum: topologies } },
+                defaultTopology: { enum: topologies }
+              }
+            },
+            memory: {
+              type: 'object',
+              properties: {
+                enabled: { type: 'boolean' },
+                namespaces: stringArray
+              }
+            },
+            agents: stringArray
+          }
+        },
+        'compound-engineering': {
+          type: 'object',
+          properties: {
+            namespace: { type: 'string' },
+            commands: stringArray,
+            docsPath: { type: 'string' },
+            checkpoints: {
+              type: 'object',
+              properties: {
+                enabled: { type: 'boolean' },
+                pauseMessage: { type: 'string' }
+              }
+            }
+          }
+        },
+        'frontend-design': {
+          type: 'object',
+          properties: {
+            namespace: { type: 'string' },
+            commands: stringArray,
+            frameworks: stringArray
+          }
+        }
+      },
+      additionalProperties: { type: 'object' }
+    }
+  }
+};
+
+const pair = { type: 'array', items: { type: 'string' }, minItems: 2, maxItems: 2 };
+const slug = '^[a-z\\d][a-z\\d-]*$';
+
+/**
+ * JSON Schema for one workflow in .claude/danizee-workflows.json, the same
+ * shape as the built-in workflows
+ */
+export const WORKFLOW_SCHEMA = {
+  type: 'object',
+  required: ['id', 'name', 'triggers', 'description', 'compound'],
+  additionalProperties: false,
+  properties: {
+    id: { type: 'string', pattern: slug },
+    name: { type: 'string' },
+    shortName: { type: 'string' },
+    group: { type: 'string' },
+    triggers: { ...stringArray, minItems: 1 },
+    description: { type: 'string' },
+    philosophy: { type: 'string' },
+    bestFor: { type: 'string' },
+    checkpoints: { type: 'array', items: pair },
+    rule: pair,
+    compound: {
+      type: 'object',
+      required: ['memoryKey', 'docsFolder'],
+      additionalProperties: false,
+      properties: {
+        memoryKey: { type: 'string', pattern: '^project/[a-z\\d][a-z\\d-]*/.+' },
+        docsFolder: { type: 'string', pattern: slug },
+        docName: { type: 'string' },
+        pattern: { type: 'string' },
+        contents: { type: 'string' }
+      }
+    },
+    example: { type: 'string' },
+    notes: { type: 'string' },
+    steps: {
+      type: 'array',
+      items: {
+        type: 'array',
+        minItems: 2,
+        maxItems: 2,
+        items: [{ type: 'string' }, stringArray]
+      }
+    }
+  }
+};
+
+/**
+ * JSON Schema for .claude/danizee-workflows.json
+ */
+export const WORKFLOWS_FILE_SCHEMA = {
+  type: 'object',
+  required: ['workflows'],
+  properties: {
+    workflows: { type: 'array', items: WORKFLOW_SCHEMA }
+  }
+};
+
+/**
+ * JSON type name of a value, as used by the schema's `type`
+ */
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (Number.isInteger(value)) {
+    return 'integer';
+  }
+  return typeof value;
+}
+
+/**
+ * Format path segments as a JSON path, e.g. $.permissions.allow[0]
+ */
+export function formatJsonPath(segments) {
+  return '$' + segments
+    .map(segment => (typeof segment === 'number' ? `[${segment}]` : `.${segment}`))
+    .join('');
+}
+
+/**
+ * Validate a value against a schema
+ *
+ * Supports the subset of JSON Schema the settings schema uses: type,
+ * properties, required, additionalProperties, items (one schema, or one per
+ * position), minItems, maxItems, enum, pattern, minimum, maximum and the
+ * date-time format. Returns a list of
+ * `{ segments, path, message }`.
+ */
+export function validateSchema(value, schema, segments = []) {
+  const errors = [];
+  const fail = message => errors.push({ segments, path: formatJsonPath(segments), message });
+  const actual = typeOf(value);
+
+  if (schema.type) {
+    const allowed = [].concat(schema.type);
+    const matches = allowed.includes(actual) || (actual === 'integer' && allowed.includes('number'));
+    if (!matches) {
+      fail(`must be ${allowed.join(' or ')}, got ${actual}`);
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+    fail(`must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+
+  if (actual === 'integer' || actual === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail(`must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail(`must be at most ${schema.maximum}`);
+    }
+  }
+
+  if (actual === 'string') {
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      fail(`must match ${schema.pattern}`);
+    }
+    if (schema.format === 'date-time' && Number.isNaN(Date.parse(value))) {
+      fail('must be an ISO date-time');
+    }
+  }
+
+  if (actual === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(`must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail(`must have at most ${schema.maxItems} item${schema.maxItems === 1 ? '' : 's'}`);
+    }
+
+    value.forEach((item, index) => {
+      const itemSchema = Array.isArray(schema.items) ? schema.items[index] : schema.items;
+      if (itemSchema) {
+        errors.push(...validateSchema(item, itemSchema, [...segments, index]));
+      }
+    });
+  }
+
+  if (actual === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        fail(`missing required property "${key}"`);
+      }
+    }
+
+    for (const [key, child] of Object.entries(value)) {
+      const childSchema = schema.properties?.[key] ?? schema.additionalProperties;
+
+      if (childSchema === false) {
+        errors.push({
+          segments: [...segments, key],
+          path: formatJsonPath([...segments, key]),
+          message: 'is not an allowed property'
+        });
+      } else if (childSchema && childSchema !== true) {
+        errors.push(...validateSchema(child, childSchema, [...segments, key]));
+      }
+    }
+  }
+
+  return errors;
+}
+
+export default {
+  SETTINGS_SCHEMA,
+  WORKFLOW_SCHEMA,
+  WORKFLOWS_FILE_SCHEMA,
+  formatJsonPath,
+  validateSchema
+};
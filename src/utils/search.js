@@ -0,0 +1,159 @@
+/**
+ * Offline search for Danizee Claude Suite
+ * Ranks docs/solutions with BM25 when claude-flow memory isn't available
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { parseFrontMatter } from './frontmatter.js';
+import { SOLUTIONS_DIR, listSolutionFiles } from './solutions.js';
+
+/**
+ * How much a match in each field counts compared to the body
+ */
+export const FIELD_WEIGHTS = { title: 3, tags: 2, body: 1 };
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'how', 'in', 'is', 'it',
+  'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'were', 'what', 'when', 'with'
+]);
+
+/**
+ * Split text into lowercase search terms
+ */
+export function tokenize(text) {
+  return (text.toLowerCase().match(/[a-z\d]+/g) || []).filter(term => !STOP_WORDS.has(term));
+}
+
+/**
+ * Read every solution doc under docs/solutions
+ *
+ * Fields missing from the front matter are filled in from the doc itself:
+ * the category from its folder, the date from a YYYY-MM-DD file name prefix
+ * and the title from the first heading. Docs whose front matter doesn't
+ * parse are still indexed by their body.
+ */
+export async function loadSolutions(targetDir) {
+  const solutionsDir = path.join(targetDir, SOLUTIONS_DIR);
+  const docs = [];
+
+  for (const file of await listSolutionFiles(targetDir)) {
+    const content = await fs.readFile(file, 'utf-8');
+
+    let data = {};
+    let body = content;
+    try {
+      ({ data, body } = parseFrontMatter(content));
+    } catch {
+      // Index the whole file; `solutions lint` reports the front matter
+    }
+
+    const relative = path.relative(targetDir, file).split(path.sep).join('/');
+    const folder = path.relative(solutionsDir, path.dirname(file)).split(path.sep)[0];
+
+    docs.push({
+      file: relative,
+      id: data.id || path.basename(file, '.md'),
+      title: data.title || /^#\s+(.+)$/m.exec(body)?.[1].trim() || path.basename(file, '.md'),
+      category: data.category || folder || null,
+      date: String(data.date || /^\d{4}-\d{2}-\d{2}/.exec(path.basename(file))?.[0] || '') || null,
+      tags: Array.isArray(data.tags) ? data.tags.map(String) : [],
+      memoryKey: data.memory_key || null,
+      body: [data.problem, data.outcome, body.replace(/<!--[\s\S]*?-->/g, '')].filter(Boolean).join('\n')
+    });
+  }
+
+  return docs;
+}
+
+/**
+ * Pick the body line that best shows why a doc matched
+ */
+function getSnippet(body, terms, length = 160) {
+  const lines = body.split('\n').map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+  const hits = line => new Set(tokenize(line).filter(term => terms.has(term))).size;
+  const best = lines.reduce((top, line) => (hits(line) > hits(top) ? line : top), lines[0] || '');
+
+  if (best.length <= length) {
+    return best;
+  }
+
+  const first = tokenize(best).find(term => terms.has(term));
+  const start = Math.max(0, (first ? best.toLowerCase().indexOf(first) : 0) - length / 4);
+  return `${start > 0 ? '…' : ''}${best.slice(start, start + length).trim()}…`;
+}
+
+/**
+ * Search solution docs
+ *
+ * Docs are ranked by BM25 over their title, tags and body, with matches
+ * weighted by FIELD_WEIGHTS. `options.category` limits the search to one
+ * category, `options.since` and `options.until` (YYYY-MM-DD, inclusive) to
+ * a date range, and `options.limit` caps the results (default 10). Returns
+ * `[{ file, id, title, category, date, tags, memoryKey, score, snippet }]`,
+ * best match first.
+ */
+export async function searchSolutions(targetDir, query, options = {}) {
+  const terms = [...new Set(tokenize(query))];
+  const docs = (await loadSolutions(targetDir)).filter(doc =>
+    (!options.category || doc.category === options.category) &&
+    (!options.since || (doc.date && doc.date >= options.since)) &&
+    (!options.until || (doc.date && doc.date <= options.until))
+  );
+
+  if (terms.length === 0 || docs.length === 0) {
+    return [];
+  }
+
+  // Weighted term frequencies and lengths per doc
+  const indexed = docs.map(doc => {
+    const frequencies = new Map();
+    let length = 0;
+
+    for (const [field, text] of [['title', doc.title], ['tags', doc.tags.join(' ')], ['body', doc.body]]) {
+      for (const term of tokenize(text)) {
+        frequencies.set(term, (frequencies.get(term) || 0) + FIELD_WEIGHTS[field]);
+        length += FIELD_WEIGHTS[field];
+      }
+    }
+
+    return { doc, frequencies, length };
+  });
+
+  const averageLength = indexed.reduce((sum, entry) => sum + entry.length, 0) / indexed.length || 1;
+  const idf = new Map(terms.map(term => {
+    const count = indexed.filter(entry => entry.frequencies.has(term)).length;
+    return [term, Math.log(1 + (indexed.length - count + 0.5) / (count + 0.5))];
+  }));
+
+  const termSet = new Set(terms);
+  const results = [];
+
+  for (const { doc, frequencies, length } of indexed) {
+    let score = 0;
+    for (const term of terms) {
+      const frequency = frequencies.get(term) || 0;
+      score += idf.get(term) * (frequency * (BM25_K1 + 1)) /
+        (frequency + BM25_K1 * (1 - BM25_B + BM25_B * length / averageLength));
+    }
+
+    if (score > 0) {
+      const { body, ...fields } = doc;
+      results.push({ ...fields, score: Math.round(score * 1000) / 1000, snippet: getSnippet(body, termSet) });
+    }
+  }
+
+  return results
+    .sort((a, b) => b.score - a.score || a.file.localeCompare(b.file))
+    .slice(0, options.limit ?? 10);
+}
+
+export default {
+  FIELD_WEIGHTS,
+  tokenize,
+  loadSolutions,
+  searchSolutions
+};
@@ -4,49 +4,156 @@
  */
 
 import fs from 'fs/promises';
+import os from 'os';
 import path from 'path';
+import { parseTree, findNode, getPosition, removeProperty, removeArrayValue } from './json.js';
+import { SETTINGS_SCHEMA, validateSchema } from './schema.js';
+import { createError } from './errors.js';
+import { getMemoryNamespaces } from './workflows.js';
+import { STATE_DIR } from './writer.js';
+
+export const SUITE_VERSION = '1.0.0';
+export const DEFAULT_PLUGINS = ['claude-flow', 'compound-engineering', 'frontend-design'];
+
+// Lowest precedence first, matching how Claude Code layers settings files
+export const SETTINGS_SCOPES = ['user', 'project', 'local'];
+
+/**
+ * How suite values combine with values already in settings, by key path
+ *
+ * `union` treats an array as a set and adds missing entries, `keep` leaves an
+ * existing value alone and `replace` (the default) writes the suite value.
+ * A `*` segment matches any key. Suite keys the user had before installing
+ * are always kept (see mergeSettings).
+ */
+export const SETTINGS_MERGE_RULES = {
+  'danizee-suite.installedAt': 'keep',
+  'permissions.allow': 'union',
+  'permissions.deny': 'union',
+  'plugins.*.agents': 'union',
+  'plugins.*.commands': 'union',
+  'plugins.*.frameworks': 'union',
+  'plugins.*.memory.namespaces': 'union',
+  'plugins.*.swarm.topologies': 'union'
+};
 
 /**
- * Deep merge two objects
+ * Read a dot-separated path from an object
  */
-function deepMerge(target, source) {
-  const result = { ...target };
+function getPath(object, keyPath) {
+  return keyPath.split('.').reduce(
+    (value, key) => (value && typeof value === 'object' ? value[key] : undefined),
+    object
+  );
+}
+
+/**
+ * Check whether a value is a plain object
+ */
+function isObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
 
-  for (const key of Object.keys(source)) {
-    if (source[key] && typeof source[key] === 'object' && !Array.isArray(source[key])) {
-      result[key] = deepMerge(target[key] || {}, source[key]);
+/**
+ * Find the merge rule for a key path
+ */
+function getMergeRule(keyPath, rules) {
+  const segments = keyPath.split('.');
+
+  for (const [pattern, rule] of Object.entries(rules)) {
+    const parts = pattern.split('.');
+    if (parts.length === segments.length && parts.every((part, i) => part === '*' || part === segments[i])) {
+      return rule;
+    }
+  }
+
+  return 'replace';
+}
+
+/**
+ * Write a dot-separated path into an object, creating objects on the way
+ */
+function setPath(object, keyPath, value) {
+  const keys = keyPath.split('.');
+  const parent = keys.slice(0, -1).reduce((target, key) => {
+    if (!isObject(target[key])) {
+      target[key] = {};
+    }
+    return target[key];
+  }, object);
+
+  parent[keys.at(-1)] = value;
+}
+
+/**
+ * Replace a dot-separated path, or remove it when `value` is undefined along
+ * with the objects that leaves empty, copying the objects on the way so
+ * nothing shared with them changes
+ */
+function replacePath(object, keyPath, value) {
+  const [key, ...rest] = keyPath.split('.');
+
+  if (rest.length === 0) {
+    if (value === undefined) {
+      delete object[key];
     } else {
-      result[key] = source[key];
+      object[key] = value;
     }
+    return;
   }
 
-  return result;
+  if (!isObject(object[key])) {
+    return;
+  }
+
+  object[key] = { ...object[key] };
+  replacePath(object[key], rest.join('.'), value);
+  if (value === undefined && Object.keys(object[key]).length === 0) {
+    delete object[key];
+  }
+}
+
+/**
+ * Compare two settings values, ignoring key order
+ */
+function sameValue(a, b) {
+  const normalize = value => Array.isArray(value)
+    ? value.map(normalize)
+    : isObject(value)
+      ? Object.fromEntries(Object.keys(value).sort().map(key => [key, normalize(value[key])]))
+      : value;
+
+  return JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
 }
 
 /**
  * Get default suite settings
+ *
+ * The claude-flow MCP server and its permission are only there when the
+ * claude-flow plugin is one of `pluginNames`.
  */
-export function getDefaultSettings() {
+export function getDefaultSettings(pluginNames = DEFAULT_PLUGINS) {
+  const claudeFlow = pluginNames.includes('claude-flow');
+
   return {
     'danizee-suite': {
-      version: '1.0.0',
+      version: SUITE_VERSION,
       installedAt: new Date().toISOString(),
-      plugins: {
-        'claude-flow': true,
-        'compound-engineering': true,
-        'frontend-design': true
-      }
+      plugins: Object.fromEntries(pluginNames.map(name => [name, true]))
     },
-    mcpServers: {
-      'claude-flow': {
-        command: 'npx',
-        args: ['claude-flow@alpha', 'mcp', 'start'],
-        description: 'Claude Flow multi-agent orchestration with memory and swarm support'
+    ...(claudeFlow ? {
+      mcpServers: {
+        'claude-flow': {
+          command: 'npx',
+          args: ['claude-flow@alpha', 'mcp', 'start'],
+          description: 'Claude Flow multi-agent orchestration with memory and swarm support'
+        }
       }
-    },
+    } : {}),
     permissions: {
       allow: [
-        'Bash(npx claude-flow*)',
+        ...(claudeFlow ? ['Bash(npx claude-flow*)'] : []),
+        'Bash(npx --no-install danizee-claude-suite*)',
         'Bash(git worktree*)',
         'Read(docs/solutions/**)',
         'Write(docs/solutions/**)'
@@ -73,20 +180,7 @@ export function getPluginSettings(pluginName) {
       },
       memory: {
         enabled: true,
-        namespaces: [
-          'project/features/*',
-          'project/bugs/*',
-          'project/security/*',
-          'project/performance/*',
-          'project/architecture/*',
-          'project/reviews/*',
-          'project/incidents/*',
-          'project/tdd/*',
-          'project/implementations/*',
-          'project/debugging/*',
-          'project/full-tdd-swarm/*',
-          'project/multi-repo/*'
-        ]
+        namespaces: getMemoryNamespaces()
       },
       agents: [
         'coder',
@@ -121,26 +215,153 @@ export function getPluginSettings(pluginName) {
   return settings[pluginName] || {};
 }
 
+/**
+ * Get the settings keys and array entries the suite writes
+ */
+export function getSuiteSettingsPaths(pluginNames = DEFAULT_PLUGINS) {
+  const defaults = getDefaultSettings(pluginNames);
+
+  return {
+    keys: [
+      'danizee-suite',
+      ...Object.keys(defaults.mcpServers || {}).map(server => `mcpServers.${server}`),
+      ...Object.keys(defaults.features).map(feature => `features.${feature}`),
+      ...Object.keys(defaults['danizee-suite'].plugins).map(plugin => `plugins.${plugin}`)
+    ],
+    entries: {
+      'permissions.allow': defaults.permissions.allow
+    }
+  };
+}
+
+/**
+ * Work out which settings keys the suite owns
+ *
+ * A key is owned when it didn't exist before the suite wrote it, or when a
+ * previous install already owned it. Keys the user had first stay theirs.
+ */
+export function getOwnedSettings(existing, previous = null, pluginNames = DEFAULT_PLUGINS) {
+  const suite = getSuiteSettingsPaths(pluginNames);
+  const previousKeys = previous?.keys || [];
+
+  const keys = suite.keys.filter(key =>
+    key === 'danizee-suite' ||
+    previousKeys.includes(key) ||
+    getPath(existing, key) === undefined
+  );
+
+  const entries = {};
+  for (const [key, values] of Object.entries(suite.entries)) {
+    const current = getPath(existing, key) || [];
+    const previousEntries = previous?.entries?.[key] || [];
+    entries[key] = values.filter(value =>
+      previousEntries.includes(value) || !current.includes(value)
+    );
+  }
+
+  return { keys, entries };
+}
+
+/**
+ * What a previous install owns in existing settings
+ *
+ * The manifest's settings record when there is one. An install older than
+ * the manifest owns what getLegacyOwnedSettings recognises, and settings the
+ * suite never wrote to own nothing.
+ */
+export function getPreviousOwnedSettings(existing, previous = null) {
+  if (previous) {
+    return previous;
+  }
+
+  return existing['danizee-suite'] ? getLegacyOwnedSettings(existing) : { keys: [], entries: {} };
+}
+
+/**
+ * Get the file holding a scope's settings as they were before the suite
+ * first wrote to them
+ */
+export function getOriginalSettingsPath(claudeDir, scope = 'project') {
+  return path.join(claudeDir, STATE_DIR, `settings-${scope}.json`);
+}
+
+/**
+ * Read the settings a scope had before the suite first wrote to it
+ *
+ * Returns `{ content }`, with null content when there was no file, or null
+ * when nothing was recorded.
+ */
+async function readOriginalSettings(claudeDir, scope) {
+  try {
+    return JSON.parse(await fs.readFile(getOriginalSettingsPath(claudeDir, scope), 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Get the settings file for a scope
+ *
+ * `project` is the committed .claude/settings.json, `local` the
+ * git-ignored .claude/settings.local.json and `user` ~/.claude/settings.json.
+ */
+export function getSettingsPath(claudeDir, scope = 'project') {
+  switch (scope) {
+    case 'project':
+      return path.join(claudeDir, 'settings.json');
+    case 'local':
+      return path.join(claudeDir, 'settings.local.json');
+    case 'user':
+      return path.join(os.homedir(), '.claude', 'settings.json');
+    default:
+      throw new Error(`Unknown settings scope "${scope}". Use one of: ${SETTINGS_SCOPES.join(', ')}`);
+  }
+}
+
+/**
+ * Name of a scope's settings file, for messages
+ */
+export function getSettingsLabel(scope = 'project') {
+  return scope === 'user' ? '~/.claude/settings.json' : path.basename(getSettingsPath('.claude', scope));
+}
+
 /**
  * Read existing settings file
+ *
+ * A missing file reads as empty settings. A file that doesn't parse throws
+ * (code SETTINGS_PARSE_ERROR, with line and column) rather than reading as
+ * empty, so nothing gets written over it.
  */
-export async function readSettings(claudeDir) {
-  const settingsPath = path.join(claudeDir, 'settings.json');
+export async function readSettings(claudeDir, scope = 'project') {
+  const settingsPath = getSettingsPath(claudeDir, scope);
 
+  let content;
   try {
-    const content = await fs.readFile(settingsPath, 'utf-8');
-    return JSON.parse(content);
+    content = await fs.readFile(settingsPath, 'utf-8');
   } catch {
     return {};
   }
+
+  try {
+    parseTree(content);
+  } catch (error) {
+    throw createError('SETTINGS_PARSE_ERROR', `${settingsPath} is not valid JSON: ${error.message}`, {
+      file: settingsPath,
+      line: error.line,
+      column: error.column
+    });
+  }
+
+  return JSON.parse(content);
 }
 
 /**
  * Write settings file
  */
-export async function writeSettings(claudeDir, settings) {
-  const settingsPath = path.join(claudeDir, 'settings.json');
+export async function writeSettings(claudeDir, settings, scope = 'project') {
+  const settingsPath = getSettingsPath(claudeDir, scope);
 
+  await fs.mkdir(path.dirname(settingsPath), { recursive: true });
   await fs.writeFile(
     settingsPath,
     JSON.stringify(settings, null, 2),
@@ -148,67 +369,320 @@ export async function writeSettings(claudeDir, settings) {
   );
 }
 
+/**
+ * Merge suite values into settings following per-path rules
+ *
+ * Returns the merged settings and a change list with one entry per suite
+ * key: `added`, `changed` or `kept` when the value was already there.
+ */
+export function mergeWithRules(existing, suite, rules = SETTINGS_MERGE_RULES, prefix = '') {
+  const settings = { ...existing };
+  const changes = [];
+
+  for (const [key, value] of Object.entries(suite)) {
+    const keyPath = prefix ? `${prefix}.${key}` : key;
+    const current = existing[key];
+    const rule = getMergeRule(keyPath, rules);
+
+    if (isObject(value) && isObject(current) && rule !== 'keep') {
+      const nested = mergeWithRules(current, value, rules, keyPath);
+      settings[key] = nested.settings;
+      changes.push(...nested.changes);
+      continue;
+    }
+
+    if (current === undefined) {
+      settings[key] = value;
+      changes.push({ path: keyPath, change: 'added', after: value });
+      continue;
+    }
+
+    let merged = value;
+    if (rule === 'keep') {
+      merged = current;
+    } else if (rule === 'union' && Array.isArray(value) && Array.isArray(current)) {
+      const seen = new Set(current.map(entry => JSON.stringify(entry)));
+      merged = [...current, ...value.filter(entry => !seen.has(JSON.stringify(entry)))];
+    }
+
+    settings[key] = merged;
+    changes.push(JSON.stringify(merged) === JSON.stringify(current)
+      ? { path: keyPath, change: 'kept', after: current }
+      : { path: keyPath, change: 'changed', before: current, after: merged });
+  }
+
+  return { settings, changes };
+}
+
 /**
  * Merge suite settings with existing settings
+ *
+ * `options.plugins` maps each enabled plugin name to its settings block; it
+ * defaults to the built-in plugins. `options.disabled` lists plugins to
+ * switch off. `options.existing` replaces the settings read from disk.
+ * `options.scope` picks the settings file (see getSettingsPath).
+ * `options.owned` is what the previous install owned (the manifest's
+ * settings record): suite keys the user had before that are left exactly as
+ * they are, and what a disabled plugin brought in (its block, and for
+ * claude-flow the MCP server and permission) is only removed if it is ours.
+ *
+ * The first time the suite writes to a scope, the file as it was is saved
+ * (see getOriginalSettingsPath) so uninstall can put it back.
+ *
+ * Merging is idempotent: when nothing changes the file isn't rewritten and
+ * `updatedAt` stays put. Returns `{ settings, changes }`.
  */
 export async function mergeSettings(claudeDir, options = {}) {
-  const existing = await readSettings(claudeDir);
-  const defaultSettings = getDefaultSettings();
+  const onDisk = await readSettings(claudeDir, options.scope);
+  const existing = options.existing || onDisk;
+  const owned = getPreviousOwnedSettings(existing, options.owned);
 
   // Get all plugin settings
-  const allPluginSettings = {};
-  for (const plugin of ['claude-flow', 'compound-engineering', 'frontend-design']) {
-    allPluginSettings[plugin] = getPluginSettings(plugin);
+  const allPluginSettings = options.plugins || Object.fromEntries(
+    DEFAULT_PLUGINS.map(plugin => [plugin, getPluginSettings(plugin)])
+  );
+  const suite = getDefaultSettings(Object.keys(allPluginSettings));
+  suite.plugins = allPluginSettings;
+
+  // Disabled plugins stay in the map, switched off, without a settings block
+  for (const plugin of options.disabled || []) {
+    suite['danizee-suite'].plugins[plugin] = false;
   }
 
-  // Merge everything
-  let merged = deepMerge(existing, defaultSettings);
-  merged.plugins = deepMerge(merged.plugins || {}, allPluginSettings);
+  // Suite keys the user already had are theirs
+  const userKeys = getSuiteSettingsPaths([...Object.keys(allPluginSettings), ...(options.disabled || [])]).keys
+    .filter(key => key !== 'danizee-suite' && !owned.keys.includes(key) && getPath(existing, key) !== undefined);
+  const rules = {
+    ...Object.fromEntries(userKeys.map(key => [key, 'keep'])),
+    ...(options.rules || SETTINGS_MERGE_RULES)
+  };
+
+  const { settings, changes } = mergeWithRules(existing, suite, rules);
+
+  // What disabled plugins brought in goes, unless the user had it first
+  const enabled = getSuiteSettingsPaths(Object.keys(allPluginSettings));
+  const all = getSuiteSettingsPaths([...Object.keys(allPluginSettings), ...(options.disabled || [])]);
 
-  // Update installation timestamp if forcing
-  if (options.force) {
-    merged['danizee-suite'].installedAt = new Date().toISOString();
-    merged['danizee-suite'].updatedAt = new Date().toISOString();
+  for (const key of all.keys.filter(key => !enabled.keys.includes(key) && !userKeys.includes(key))) {
+    const before = getPath(settings, key);
+    if (before !== undefined) {
+      changes.push({ path: key, change: 'removed', before });
+      replacePath(settings, key, undefined);
+    }
   }
 
-  await writeSettings(claudeDir, merged);
+  for (const [key, values] of Object.entries(all.entries)) {
+    const stale = values.filter(value => !enabled.entries[key]?.includes(value) && owned.entries[key]?.includes(value));
+    const before = getPath(settings, key);
+    if (Array.isArray(before) && before.some(value => stale.includes(value))) {
+      const after = before.filter(value => !stale.includes(value));
+      changes.push({ path: key, change: 'changed', before, after });
+      replacePath(settings, key, after);
+    }
+  }
 
-  return merged;
+  // Only an install that actually changed something counts as an update
+  const updated = changes.some(change => change.change !== 'kept');
+  if (updated && existing['danizee-suite']) {
+    settings['danizee-suite'].updatedAt = new Date().toISOString();
+  }
+
+  if (!options.dryRun && JSON.stringify(settings) !== JSON.stringify(onDisk)) {
+    if (!onDisk['danizee-suite'] && await readOriginalSettings(claudeDir, options.scope) === null) {
+      let content = null;
+      try {
+        content = await fs.readFile(getSettingsPath(claudeDir, options.scope), 'utf-8');
+      } catch {
+        // No settings file yet
+      }
+      await fs.mkdir(path.dirname(getOriginalSettingsPath(claudeDir, options.scope)), { recursive: true });
+      await fs.writeFile(getOriginalSettingsPath(claudeDir, options.scope), JSON.stringify({ content }, null, 2));
+    }
+
+    await writeSettings(claudeDir, settings, options.scope);
+  }
+
+  return { settings, changes };
 }
 
 /**
- * Remove suite settings
+ * List the settings keys that differ between two settings objects
  */
-export async function removeSettings(claudeDir, keepSettings = false) {
-  if (keepSettings) {
-    // Just remove the danizee-suite marker
-    const settings = await readSettings(claudeDir);
-    delete settings['danizee-suite'];
-    await writeSettings(claudeDir, settings);
-  } else {
-    // Remove entire settings file
-    const settingsPath = path.join(claudeDir, 'settings.json');
-    try {
-      await fs.unlink(settingsPath);
-    } catch {
-      // File doesn't exist
+export function diffSettings(before, after, prefix = '') {
+  const changes = [];
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  for (const key of keys) {
+    const keyPath = prefix ? `${prefix}.${key}` : key;
+    const from = before?.[key];
+    const to = after?.[key];
+
+    if (isObject(from) && isObject(to)) {
+      changes.push(...diffSettings(from, to, keyPath));
+    } else if (from === undefined) {
+      changes.push({ path: keyPath, change: 'added', after: to });
+    } else if (to === undefined) {
+      changes.push({ path: keyPath, change: 'removed', before: from });
+    } else if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({ path: keyPath, change: 'changed', before: from, after: to });
     }
   }
+
+  return changes;
 }
 
 /**
- * Validate settings structure
+ * Read every settings scope and layer them into the effective view
+ *
+ * Later scopes override earlier ones, arrays are combined. `sources` maps
+ * each key path to the scope(s) its value came from.
  */
-export function validateSettings(settings) {
-  const errors = [];
+export async function readEffectiveSettings(claudeDir) {
+  const settings = {};
+  const sources = {};
+
+  const layer = (target, source, scope, prefix) => {
+    for (const [key, value] of Object.entries(source)) {
+      const keyPath = prefix ? `${prefix}.${key}` : key;
+
+      if (isObject(value)) {
+        target[key] = isObject(target[key]) ? target[key] : {};
+        layer(target[key], value, scope, keyPath);
+      } else if (Array.isArray(value) && Array.isArray(target[key])) {
+        target[key] = [...new Set([...target[key], ...value])];
+        sources[keyPath] = [...sources[keyPath], scope];
+      } else {
+        target[key] = value;
+        sources[keyPath] = [scope];
+      }
+    }
+  };
 
-  if (!settings['danizee-suite']) {
-    errors.push('Missing danizee-suite configuration');
+  for (const scope of SETTINGS_SCOPES) {
+    layer(settings, await readSettings(claudeDir, scope), scope, '');
   }
 
-  if (!settings.mcpServers?.['claude-flow']) {
-    errors.push('Missing claude-flow MCP server configuration');
+  return { settings, sources };
+}
+
+/**
+ * Work out what a pre-manifest install owns from the settings alone
+ *
+ * The claude-flow server only counts as ours if it still has the exact
+ * definition the suite writes.
+ */
+function getLegacyOwnedSettings(settings) {
+  const installed = Object.keys(settings['danizee-suite']?.plugins || {});
+  const suite = getSuiteSettingsPaths(installed.length > 0 ? installed : DEFAULT_PLUGINS);
+  const defaults = getDefaultSettings();
+
+  return {
+    ...suite,
+    keys: suite.keys.filter(key =>
+      !key.startsWith('mcpServers.') ||
+      JSON.stringify(getPath(settings, key)) === JSON.stringify(getPath(defaults, key))
+    )
+  };
+}
+
+/**
+ * Remove suite settings
+ *
+ * Only what the suite owns is cut out of the file: the keys and array
+ * entries in `owned` (the manifest's settings record), or just the
+ * danizee-suite marker with `keepSettings`. Everything else keeps its exact
+ * text. The file is deleted once nothing else is left in it.
+ *
+ * When the settings from before the first install were saved, suite keys
+ * the user had then get their old value back if it was changed, and a file
+ * that ends up with the same settings as back then is restored byte for
+ * byte.
+ */
+export async function removeSettings(claudeDir, keepSettings = false, scope = 'project', owned = null) {
+  const settingsPath = getSettingsPath(claudeDir, scope);
+
+  let content;
+  try {
+    content = await fs.readFile(settingsPath, 'utf-8');
+  } catch {
+    // File doesn't exist
+    return;
+  }
+
+  let settings;
+  try {
+    settings = JSON.parse(content);
+  } catch (error) {
+    throw createError('SETTINGS_PARSE_ERROR', `Cannot remove suite settings, ${settingsPath} is not valid JSON: ${error.message}`, {
+      file: settingsPath
+    });
+  }
+
+  const remove = keepSettings
+    ? { keys: ['danizee-suite'], entries: {} }
+    : owned || getLegacyOwnedSettings(settings);
+
+  let stripped = content;
+  for (const key of remove.keys) {
+    stripped = removeProperty(stripped, key.split('.'), { prune: !keepSettings });
+  }
+  for (const [key, values] of Object.entries(remove.entries || {})) {
+    for (const value of values) {
+      stripped = removeArrayValue(stripped, key.split('.'), value, { prune: true });
+    }
+  }
+
+  const original = keepSettings ? null : await readOriginalSettings(claudeDir, scope);
+  if (original) {
+    const before = original.content?.trim() ? JSON.parse(original.content) : {};
+    const after = JSON.parse(stripped);
+    const plugins = [...new Set([...DEFAULT_PLUGINS, ...Object.keys(settings['danizee-suite']?.plugins || {})])];
+
+    let restored = false;
+    for (const key of getSuiteSettingsPaths(plugins).keys) {
+      const value = getPath(before, key);
+      if (value !== undefined && !sameValue(getPath(after, key), value)) {
+        setPath(after, key, value);
+        restored = true;
+      }
+    }
+
+    if (sameValue(after, before)) {
+      stripped = original.content ?? '{}';
+    } else if (restored) {
+      stripped = JSON.stringify(after, null, 2);
+    }
+  }
+
+  if (Object.keys(JSON.parse(stripped)).length === 0 && !original?.content) {
+    await fs.unlink(settingsPath);
+  } else if (stripped !== content) {
+    await fs.writeFile(settingsPath, stripped, 'utf-8');
+  }
+
+  try {
+    await fs.unlink(getOriginalSettingsPath(claudeDir, scope));
+  } catch {
+    // Nothing was saved
   }
+}
+
+/**
+ * Validate settings against the suite's schema
+ *
+ * Pass the file's `text` to get a line and column for each error.
+ */
+export function validateSettings(settings, text = null) {
+  const tree = text === null ? null : parseTree(text);
+
+  const errors = validateSchema(settings, SETTINGS_SCHEMA).map(({ segments, path: jsonPath, message }) => {
+    const node = tree && findNode(tree, segments);
+    return {
+      path: jsonPath,
+      message,
+      ...(node ? getPosition(text, node.start) : {})
+    };
+  });
 
   return {
     valid: errors.length === 0,
@@ -216,13 +690,51 @@ export function validateSettings(settings) {
   };
 }
 
+/**
+ * Validate the settings file of a scope
+ *
+ * Returns `{ file, exists, parseError, valid, errors }`. A file that doesn't
+ * parse has a `parseError` with line and column and no schema errors.
+ */
+export async function validateSettingsFile(claudeDir, scope = 'project') {
+  const file = getSettingsPath(claudeDir, scope);
+  const result = { file, exists: false, parseError: null, valid: false, errors: [] };
+
+  let content;
+  try {
+    content = await fs.readFile(file, 'utf-8');
+    result.exists = true;
+  } catch {
+    return result;
+  }
+
+  try {
+    parseTree(content);
+  } catch (error) {
+    result.parseError = { message: error.reason, line: error.line, column: error.column };
+    return result;
+  }
+
+  return { ...result, ...validateSettings(JSON.parse(content), content) };
+}
+
 export default {
+  SETTINGS_MERGE_RULES,
   getDefaultSettings,
   getPluginSettings,
+  getSuiteSettingsPaths,
+  getOwnedSettings,
+  getPreviousOwnedSettings,
+  getOriginalSettingsPath,
+  getSettingsPath,
+  getSettingsLabel,
   readSettings,
+  readEffectiveSettings,
   writeSettings,
+  mergeWithRules,
   mergeSettings,
+  diffSettings,
   removeSettings,
   validateSettings,
-  deepMerge
+  validateSettingsFile
 };
@@ -5,12 +5,11 @@
 
 import fs from 'fs/promises';
 import path from 'path';
+import { formatFrontMatter } from './frontmatter.js';
+import { getWriter } from './writer.js';
+import { SUITE_CLI, WORKFLOWS, WORKFLOW_GROUPS, getNamespaceContents, getDisabledPlugins, getShortTrigger } from './workflows.js';
 
-/**
- * Generate the complete WORKFLOW-SHORTCUTS.md content
- */
-export function generateWorkflowShortcuts() {
-  return `# Workflow Shortcuts
+const INTRO = `# Workflow Shortcuts
 
 Natural language workflows that **compound knowledge** - each task makes future tasks easier.
 
@@ -40,723 +39,281 @@ Every workflow follows this pattern:
 **At checkpoints**, say "continue" to proceed or give feedback to redirect.
 
 **Result**: The 2nd time you solve a similar problem, it's faster because the workflow finds and applies your previous solution.
+`;
 
----
-
-## Development Workflows
-
-### Full Cycle Development
-
-**Say:**
-> "Run the full cycle workflow on [feature]"
-
-**What it does:** Plans → implements in isolated worktree → comprehensive review → PR ready.
-
-**Checkpoints:**
-| # | After | You Review |
-|---|-------|------------|
-| 0 | Search | Similar past solutions found |
-| 1 | Planning | Proposed approach and files |
-| 2 | Implementation | Code changes before PR |
-| 3 | Review | Findings before merge |
-| 4 | Compound | Solution summary to store |
-
-**Compounds:**
-\`\`\`
-Memory: project/features/[feature-name]
-Doc: docs/solutions/features/[feature-name].md
-Pattern: implementation approach + key decisions
-\`\`\`
-
-**Example:**
-\`\`\`
-User: Run the full cycle workflow on adding OAuth2 authentication with Google
-\`\`\`
-
-<details>
-<summary>Under the hood</summary>
-
-\`\`\`bash
-# Search
-mcp__claude-flow__memory_search { pattern: "auth/*" }
-
-# Execute
-/compound-engineering:workflows:plan
-npx claude-flow@alpha swarm init --topology hierarchical
-/compound-engineering:workflows:work
-/compound-engineering:workflows:review
-
-# Compound
-mcp__claude-flow__memory_usage { action: "store", key: "project/features/oauth2-google" }
-/compound-engineering:workflows:compound
-mcp__claude-flow__neural_patterns { action: "learn" }
-\`\`\`
-</details>
-
----
-
-### Swarm Build
-
-**Say:**
-> "Use swarm to build [task]"
-
-**What it does:** Spawns parallel agents (coder, tester, reviewer) for rapid implementation.
-
-**Checkpoints:**
-| # | After | You Review |
-|---|-------|------------|
-| 0 | Search | Related implementation patterns |
-| 1 | Agent spawn | Agent assignments and strategy |
-| 2 | Execution | Completed work before integration |
-| 3 | Compound | Implementation pattern to store |
-
-**Compounds:**
-\`\`\`
-Memory: project/implementations/[task-name]
-Doc: docs/solutions/implementations/[task-name].md
-Pattern: agent configuration + coordination approach
-\`\`\`
-
-**Example:**
-\`\`\`
-User: Use swarm to build a REST API for user management with CRUD and tests
-\`\`\`
-
-<details>
-<summary>Under the hood</summary>
-
-\`\`\`bash
-# Search
-mcp__claude-flow__memory_search { pattern: "implementations/*api*" }
-
-# Execute
-npx claude-flow@alpha swarm init --topology hierarchical
-Task("coder", "Implement endpoints...", "coder") x3
-Task("tester", "Create tests...", "tester") x2
-Task("reviewer", "Review code...", "reviewer")
-
-# Compound
-mcp__claude-flow__memory_usage { action: "store", key: "project/implementations/user-api" }
-/compound-engineering:workflows:compound
-\`\`\`
-</details>
-
----
-
-### TDD Development
-
-**Say:**
-> "TDD workflow for [feature]"
-
-**What it does:** SPARC methodology: Spec → Tests first → Implementation → Refinement.
-
-**Checkpoints:**
-| # | After | You Review |
-|---|-------|------------|
-| 0 | Search | Similar test patterns |
-| 1 | Specification | Requirements and acceptance criteria |
-| 2 | Test creation | Test cases before implementation |
-| 3 | Implementation | Code that makes tests pass |
-| 4 | Compound | Test patterns to store |
-
-**Compounds:**
-\`\`\`
-Memory: project/tdd/[feature-name]
-Doc: docs/solutions/tdd/[feature-name].md
-Pattern: test structure + implementation approach
-\`\`\`
-
-**Example:**
-\`\`\`
-User: TDD workflow for shopping cart with add, remove, and checkout
-\`\`\`
-
-<details>
-<summary>Under the hood</summary>
-
-\`\`\`bash
-# Search
-mcp__claude-flow__memory_search { pattern: "tdd/*cart*" }
-
-# Execute
-npx claude-flow@alpha sparc tdd "[feature]"
-
-# Compound
-mcp__claude-flow__memory_usage { action: "store", key: "project/tdd/shopping-cart" }
-/compound-engineering:workflows:compound
-\`\`\`
-</details>
-
----
-
-### Full TDD Swarm
-
-**Say:**
-> "Full TDD Swarm on [feature]"
-
-**What it does:** Combines planning (Full Cycle) + test-first (TDD) + parallel build (Swarm) + comprehensive review.
-
-**Philosophy:** Plan like Full Cycle, test like TDD, build like Swarm.
-
-**Checkpoints:**
-| # | After | You Review |
-|---|-------|------------|
-| 0 | Search | Past solutions, TDD patterns, implementations |
-| 1 | Plan | Architecture, files, approach |
-| 2 | Spec | Acceptance criteria, test cases |
-| 3 | Tests | Test files (must fail - no implementation yet) |
-| 4 | Build | Implementation (tests must pass) |
-| 5 | Review | Security, performance, patterns, architecture |
-| 6 | Compound | Complete solution summary |
-
-**Strict TDD Rule:** Build phase is BLOCKED until all tests are written and failing.
-
-**Compounds:**
-\`\`\`
-Memory: project/full-tdd-swarm/[feature-name]
-Doc: docs/solutions/full-tdd-swarm/[feature-name].md
-Pattern: plan + test structure + implementation + review findings
-\`\`\`
-
-**Example:**
-\`\`\`
-User: Full TDD Swarm on user authentication with JWT tokens
-\`\`\`
-
-<details>
-<summary>Under the hood</summary>
-
-\`\`\`bash
-# 0. SEARCH (unified)
-mcp__claude-flow__memory_search { pattern: "features/*[feature]*" }
-mcp__claude-flow__memory_search { pattern: "tdd/*[feature]*" }
-mcp__claude-flow__memory_search { pattern: "implementations/*[feature]*" }
-
-# 1. PLAN
-/compound-engineering:workflows:plan [feature]
-
-# 2. SPEC
-npx claude-flow@alpha sparc run spec-pseudocode "[feature]"
-
-# 3. TEST-FIRST (strict: ALL tests before ANY implementation)
-npx claude-flow@alpha swarm init --topology hierarchical
-Task("tester", "Write unit tests for [component-1]", "tester")
-Task("tester", "Write unit tests for [component-2]", "tester")
-Task("tester", "Write integration tests", "tester")
-# GATE: npm run test → ALL MUST FAIL (no implementation yet)
-
-# 4. SWARM BUILD
-Task("coder", "Implement [component-1] to pass tests", "coder")
-Task("coder", "Implement [component-2] to pass tests", "coder")
-Task("coder", "Implement integration layer", "coder")
-# VERIFY: npm run test → ALL MUST PASS
-
-# 5. FULL REVIEW
-/compound-engineering:workflows:review
-Task("security-sentinel", "Security scan", "reviewer")
-Task("performance-oracle", "Performance analysis", "reviewer")
-Task("architecture-strategist", "Architecture review", "reviewer")
-Task("pattern-recognition-specialist", "Pattern analysis", "reviewer")
-Task("code-simplicity-reviewer", "Simplicity check", "reviewer")
-
-# 6. COMPOUND
-mcp__claude-flow__memory_usage { action: "store", key: "project/full-tdd-swarm/[feature]" }
-/compound-engineering:workflows:compound
-mcp__claude-flow__neural_patterns { action: "learn" }
-\`\`\`
-</details>
-
----
-
-## Bug Fix Workflows
-
-### Quick Fix
-
-**Say:**
-> "Quick fix for [bug description]"
-
-**What it does:** Fast investigation → targeted fix → verification.
-
-**Checkpoints:**
-| # | After | You Review |
-|---|-------|------------|
-| 0 | Search | Similar bugs fixed before |
-| 1 | Investigation | Root cause analysis |
-| 2 | Fix applied | Changes before testing |
-| 3 | Compound | Bug pattern to store |
-
-**Compounds:**
-\`\`\`
-Memory: project/bugs/[bug-category]
-Doc: docs/solutions/bugs/[bug-name].md
-Pattern: root cause + fix approach
-\`\`\`
-
-**Example:**
-\`\`\`
-User: Quick fix for users getting logged out after password reset
-\`\`\`
-
-<details>
-<summary>Under the hood</summary>
-
-\`\`\`bash
-# Search
-mcp__claude-flow__memory_search { pattern: "bugs/*auth*" }
-
-# Execute
-# Search codebase, analyze, apply minimal fix, run tests
-
-# Compound
-mcp__claude-flow__memory_usage { action: "store", key: "project/bugs/auth-logout-reset" }
-/compound-engineering:workflows:compound
-\`\`\`
-</details>
-
----
-
-### Deep Debug
-
-**Say:**
-> "Debug workflow for [issue]"
-
-**What it does:** Thorough multi-angle analysis: code, git history, performance profiling.
-
-**Checkpoints:**
-| # | After | You Review |
-|---|-------|------------|
-| 0 | Search | Related debugging sessions |
-| 1 | Analysis | Initial findings and hypotheses |
-| 2 | Investigation | Confirmed root cause |
-| 3 | Fix proposal | Proposed solution approach |
-| 4 | Verification | Fix applied and tested |
-| 5 | Compound | Root cause analysis to store |
-
-**Compounds:**
-\`\`\`
-Memory: project/debugging/[issue-category]
-Doc: docs/solutions/debugging/[issue-name].md
-Pattern: investigation approach + root cause + prevention
-\`\`\`
-
-**Example:**
-\`\`\`
-User: Debug workflow for intermittent API timeouts in production
-\`\`\`
-
-<details>
-<summary>Under the hood</summary>
-
-\`\`\`bash
-# Search
-mcp__claude-flow__memory_search { pattern: "debugging/*timeout*" }
-
-# Execute
-npx claude-flow@alpha sparc debugger "[issue]"
-Task("analyst", "Analyze patterns...", "analyst")
-Task("git-history-analyzer", "Check recent changes...", "researcher")
-
-# Compound
-mcp__claude-flow__memory_usage { action: "store", key: "project/debugging/api-timeouts" }
-/compound-engineering:workflows:compound
-\`\`\`
-</details>
-
----
-
-### Critical Hotfix
-
-**Say:**
-> "Critical hotfix for [issue]"
-
-**What it does:** Isolated branch → minimal fix → security-focused review → expedited PR.
-
-**Checkpoints:**
-| # | After | You Review |
-|---|-------|------------|
-| 0 | Search | Similar incidents |
-| 1 | Branch created | Isolated hotfix branch |
-| 2 | Fix applied | Minimal change for review |
-| 3 | Security review | Security analysis complete |
-| 4 | Compound | Incident doc to store |
-
-**Compounds:**
-\`\`\`
-Memory: project/incidents/[incident-type]
-Doc: docs/solutions/incidents/[incident-name].md
-Pattern: incident response + prevention measures
-\`\`\`
-
-**Example:**
-\`\`\`
-User: Critical hotfix for SQL injection vulnerability in search endpoint
-\`\`\`
-
-<details>
-<summary>Under the hood</summary>
-
-\`\`\`bash
-# Search
-mcp__claude-flow__memory_search { pattern: "incidents/*sql*" }
-
-# Execute
-git worktree add ../hotfix-branch hotfix/[issue]
-npx claude-flow@alpha swarm init --topology star
-Task("security-sentinel", "Security review...", "reviewer")
-
-# Compound
-mcp__claude-flow__memory_usage { action: "store", key: "project/incidents/sql-injection-search" }
-/compound-engineering:workflows:compound
-\`\`\`
-</details>
-
----
-
-## Review Workflows
-
-### Full Review
-
-**Say:**
-> "Full review of PR [number]"
-
-**What it does:** 12+ specialized agents analyze code, security, performance, architecture.
-
-**Checkpoints:**
-| # | After | You Review |
-|---|-------|------------|
-| 0 | Search | Past review patterns for this code area |
-| 1 | Code analysis | Style, patterns, quality findings |
-| 2 | Security scan | Vulnerability report |
-| 3 | Performance check | Optimization opportunities |
-| 4 | Compound | Review findings to store |
-
-**Compounds:**
-\`\`\`
-Memory: project/reviews/[pr-topic]
-Doc: docs/solutions/reviews/[pr-number].md
-Pattern: key findings + recommendations applied
-\`\`\`
-
-**Example:**
-\`\`\`
-User: Full review of PR 47
-\`\`\`
-
-<details>
-<summary>Under the hood</summary>
-
-\`\`\`bash
-# Search
-mcp__claude-flow__memory_search { pattern: "reviews/*" }
-
-# Execute
-/compound-engineering:workflows:review PR#47
-# Runs: code-simplicity-reviewer, security-sentinel, performance-oracle,
-#       architecture-strategist, pattern-recognition-specialist
-
-# Compound
-mcp__claude-flow__memory_usage { action: "store", key: "project/reviews/pr-47-auth" }
-/compound-engineering:workflows:compound
-\`\`\`
-</details>
-
----
-
-### Security Audit
-
-**Say:**
-> "Security audit on [target]"
-
-**What it does:** OWASP top 10, auth/authz, data exposure analysis.
-
-**Checkpoints:**
-| # | After | You Review |
-|---|-------|------------|
-| 0 | Search | Past security findings in this area |
-| 1 | Scan complete | Vulnerability findings |
-| 2 | Analysis done | Risk assessment and priorities |
-| 3 | Compound | Security patterns to store |
-
-**Compounds:**
-\`\`\`
-Memory: project/security/[target-area]
-Doc: docs/solutions/security/[audit-name].md
-Pattern: vulnerabilities found + remediation applied
-\`\`\`
-
-**Example:**
-\`\`\`
-User: Security audit on the authentication module
-\`\`\`
-
-<details>
-<summary>Under the hood</summary>
-
-\`\`\`bash
-# Search
-mcp__claude-flow__memory_search { pattern: "security/*auth*" }
-
-# Execute
-Task("security-sentinel", "Full security scan...", "reviewer")
-# Checks: SQL injection, XSS, CSRF, auth bypass, secrets, input validation
-
-# Compound
-mcp__claude-flow__memory_usage { action: "store", key: "project/security/auth-module" }
-/compound-engineering:workflows:compound
-\`\`\`
-</details>
-
----
-
-### Performance Audit
-
-**Say:**
-> "Performance audit on [target]"
-
-**What it does:** Bottlenecks, N+1 queries, memory issues, optimization opportunities.
-
-**Checkpoints:**
-| # | After | You Review |
-|---|-------|------------|
-| 0 | Search | Past performance optimizations |
-| 1 | Profiling done | Bottleneck identification |
-| 2 | Analysis complete | Prioritized recommendations |
-| 3 | Compound | Performance patterns to store |
-
-**Compounds:**
-\`\`\`
-Memory: project/performance/[target-area]
-Doc: docs/solutions/performance/[audit-name].md
-Pattern: bottlenecks found + optimizations applied
-\`\`\`
-
-**Example:**
-\`\`\`
-User: Performance audit on the dashboard loading
-\`\`\`
-
-<details>
-<summary>Under the hood</summary>
-
-\`\`\`bash
-# Search
-mcp__claude-flow__memory_search { pattern: "performance/*dashboard*" }
-
-# Execute
-Task("performance-oracle", "Profile and analyze...", "analyst")
-npx claude-flow@alpha analysis bottleneck-detect
-
-# Compound
-mcp__claude-flow__memory_usage { action: "store", key: "project/performance/dashboard" }
-/compound-engineering:workflows:compound
-\`\`\`
-</details>
-
----
-
-## Architecture Workflows
-
-### Hive-Mind Architecture
-
-**Say:**
-> "Hive-mind architecture for [system]"
-
-**What it does:** Multiple agents collaborate with collective intelligence for complex design.
-
-**Checkpoints:**
-| # | After | You Review |
-|---|-------|------------|
-| 0 | Search | Related architecture decisions |
-| 1 | Hive initialized | Agent assignments |
-| 2 | Design proposals | Multiple architecture options |
-| 3 | Consensus reached | Final recommended design |
-| 4 | Compound | Architecture decision record |
+const KEY_AGENTS = [
+  ['coder', 'Implementation'],
+  ['tester', 'Test creation'],
+  ['reviewer', 'Code review'],
+  ['security-sentinel', 'Security scanning'],
+  ['performance-oracle', 'Performance analysis'],
+  ['architecture-strategist', 'Design review'],
+  ['analyst', 'Deep analysis']
+];
 
-**Compounds:**
-\`\`\`
-Memory: project/architecture/[system-name]
-Doc: docs/solutions/architecture/[system-name]-adr.md
-Pattern: decision rationale + trade-offs considered
-\`\`\`
+const TIPS = `## Tips
 
-**Example:**
-\`\`\`
-User: Hive-mind architecture for microservices migration
-\`\`\`
+1. **Be specific** - More detail = better pattern matching
+2. **Review checkpoint 0** - Past solutions may already solve your problem
+3. **Name patterns well** - Good names make future searches easier
+4. **Trust the compound** - Don't skip the final checkpoint
+5. **Search first manually** - "Search for solutions to [X]" before starting if unsure
+`;
 
-<details>
-<summary>Under the hood</summary>
+/**
+ * Render a markdown table
+ */
+function renderTable(headers, rows) {
+  return [
+    `| ${headers.join(' | ')} |`,
+    `|${headers.map(header => '-'.repeat(header.length + 2)).join('|')}|`,
+    ...rows.map(row => `| ${row.join(' | ')} |`)
+  ].join('\n');
+}
 
-\`\`\`bash
-# Search
-mcp__claude-flow__memory_search { pattern: "architecture/*microservices*" }
+/**
+ * A workflow's checkpoints as a numbered table
+ */
+function renderCheckpoints(workflow) {
+  return renderTable(['#', 'After', 'You Review'],
+    workflow.checkpoints.map(([after, review], index) => [index, after, review]));
+}
 
-# Execute
-npx claude-flow@alpha hive-mind init
-Task("system-architect", "Design system...", "architect")
-Task("analyst", "Analyze trade-offs...", "analyst")
-mcp__claude-flow__collective-intelligence-coordinator
+/**
+ * Where a workflow's outcome is stored
+ */
+function renderCompound(workflow) {
+  const { memoryKey, docsFolder, docName = '[name].md', pattern } = workflow.compound;
+
+  return [
+    '```',
+    `Memory: ${memoryKey}`,
+    `Doc: docs/solutions/${docsFolder}/${docName}`,
+    ...(pattern ? [`Pattern: ${pattern}`] : []),
+    '```'
+  ].join('\n');
+}
 
-# Compound
-mcp__claude-flow__memory_usage { action: "store", key: "project/architecture/microservices" }
-/compound-engineering:workflows:compound
-\`\`\`
-</details>
+/**
+ * Note the disabled plugins a workflow calls on, or null when it has all it
+ * needs
+ */
+function renderDisabledPlugins(workflow, disabled) {
+  const plugins = getDisabledPlugins(workflow, disabled);
+  if (plugins.length === 0) {
+    return null;
+  }
 
----
+  const enable = plugins.map(plugin => `\`${SUITE_CLI} plugin enable ${plugin}\``).join(' and ');
+  return `**Needs:** ${plugins.join(', ')}, disabled in this project. Run ${enable} before using this workflow.`;
+}
 
-### Multi-Repository
+/**
+ * A workflow's "under the hood" steps as a bash block
+ */
+function renderSteps(workflow) {
+  const steps = workflow.steps.map(([section, lines]) => [`# ${section}`, ...lines].join('\n'));
+  return `\`\`\`bash\n${steps.join('\n\n')}\n\`\`\``;
+}
 
-**Say:**
-> "Multi-repo workflow for [task]"
+/**
+ * Render one workflow's section
+ *
+ * A workflow that calls on `disabled` plugins says so.
+ */
+export function renderWorkflow(workflow, disabled = []) {
+  const parts = [
+    `### ${workflow.name}`,
+    `**Say:**\n${workflow.triggers.map(trigger => `> "${trigger}"`).join('\n')}`,
+    `**Or run:** \`${getWorkflowCommand(workflow)}\``,
+    `**What it does:** ${workflow.description}`
+  ];
+
+  const needs = renderDisabledPlugins(workflow, disabled);
+  if (needs) {
+    parts.push(needs);
+  }
 
-**What it does:** Coordinates changes across repos with dependency awareness.
+  if (workflow.philosophy) {
+    parts.push(`**Philosophy:** ${workflow.philosophy}`);
+  }
 
-**Checkpoints:**
-| # | After | You Review |
-|---|-------|------------|
-| 0 | Search | Past multi-repo coordination patterns |
-| 1 | Repos analyzed | Dependency map and change plan |
-| 2 | Changes prepared | Per-repo changes for review |
-| 3 | Sync complete | All repos updated |
-| 4 | Compound | Coordination pattern to store |
+  if (workflow.checkpoints?.length) {
+    parts.push(`**Checkpoints:**\n${renderCheckpoints(workflow)}`);
+  }
 
-**Compounds:**
-\`\`\`
-Memory: project/multi-repo/[task-name]
-Doc: docs/solutions/multi-repo/[task-name].md
-Pattern: coordination approach + dependency handling
-\`\`\`
+  if (workflow.rule) {
+    parts.push(`**${workflow.rule[0]}:** ${workflow.rule[1]}`);
+  }
 
-**Example:**
-\`\`\`
-User: Multi-repo workflow for updating shared auth library across all repos
-\`\`\`
+  if (workflow.compound) {
+    parts.push(`**Compounds:**\n${renderCompound(workflow)}`);
+  }
 
-<details>
-<summary>Under the hood</summary>
+  if (workflow.example) {
+    parts.push(`**Example:**\n\`\`\`\n${workflow.example}\n\`\`\``);
+  }
 
-\`\`\`bash
-# Search
-mcp__claude-flow__memory_search { pattern: "multi-repo/*" }
+  if (workflow.notes) {
+    parts.push(workflow.notes);
+  }
 
-# Execute
-npx claude-flow@alpha swarm init --topology mesh
-Task("multi-repo-swarm", "Coordinate changes...", "coordinator")
-npx claude-flow@alpha github multi-repo --repos "frontend,backend,mobile"
+  if (workflow.steps?.length) {
+    parts.push(`<details>\n<summary>Under the hood</summary>\n\n${renderSteps(workflow)}\n</details>`);
+  }
 
-# Compound
-mcp__claude-flow__memory_usage { action: "store", key: "project/multi-repo/auth-library-update" }
-/compound-engineering:workflows:compound
-\`\`\`
-</details>
+  return parts.join('\n\n');
+}
 
----
+/**
+ * The slash command that runs a workflow, with its target
+ */
+export function getWorkflowCommand(workflow) {
+  const target = /\[[^\]]+\]/.exec(workflow.triggers[0])?.[0];
+  return `/${workflow.id}${target ? ` ${target}` : ''}`;
+}
 
-## Utility Workflows
+/**
+ * Render the slash command file that runs a workflow directly
+ *
+ * The command's arguments stand in for the bracketed target of the
+ * workflow's first trigger. It spells out the journal, checkpoints, steps
+ * and compound commands so a run doesn't depend on matching a phrase. It
+ * is written even when the workflow calls on `disabled` plugins, with a note
+ * on enabling them.
+ */
+export function generateWorkflowCommand(workflow, disabled = []) {
+  const target = /\[([^\]]+)\]/.exec(workflow.triggers[0])?.[1] || null;
+  const parts = [
+    formatFrontMatter({ description: workflow.description, ...(target ? { 'argument-hint': `[${target}]` } : {}) }).trimEnd(),
+    `# ${workflow.name}`,
+    `${workflow.description}${target ? `\n\n**${target.replace(/^\w/, char => char.toUpperCase())}:** $ARGUMENTS` : ''}`,
+    `Same as saying ${workflow.triggers.map(trigger => `"${trigger}"`).join(' or ')}.`
+  ];
+
+  const needs = renderDisabledPlugins(workflow, disabled);
+  if (needs) {
+    parts.push(needs);
+  }
 
-### Compound This
+  if (workflow.philosophy) {
+    parts.push(`**Philosophy:** ${workflow.philosophy}`);
+  }
 
-**Say:**
-> "Compound this solution"
-> "Document what we just solved"
+  if (workflow.checkpoints?.length) {
+    parts.push([
+      '## Journal',
+      'Record the run so a later session can resume it (see `/run`):',
+      `\`\`\`bash\n${SUITE_CLI} run start ${workflow.id} "$ARGUMENTS"\n\`\`\``,
+      'At each checkpoint, once the user answers, record it with\n' +
+        `\`${SUITE_CLI} run checkpoint <number> --decision continue|feedback|stop\`.`
+    ].join('\n\n'));
 
-**What it does:** Captures current context as reusable knowledge (ad-hoc).
+    parts.push(`## Checkpoints\n\nStop after each checkpoint and show what the user should review. Go on only when they say "continue"; treat anything else as feedback to act on first.\n\n${renderCheckpoints(workflow)}`);
+  }
 
-**Example:**
-\`\`\`
-User: Compound this solution
-Claude: What category? (feature/bug/security/performance/architecture)
-User: bug
-Claude: Stored as project/bugs/[auto-named] + created docs/solutions/bugs/[name].md
-\`\`\`
+  if (workflow.rule) {
+    parts.push(`**${workflow.rule[0]}:** ${workflow.rule[1]}`);
+  }
 
----
+  if (workflow.example && !workflow.steps?.length) {
+    parts.push(`## Example\n\n\`\`\`\n${workflow.example}\n\`\`\``);
+  }
 
-### Search Solutions
+  if (workflow.steps?.length) {
+    const example = workflow.example?.split('\n')[0].replace(/^User:\s*/, '');
+    parts.push([
+      '## Steps',
+      ...(example ? [`Shown for "${example}"; use the target's own terms in search patterns and memory keys.`] : []),
+      renderSteps(workflow)
+    ].join('\n\n'));
+  }
 
-**Say:**
-> "Search for solutions to [problem]"
-> "What patterns exist for [category]?"
+  if (workflow.compound) {
+    const { memoryKey, docsFolder } = workflow.compound;
+    const commands = [
+      `mcp__claude-flow__memory_usage { action: "store", key: "${memoryKey}" }`,
+      `${SUITE_CLI} solution new ${docsFolder} "[title]" --memory-key ${memoryKey}`
+    ];
+    parts.push(`## Compound\n\nAt the last checkpoint, store the outcome in memory and write the solution doc:\n\n${renderCompound(workflow)}\n\n\`\`\`bash\n${commands.join('\n')}\n\`\`\``);
+  }
 
-**What it does:** Searches memory and solution docs for relevant past work.
+  if (workflow.notes) {
+    parts.push(workflow.notes);
+  }
 
-**Example:**
-\`\`\`
-User: Search for solutions to authentication issues
-Claude: Found 3 matches:
-  - project/bugs/auth-logout-reset (Dec 2024)
-  - project/features/oauth2-google (Nov 2024)
-  - project/security/auth-module (Oct 2024)
-\`\`\`
+  return `${parts.join('\n\n')}\n`;
+}
 
----
+/**
+ * Generate the complete WORKFLOW-SHORTCUTS.md content from workflow
+ * definitions
+ *
+ * Workflows that call on `disabled` plugins are marked.
+ */
+export function generateWorkflowShortcuts(workflows = WORKFLOWS, disabled = []) {
+  const sections = [INTRO];
+
+  for (const [group, heading] of WORKFLOW_GROUPS) {
+    const members = workflows.filter(workflow => workflow.group === group);
+    if (members.length > 0) {
+      sections.push(`## ${heading}\n\n${members.map(workflow => renderWorkflow(workflow, disabled)).join('\n\n---\n\n')}\n`);
+    }
+  }
 
-## Quick Reference
-
-### Workflow Summary
-
-| Workflow | Trigger | Best For |
-|----------|---------|----------|
-| Full Cycle | "full cycle workflow on [X]" | New features |
-| Swarm Build | "swarm to build [X]" | Parallel implementation |
-| TDD | "TDD workflow for [X]" | Test-first development |
-| Full TDD Swarm | "Full TDD Swarm on [X]" | Critical features (speed + quality) |
-| Quick Fix | "quick fix for [X]" | Simple bugs |
-| Deep Debug | "debug workflow for [X]" | Complex issues |
-| Hotfix | "critical hotfix for [X]" | Production emergencies |
-| Full Review | "full review of PR [#]" | Comprehensive review |
-| Security Audit | "security audit on [X]" | Security analysis |
-| Perf Audit | "performance audit on [X]" | Optimization |
-| Hive Architect | "hive-mind architecture for [X]" | Complex design |
-| Multi-Repo | "multi-repo workflow for [X]" | Cross-repo changes |
-| Compound This | "compound this solution" | Ad-hoc capture |
-| Search Solutions | "search for solutions to [X]" | Find past work |
-
-### Key Agents
-
-| Agent | Purpose |
-|-------|---------|
-| coder | Implementation |
-| tester | Test creation |
-| reviewer | Code review |
-| security-sentinel | Security scanning |
-| performance-oracle | Performance analysis |
-| architecture-strategist | Design review |
-| analyst | Deep analysis |
-
-### Memory Namespaces
-
-| Namespace | Contents |
-|-----------|----------|
-| \`project/features/*\` | Feature implementations |
-| \`project/bugs/*\` | Bug fixes |
-| \`project/security/*\` | Security findings |
-| \`project/performance/*\` | Performance optimizations |
-| \`project/architecture/*\` | Design decisions |
-| \`project/reviews/*\` | Review findings |
-| \`project/incidents/*\` | Incident responses |
+  sections.push([
+    '## Quick Reference',
+    `### Workflow Summary\n\n${renderTable(['Workflow', 'Trigger', 'Best For'],
+      workflows.map(workflow => [workflow.shortName || workflow.name, `"${getShortTrigger(workflow)}"`, workflow.bestFor || '']))}`,
+    `### Key Agents\n\n${renderTable(['Agent', 'Purpose'], KEY_AGENTS)}`,
+    `### Memory Namespaces\n\n${renderTable(['Namespace', 'Contents'],
+      [...getNamespaceContents(workflows)].map(([namespace, contents]) => [`\`${namespace}\``, contents]))}\n`
+  ].join('\n\n'));
 
----
+  sections.push(TIPS);
 
-## Tips
+  return sections.join('\n---\n\n');
+}
 
-1. **Be specific** - More detail = better pattern matching
-2. **Review checkpoint 0** - Past solutions may already solve your problem
-3. **Name patterns well** - Good names make future searches easier
-4. **Trust the compound** - Don't skip the final checkpoint
-5. **Search first manually** - "Search for solutions to [X]" before starting if unsure
+/**
+ * Generate the quick-start helper script listing every workflow's trigger
+ *
+ * Workflows that call on `disabled` plugins are marked.
+ */
+export function generateQuickStart(workflows = WORKFLOWS, disabled = []) {
+  const escape = text => text.replace(/["$`\\]/g, '\\$&');
+  const labels = workflows.map(workflow => `${workflow.shortName || workflow.name}:`);
+  const width = Math.max(...labels.map(label => label.length)) + 1;
+  const lines = workflows.map((workflow, index) => {
+    const plugins = getDisabledPlugins(workflow, disabled);
+    const needs = plugins.length > 0 ? ` (needs ${plugins.join(', ')})` : '';
+    return `echo "  • ${escape(labels[index].padEnd(width))}'${escape(workflow.triggers[0])}'${escape(needs)}"`;
+  });
+
+  return `#!/bin/bash
+# Danizee Claude Suite Quick Start
+
+echo "🚀 Danizee Claude Suite Quick Start"
+echo ""
+echo "Available workflows:"
+${lines.join('\n')}
+echo ""
+echo "See WORKFLOW-SHORTCUTS.md for complete documentation."
 `;
 }
 
 /**
  * Write the WORKFLOW-SHORTCUTS.md file
+ *
+ * `options.workflows` defaults to the built-in workflows; workflows that
+ * call on `options.disabled` plugins are marked.
  */
-export async function writeWorkflowShortcuts(targetDir) {
-  const content = generateWorkflowShortcuts();
+export async function writeWorkflowShortcuts(targetDir, options = {}) {
+  const content = generateWorkflowShortcuts(options.workflows, options.disabled);
   const filePath = path.join(targetDir, 'WORKFLOW-SHORTCUTS.md');
+  const writer = getWriter(path.join(targetDir, '.claude'), { ...options, targetDir });
 
-  await fs.writeFile(filePath, content, 'utf-8');
+  await writer.writeFile(filePath, content, { kind: 'shortcuts' });
 
   return filePath;
 }
@@ -776,7 +333,11 @@ export async function shortcutsExist(targetDir) {
 }
 
 export default {
+  renderWorkflow,
+  getWorkflowCommand,
+  generateWorkflowCommand,
   generateWorkflowShortcuts,
+  generateQuickStart,
   writeWorkflowShortcuts,
   shortcutsExist
 };
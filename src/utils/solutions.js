@@ -0,0 +1,286 @@
+/**
+ * Solution docs for Danizee Claude Suite
+ * Writes the markdown docs that record solved problems in docs/solutions
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { createError } from './errors.js';
+import { formatFrontMatter } from './frontmatter.js';
+import { readProjectWorkflows } from './workflows.js';
+
+export const SOLUTIONS_DIR = path.join('docs', 'solutions');
+
+/**
+ * Front matter fields of a solution doc, in the order they are written
+ */
+export const SOLUTION_FIELDS = ['id', 'title', 'category', 'tags', 'date', 'memory_key', 'files', 'problem', 'outcome'];
+
+/**
+ * Body sections for each category, as `[heading, hint]`
+ */
+export const CATEGORY_SECTIONS = {
+  features: [
+    ['Context', 'Why the feature was needed and who asked for it'],
+    ['Approach', 'The design chosen and the alternatives ruled out'],
+    ['Implementation', 'Key changes, in the order a reader should look at them'],
+    ['Testing', 'How the feature is covered'],
+    ['Follow-ups', 'Anything left for later']
+  ],
+  bugs: [
+    ['Symptoms', 'What was observed, with error messages and reproduction steps'],
+    ['Root Cause', 'Why it happened'],
+    ['Fix', 'What changed and why it addresses the cause'],
+    ['Regression Test', 'The test that fails without the fix'],
+    ['Prevention', 'How to avoid the same class of bug']
+  ],
+  security: [
+    ['Vulnerability', 'What was exposed and how it could be exploited'],
+    ['Impact', 'Who and what was at risk'],
+    ['Severity', 'Rating and the reasoning behind it'],
+    ['Remediation', 'What changed'],
+    ['Verification', 'How the fix was confirmed']
+  ],
+  performance: [
+    ['Baseline', 'Measurements before the change, and how they were taken'],
+    ['Bottleneck', 'Where the time or memory went'],
+    ['Optimization', 'What changed'],
+    ['Results', 'Measurements after the change']
+  ],
+  architecture: [
+    ['Context', 'The forces behind the decision'],
+    ['Decision', 'What was decided'],
+    ['Alternatives Considered', 'Options rejected and why'],
+    ['Consequences', 'What gets easier and what gets harder']
+  ],
+  reviews: [
+    ['Scope', 'What was reviewed'],
+    ['Findings', 'Issues found, most important first'],
+    ['Recommendations', 'Changes to make'],
+    ['Follow-ups', 'Who does what next']
+  ],
+  incidents: [
+    ['Timeline', 'Detection, escalation, mitigation and resolution, with times'],
+    ['Impact', 'Users and systems affected'],
+    ['Root Cause', 'Why it happened'],
+    ['Resolution', 'What restored service'],
+    ['Action Items', 'Changes that stop it happening again']
+  ],
+  tdd: [
+    ['Behaviour', 'The behaviour under test'],
+    ['Failing Tests', 'Tests written first and what they asserted'],
+    ['Implementation', 'The code that made them pass'],
+    ['Refactoring', 'Clean-up done once the tests were green']
+  ],
+  implementations: [
+    ['Requirements', 'What had to be built'],
+    ['Design', 'How it fits into the existing code'],
+    ['Implementation', 'Key changes'],
+    ['Verification', 'How it was tested']
+  ],
+  debugging: [
+    ['Symptoms', 'What was observed'],
+    ['Investigation', 'Hypotheses tried, tools used and what each ruled out'],
+    ['Root Cause', 'What was actually wrong'],
+    ['Fix', 'What changed']
+  ],
+  'full-tdd-swarm': [
+    ['Objective', 'What the swarm was asked to deliver'],
+    ['Swarm Setup', 'Topology and agents used'],
+    ['Test Plan', 'Tests written before implementation'],
+    ['Implementation', 'What each agent delivered'],
+    ['Review', 'Findings from the review pass']
+  ],
+  'multi-repo': [
+    ['Repositories', 'Repositories involved and their role'],
+    ['Coordination', 'Order of changes and dependencies between them'],
+    ['Changes', 'What changed in each repository'],
+    ['Rollout', 'How the changes were released together']
+  ]
+};
+
+export const SOLUTION_CATEGORIES = Object.keys(CATEGORY_SECTIONS);
+
+/**
+ * Body sections for categories without a template, such as the docs folders
+ * of project workflows
+ */
+export const DEFAULT_SECTIONS = [
+  ['Context', 'What prompted the work'],
+  ['Approach', 'What was done and why'],
+  ['Outcome', 'The result and how it was verified'],
+  ['Follow-ups', 'Anything left for later']
+];
+
+/**
+ * Sections for every category: the built-in ones plus the docs folders of
+ * the project's workflows
+ *
+ * An invalid workflows file adds nothing; `init` and `update` report it.
+ */
+export async function loadCategories(targetDir) {
+  const { workflows } = await readProjectWorkflows(path.join(targetDir, '.claude'));
+  const categories = { ...CATEGORY_SECTIONS };
+
+  for (const workflow of workflows) {
+    categories[workflow.compound.docsFolder] ||= DEFAULT_SECTIONS;
+  }
+
+  return categories;
+}
+
+/**
+ * Find a category by name, accepting the singular (`bug` for `bugs`)
+ */
+export function resolveCategory(name, categories = SOLUTION_CATEGORIES) {
+  const category = categories.find(entry => entry === name || entry === `${name}s`);
+
+  if (!category) {
+    throw createError('UNKNOWN_CATEGORY',
+      `Unknown solution category "${name}". Use one of: ${categories.join(', ')}`);
+  }
+
+  return category;
+}
+
+/**
+ * Turn a title into a file-name-safe slug
+ */
+export function slugify(title) {
+  return title
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z\d]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60)
+    .replace(/-+$/, '');
+}
+
+/**
+ * Check for a real calendar date written as YYYY-MM-DD
+ *
+ * Round-trips through Date, which rolls 2024-02-30 over to March instead of
+ * rejecting it.
+ */
+export function isValidDate(date) {
+  if (typeof date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    return false;
+  }
+
+  const parsed = new Date(`${date}T00:00:00Z`);
+  return !Number.isNaN(parsed.getTime()) && parsed.toISOString().slice(0, 10) === date;
+}
+
+/**
+ * List the markdown files under docs/solutions, in a stable order
+ */
+export async function listSolutionFiles(targetDir, dir = path.join(targetDir, SOLUTIONS_DIR)) {
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch {
+    return [];
+  }
+
+  const files = [];
+  for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...await listSolutionFiles(targetDir, entryPath));
+    } else if (entry.name.endsWith('.md')) {
+      files.push(entryPath);
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Render a solution doc: front matter, title and the category's sections
+ *
+ * `intro` goes between the title and the first section. `template`
+ * defaults to the built-in sections of the category.
+ */
+export function renderSolution(frontMatter, intro = '', template = CATEGORY_SECTIONS[frontMatter.category] || DEFAULT_SECTIONS) {
+  const sections = template
+    .map(([heading, hint]) => `## ${heading}\n\n<!-- ${hint} -->\n`);
+
+  return `${formatFrontMatter(frontMatter)}\n# ${frontMatter.title}\n\n${intro ? `${intro.trim()}\n\n` : ''}${sections.join('\n')}`;
+}
+
+/**
+ * Write a new solution doc
+ *
+ * `fields` holds `category` and `title`, and optionally `tags`, `files`,
+ * `date` (YYYY-MM-DD, default today), `memoryKey` (default
+ * `project/<category>/<slug>`, matching the claude-flow namespaces),
+ * `problem` and `outcome`. The doc goes to
+ * docs/solutions/<category>/<date>-<slug>.md. An existing doc is only
+ * replaced with `options.force`; `options.dryRun` renders without writing.
+ * Returns `{ id, file, content, frontMatter }`.
+ */
+export async function createSolution(targetDir, fields, options = {}) {
+  const categories = await loadCategories(targetDir);
+  const category = resolveCategory(fields.category, Object.keys(categories));
+  const title = (fields.title || '').trim();
+  const slug = slugify(title);
+
+  if (!slug) {
+    throw createError('INVALID_SOLUTION', 'A solution needs a title with at least one letter or digit');
+  }
+
+  const date = fields.date || new Date().toISOString().slice(0, 10);
+  if (!isValidDate(date)) {
+    throw createError('INVALID_SOLUTION', `Invalid date "${date}". Use YYYY-MM-DD`);
+  }
+
+  const id = `${date}-${slug}`;
+  const frontMatter = {
+    id,
+    title,
+    category,
+    tags: fields.tags || [],
+    date,
+    memory_key: fields.memoryKey || `project/${category}/${slug}`,
+    files: fields.files || [],
+    problem: fields.problem || '',
+    outcome: fields.outcome || ''
+  };
+
+  const file = path.join(targetDir, SOLUTIONS_DIR, category, `${id}.md`);
+  const content = renderSolution(frontMatter, '', categories[category]);
+
+  let exists = true;
+  try {
+    await fs.access(file);
+  } catch {
+    exists = false;
+  }
+
+  if (exists && !options.force) {
+    throw createError('SOLUTION_EXISTS', `${path.relative(targetDir, file)} already exists. Use --force to replace it`, { file });
+  }
+
+  if (!options.dryRun) {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, content);
+  }
+
+  return { id, file, content, frontMatter };
+}
+
+export default {
+  SOLUTIONS_DIR,
+  SOLUTION_FIELDS,
+  SOLUTION_CATEGORIES,
+  CATEGORY_SECTIONS,
+  DEFAULT_SECTIONS,
+  loadCategories,
+  resolveCategory,
+  slugify,
+  isValidDate,
+  listSolutionFiles,
+  renderSolution,
+  createSolution
+};
@@ -0,0 +1,225 @@
+/**
+ * Transaction utilities for Danizee Claude Suite
+ * Snapshots files before they are touched so a failed operation can be undone
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { STATE_DIR } from './writer.js';
+
+/**
+ * Get the directory holding the snapshot of the last successful operation
+ */
+export function getRollbackDir(claudeDir) {
+  return path.join(claudeDir, STATE_DIR, 'rollback');
+}
+
+/**
+ * Check whether a path exists
+ */
+async function exists(filePath) {
+  return fs.access(filePath).then(() => true).catch(() => false);
+}
+
+/**
+ * Restore snapshotted files and remove directories the operation created
+ */
+async function restore(targetDir, files, dirs) {
+  for (const entry of files) {
+    const filePath = path.join(targetDir, entry.file);
+
+    if (entry.content === null) {
+      try {
+        await fs.unlink(filePath);
+      } catch {
+        // File was never written
+      }
+    } else {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, entry.content);
+      await fs.chmod(filePath, entry.mode);
+    }
+  }
+
+  // Deepest first so parents are empty by the time we reach them
+  const created = [...dirs].sort((a, b) => b.length - a.length);
+  for (const dir of created) {
+    try {
+      await fs.rmdir(path.join(targetDir, dir));
+    } catch {
+      // Not empty, the user put something there
+    }
+  }
+}
+
+/**
+ * Records the original state of every file an operation touches
+ *
+ * Call `snapshot()` before writing or deleting a file and `trackDir()` before
+ * creating a directory. On failure `rollback()` puts everything back; on
+ * success `commit()` saves the snapshot so `rollbackLast()` can undo it later.
+ */
+export class Transaction {
+  constructor(targetDir, claudeDir, operation) {
+    this.targetDir = targetDir;
+    this.claudeDir = claudeDir;
+    this.operation = operation;
+    this.files = new Map();
+    this.dirs = new Set();
+  }
+
+  /**
+   * Path relative to the project root
+   */
+  relative(filePath) {
+    return path.relative(this.targetDir, filePath).split(path.sep).join('/');
+  }
+
+  /**
+   * Save a file's current content before it is changed
+   */
+  async snapshot(filePath) {
+    const relative = this.relative(filePath);
+    const rollbackDir = this.relative(getRollbackDir(this.claudeDir));
+
+    if (this.files.has(relative) || relative.startsWith(`${rollbackDir}/`)) {
+      return;
+    }
+
+    try {
+      const [content, stat] = await Promise.all([fs.readFile(filePath), fs.stat(filePath)]);
+      this.files.set(relative, { file: relative, content, mode: stat.mode & 0o777 });
+    } catch {
+      this.files.set(relative, { file: relative, content: null, mode: null });
+    }
+  }
+
+  /**
+   * Snapshot every file below a directory
+   */
+  async snapshotTree(dir) {
+    let entries;
+    try {
+      entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch {
+      return;
+    }
+
+    for (const entry of entries) {
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        await this.snapshotTree(entryPath);
+      } else {
+        await this.snapshot(entryPath);
+      }
+    }
+  }
+
+  /**
+   * Remember which directories in a path don't exist yet
+   */
+  async trackDir(dir) {
+    let current = dir;
+
+    while (!(await exists(current))) {
+      this.dirs.add(this.relative(current));
+      current = path.dirname(current);
+    }
+  }
+
+  /**
+   * Restore every snapshotted file
+   */
+  async rollback() {
+    await restore(this.targetDir, [...this.files.values()], this.dirs);
+  }
+
+  /**
+   * Save the snapshot so the operation can be rolled back later
+   */
+  async commit() {
+    const rollbackDir = getRollbackDir(this.claudeDir);
+
+    await fs.rm(rollbackDir, { recursive: true, force: true });
+    await fs.mkdir(path.join(rollbackDir, 'files'), { recursive: true });
+
+    const files = [];
+    let index = 0;
+    for (const entry of this.files.values()) {
+      const backup = entry.content === null ? null : String(index++);
+      if (backup !== null) {
+        await fs.writeFile(path.join(rollbackDir, 'files', backup), entry.content);
+      }
+      files.push({ file: entry.file, mode: entry.mode, backup });
+    }
+
+    const journal = {
+      operation: this.operation,
+      createdAt: new Date().toISOString(),
+      files,
+      dirs: [...this.dirs]
+    };
+
+    await fs.writeFile(
+      path.join(rollbackDir, 'journal.json'),
+      JSON.stringify(journal, null, 2),
+      'utf-8'
+    );
+
+    return journal;
+  }
+}
+
+/**
+ * Read the journal of the last successful operation, or null if none
+ */
+export async function readLastTransaction(claudeDir) {
+  try {
+    const content = await fs.readFile(path.join(getRollbackDir(claudeDir), 'journal.json'), 'utf-8');
+    return JSON.parse(content);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Restore the state from before the last successful operation
+ */
+export async function rollbackLast(targetDir, claudeDir) {
+  const journal = await readLastTransaction(claudeDir);
+
+  if (!journal) {
+    return null;
+  }
+
+  const rollbackDir = getRollbackDir(claudeDir);
+  const files = [];
+  for (const entry of journal.files) {
+    files.push({
+      file: entry.file,
+      mode: entry.mode,
+      content: entry.backup === null
+        ? null
+        : await fs.readFile(path.join(rollbackDir, 'files', entry.backup))
+    });
+  }
+
+  // Clear the snapshot first so directories it lives in can be removed
+  await fs.rm(rollbackDir, { recursive: true, force: true });
+  await restore(targetDir, files, journal.dirs);
+
+  try {
+    await fs.rmdir(path.join(claudeDir, STATE_DIR));
+  } catch {
+    // Still holds suite state
+  }
+
+  return journal;
+}
+
+export default {
+  Transaction,
+  getRollbackDir,
+  readLastTransaction,
+  rollbackLast
+};
@@ -0,0 +1,742 @@
+/**
+ * Workflow definitions for Danizee Claude Suite
+ * The single source WORKFLOW-SHORTCUTS.md, the helper scripts and the
+ * claude-flow memory namespaces are rendered from
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { createError } from './errors.js';
+import { parseTree, findNode, getPosition } from './json.js';
+import { WORKFLOWS_FILE_SCHEMA, validateSchema } from './schema.js';
+
+export const WORKFLOWS_FILE = 'danizee-workflows.json';
+export const WORKFLOW_COMMANDS_DIR = path.join('commands', 'danizee');
+
+// Suite commands in WORKFLOW_COMMANDS_DIR that aren't workflows
+export const RESERVED_COMMANDS = ['run'];
+
+/**
+ * How generated docs tell the agent to call this CLI
+ *
+ * The package's `bin`, so it runs wherever the suite is installed or
+ * linked, the same for everyone on the team. `--no-install` keeps npx from
+ * fetching an unrelated package of the same name from the registry.
+ */
+export const SUITE_CLI = 'npx --no-install danizee-claude-suite';
+
+/**
+ * Sections of WORKFLOW-SHORTCUTS.md, as `[group, heading]`
+ */
+export const WORKFLOW_GROUPS = [
+  ['development', 'Development Workflows'],
+  ['bugs', 'Bug Fix Workflows'],
+  ['reviews', 'Review Workflows'],
+  ['architecture', 'Architecture Workflows'],
+  ['utilities', 'Utility Workflows'],
+  ['project', 'Project Workflows']
+];
+
+/**
+ * Built-in workflows
+ *
+ * `triggers` are the phrases that start a workflow, with the target in
+ * brackets. `checkpoints` are `[after, you review]` pairs, numbered from 0.
+ * `compound` says where the outcome is stored: `memoryKey` under a
+ * `project/<namespace>/` prefix, `docsFolder` under docs/solutions and
+ * `contents` for the namespace tables. `steps` are the "under the hood"
+ * commands, as `[section, lines]`.
+ */
+export const WORKFLOWS = [
+  {
+    id: 'full-cycle',
+    name: 'Full Cycle Development',
+    shortName: 'Full Cycle',
+    group: 'development',
+    triggers: ['Run the full cycle workflow on [feature]'],
+    description: 'Plans → implements in isolated worktree → comprehensive review → PR ready.',
+    bestFor: 'New features',
+    checkpoints: [
+      ['Search', 'Similar past solutions found'],
+      ['Planning', 'Proposed approach and files'],
+      ['Implementation', 'Code changes before PR'],
+      ['Review', 'Findings before merge'],
+      ['Compound', 'Solution summary to store']
+    ],
+    compound: {
+      memoryKey: 'project/features/[feature-name]',
+      docsFolder: 'features',
+      docName: '[feature-name].md',
+      pattern: 'implementation approach + key decisions',
+      contents: 'Feature implementations'
+    },
+    example: 'User: Run the full cycle workflow on adding OAuth2 authentication with Google',
+    steps: [
+      ['Search', ['mcp__claude-flow__memory_search { pattern: "auth/*" }']],
+      ['Execute', [
+        '/compound-engineering:workflows:plan',
+        'npx claude-flow@alpha swarm init --topology hierarchical',
+        '/compound-engineering:workflows:work',
+        '/compound-engineering:workflows:review'
+      ]],
+      ['Compound', [
+        'mcp__claude-flow__memory_usage { action: "store", key: "project/features/oauth2-google" }',
+        '/compound-engineering:workflows:compound',
+        'mcp__claude-flow__neural_patterns { action: "learn" }'
+      ]]
+    ]
+  },
+  {
+    id: 'swarm-build',
+    name: 'Swarm Build',
+    shortName: 'Swarm Build',
+    group: 'development',
+    triggers: ['Use swarm to build [task]'],
+    description: 'Spawns parallel agents (coder, tester, reviewer) for rapid implementation.',
+    bestFor: 'Parallel implementation',
+    checkpoints: [
+      ['Search', 'Related implementation patterns'],
+      ['Agent spawn', 'Agent assignments and strategy'],
+      ['Execution', 'Completed work before integration'],
+      ['Compound', 'Implementation pattern to store']
+    ],
+    compound: {
+      memoryKey: 'project/implementations/[task-name]',
+      docsFolder: 'implementations',
+      docName: '[task-name].md',
+      pattern: 'agent configuration + coordination approach',
+      contents: 'Swarm implementation patterns'
+    },
+    example: 'User: Use swarm to build a REST API for user management with CRUD and tests',
+    steps: [
+      ['Search', ['mcp__claude-flow__memory_search { pattern: "implementations/*api*" }']],
+      ['Execute', [
+        'npx claude-flow@alpha swarm init --topology hierarchical',
+        'Task("coder", "Implement endpoints...", "coder") x3',
+        'Task("tester", "Create tests...", "tester") x2',
+        'Task("reviewer", "Review code...", "reviewer")'
+      ]],
+      ['Compound', [
+        'mcp__claude-flow__memory_usage { action: "store", key: "project/implementations/user-api" }',
+        '/compound-engineering:workflows:compound'
+      ]]
+    ]
+  },
+  {
+    id: 'tdd',
+    name: 'TDD Development',
+    shortName: 'TDD',
+    group: 'development',
+    triggers: ['TDD workflow for [feature]'],
+    description: 'SPARC methodology: Spec → Tests first → Implementation → Refinement.',
+    bestFor: 'Test-first development',
+    checkpoints: [
+      ['Search', 'Similar test patterns'],
+      ['Specification', 'Requirements and acceptance criteria'],
+      ['Test creation', 'Test cases before implementation'],
+      ['Implementation', 'Code that makes tests pass'],
+      ['Compound', 'Test patterns to store']
+    ],
+    compound: {
+      memoryKey: 'project/tdd/[feature-name]',
+      docsFolder: 'tdd',
+      docName: '[feature-name].md',
+      pattern: 'test structure + implementation approach',
+      contents: 'Test-first patterns'
+    },
+    example: 'User: TDD workflow for shopping cart with add, remove, and checkout',
+    steps: [
+      ['Search', ['mcp__claude-flow__memory_search { pattern: "tdd/*cart*" }']],
+      ['Execute', ['npx claude-flow@alpha sparc tdd "[feature]"']],
+      ['Compound', [
+        'mcp__claude-flow__memory_usage { action: "store", key: "project/tdd/shopping-cart" }',
+        '/compound-engineering:workflows:compound'
+      ]]
+    ]
+  },
+  {
+    id: 'full-tdd-swarm',
+    name: 'Full TDD Swarm',
+    shortName: 'Full TDD Swarm',
+    group: 'development',
+    triggers: ['Full TDD Swarm on [feature]'],
+    description: 'Combines planning (Full Cycle) + test-first (TDD) + parallel build (Swarm) + comprehensive review.',
+    philosophy: 'Plan like Full Cycle, test like TDD, build like Swarm.',
+    bestFor: 'Critical features (speed + quality)',
+    checkpoints: [
+      ['Search', 'Past solutions, TDD patterns, implementations'],
+      ['Plan', 'Architecture, files, approach'],
+      ['Spec', 'Acceptance criteria, test cases'],
+      ['Tests', 'Test files (must fail - no implementation yet)'],
+      ['Build', 'Implementation (tests must pass)'],
+      ['Review', 'Security, performance, patterns, architecture'],
+      ['Compound', 'Complete solution summary']
+    ],
+    rule: ['Strict TDD Rule', 'Build phase is BLOCKED until all tests are written and failing.'],
+    compound: {
+      memoryKey: 'project/full-tdd-swarm/[feature-name]',
+      docsFolder: 'full-tdd-swarm',
+      docName: '[feature-name].md',
+      pattern: 'plan + test structure + implementation + review findings',
+      contents: 'Full TDD Swarm solutions'
+    },
+    example: 'User: Full TDD Swarm on user authentication with JWT tokens',
+    steps: [
+      ['0. SEARCH (unified)', [
+        'mcp__claude-flow__memory_search { pattern: "features/*[feature]*" }',
+        'mcp__claude-flow__memory_search { pattern: "tdd/*[feature]*" }',
+        'mcp__claude-flow__memory_search { pattern: "implementations/*[feature]*" }'
+      ]],
+      ['1. PLAN', ['/compound-engineering:workflows:plan [feature]']],
+      ['2. SPEC', ['npx claude-flow@alpha sparc run spec-pseudocode "[feature]"']],
+      ['3. TEST-FIRST (strict: ALL tests before ANY implementation)', [
+        'npx claude-flow@alpha swarm init --topology hierarchical',
+        'Task("tester", "Write unit tests for [component-1]", "tester")',
+        'Task("tester", "Write unit tests for [component-2]", "tester")',
+        'Task("tester", "Write integration tests", "tester")',
+        '# GATE: npm run test → ALL MUST FAIL (no implementation yet)'
+      ]],
+      ['4. SWARM BUILD', [
+        'Task("coder", "Implement [component-1] to pass tests", "coder")',
+        'Task("coder", "Implement [component-2] to pass tests", "coder")',
+        'Task("coder", "Implement integration layer", "coder")',
+        '# VERIFY: npm run test → ALL MUST PASS'
+      ]],
+      ['5. FULL REVIEW', [
+        '/compound-engineering:workflows:review',
+        'Task("security-sentinel", "Security scan", "reviewer")',
+        'Task("performance-oracle", "Performance analysis", "reviewer")',
+        'Task("architecture-strategist", "Architecture review", "reviewer")',
+        'Task("pattern-recognition-specialist", "Pattern analysis", "reviewer")',
+        'Task("code-simplicity-reviewer", "Simplicity check", "reviewer")'
+      ]],
+      ['6. COMPOUND', [
+        'mcp__claude-flow__memory_usage { action: "store", key: "project/full-tdd-swarm/[feature]" }',
+        '/compound-engineering:workflows:compound',
+        'mcp__claude-flow__neural_patterns { action: "learn" }'
+      ]]
+    ]
+  },
+  {
+    id: 'quick-fix',
+    name: 'Quick Fix',
+    shortName: 'Quick Fix',
+    group: 'bugs',
+    triggers: ['Quick fix for [bug description]'],
+    description: 'Fast investigation → targeted fix → verification.',
+    bestFor: 'Simple bugs',
+    checkpoints: [
+      ['Search', 'Similar bugs fixed before'],
+      ['Investigation', 'Root cause analysis'],
+      ['Fix applied', 'Changes before testing'],
+      ['Compound', 'Bug pattern to store']
+    ],
+    compound: {
+      memoryKey: 'project/bugs/[bug-category]',
+      docsFolder: 'bugs',
+      docName: '[bug-name].md',
+      pattern: 'root cause + fix approach',
+      contents: 'Bug fixes'
+    },
+    example: 'User: Quick fix for users getting logged out after password reset',
+    steps: [
+      ['Search', ['mcp__claude-flow__memory_search { pattern: "bugs/*auth*" }']],
+      ['Execute', ['# Search codebase, analyze, apply minimal fix, run tests']],
+      ['Compound', [
+        'mcp__claude-flow__memory_usage { action: "store", key: "project/bugs/auth-logout-reset" }',
+        '/compound-engineering:workflows:compound'
+      ]]
+    ]
+  },
+  {
+    id: 'deep-debug',
+    name: 'Deep Debug',
+    shortName: 'Deep Debug',
+    group: 'bugs',
+    triggers: ['Debug workflow for [issue]'],
+    description: 'Thorough multi-angle analysis: code, git history, performance profiling.',
+    bestFor: 'Complex issues',
+    checkpoints: [
+      ['Search', 'Related debugging sessions'],
+      ['Analysis', 'Initial findings and hypotheses'],
+      ['Investigation', 'Confirmed root cause'],
+      ['Fix proposal', 'Proposed solution approach'],
+      ['Verification', 'Fix applied and tested'],
+      ['Compound', 'Root cause analysis to store']
+    ],
+    compound: {
+      memoryKey: 'project/debugging/[issue-category]',
+      docsFolder: 'debugging',
+      docName: '[issue-name].md',
+      pattern: 'investigation approach + root cause + prevention',
+      contents: 'Root cause analyses'
+    },
+    example: 'User: Debug workflow for intermittent API timeouts in production',
+    steps: [
+      ['Search', ['mcp__claude-flow__memory_search { pattern: "debugging/*timeout*" }']],
+      ['Execute', [
+        'npx claude-flow@alpha sparc debugger "[issue]"',
+        'Task("analyst", "Analyze patterns...", "analyst")',
+        'Task("git-history-analyzer", "Check recent changes...", "researcher")'
+      ]],
+      ['Compound', [
+        'mcp__claude-flow__memory_usage { action: "store", key: "project/debugging/api-timeouts" }',
+        '/compound-engineering:workflows:compound'
+      ]]
+    ]
+  },
+  {
+    id: 'critical-hotfix',
+    name: 'Critical Hotfix',
+    shortName: 'Hotfix',
+    group: 'bugs',
+    triggers: ['Critical hotfix for [issue]'],
+    description: 'Isolated branch → minimal fix → security-focused review → expedited PR.',
+    bestFor: 'Production emergencies',
+    checkpoints: [
+      ['Search', 'Similar incidents'],
+      ['Branch created', 'Isolated hotfix branch'],
+      ['Fix applied', 'Minimal change for review'],
+      ['Security review', 'Security analysis complete'],
+      ['Compound', 'Incident doc to store']
+    ],
+    compound: {
+      memoryKey: 'project/incidents/[incident-type]',
+      docsFolder: 'incidents',
+      docName: '[incident-name].md',
+      pattern: 'incident response + prevention measures',
+      contents: 'Incident responses'
+    },
+    example: 'User: Critical hotfix for SQL injection vulnerability in search endpoint',
+    steps: [
+      ['Search', ['mcp__claude-flow__memory_search { pattern: "incidents/*sql*" }']],
+      ['Execute', [
+        `${SUITE_CLI} worktree create [issue] --prefix hotfix`,
+        'npx claude-flow@alpha swarm init --topology star',
+        'Task("security-sentinel", "Security review...", "reviewer")'
+      ]],
+      ['Compound', [
+        'mcp__claude-flow__memory_usage { action: "store", key: "project/incidents/sql-injection-search" }',
+        '/compound-engineering:workflows:compound'
+      ]]
+    ]
+  },
+  {
+    id: 'full-review',
+    name: 'Full Review',
+    shortName: 'Full Review',
+    group: 'reviews',
+    triggers: ['Full review of PR [number]'],
+    description: '12+ specialized agents analyze code, security, performance, architecture.',
+    bestFor: 'Comprehensive review',
+    checkpoints: [
+      ['Search', 'Past review patterns for this code area'],
+      ['Code analysis', 'Style, patterns, quality findings'],
+      ['Security scan', 'Vulnerability report'],
+      ['Performance check', 'Optimization opportunities'],
+      ['Compound', 'Review findings to store']
+    ],
+    compound: {
+      memoryKey: 'project/reviews/[pr-topic]',
+      docsFolder: 'reviews',
+      docName: '[pr-number].md',
+      pattern: 'key findings + recommendations applied',
+      contents: 'Review findings'
+    },
+    example: 'User: Full review of PR 47',
+    steps: [
+      ['Search', ['mcp__claude-flow__memory_search { pattern: "reviews/*" }']],
+      ['Execute', [
+        '/compound-engineering:workflows:review PR#47',
+        '# Runs: code-simplicity-reviewer, security-sentinel, performance-oracle,',
+        '#       architecture-strategist, pattern-recognition-specialist'
+      ]],
+      ['Compound', [
+        'mcp__claude-flow__memory_usage { action: "store", key: "project/reviews/pr-47-auth" }',
+        '/compound-engineering:workflows:compound'
+      ]]
+    ]
+  },
+  {
+    id: 'security-audit',
+    name: 'Security Audit',
+    shortName: 'Security Audit',
+    group: 'reviews',
+    triggers: ['Security audit on [target]'],
+    description: 'OWASP top 10, auth/authz, data exposure analysis.',
+    bestFor: 'Security analysis',
+    checkpoints: [
+      ['Search', 'Past security findings in this area'],
+      ['Scan complete', 'Vulnerability findings'],
+      ['Analysis done', 'Risk assessment and priorities'],
+      ['Compound', 'Security patterns to store']
+    ],
+    compound: {
+      memoryKey: 'project/security/[target-area]',
+      docsFolder: 'security',
+      docName: '[audit-name].md',
+      pattern: 'vulnerabilities found + remediation applied',
+      contents: 'Security findings'
+    },
+    example: 'User: Security audit on the authentication module',
+    steps: [
+      ['Search', ['mcp__claude-flow__memory_search { pattern: "security/*auth*" }']],
+      ['Execute', [
+        'Task("security-sentinel", "Full security scan...", "reviewer")',
+        '# Checks: SQL injection, XSS, CSRF, auth bypass, secrets, input validation'
+      ]],
+      ['Compound', [
+        'mcp__claude-flow__memory_usage { action: "store", key: "project/security/auth-module" }',
+        '/compound-engineering:workflows:compound'
+      ]]
+    ]
+  },
+  {
+    id: 'performance-audit',
+    name: 'Performance Audit',
+    shortName: 'Perf Audit',
+    group: 'reviews',
+    triggers: ['Performance audit on [target]'],
+    description: 'Bottlenecks, N+1 queries, memory issues, optimization opportunities.',
+    bestFor: 'Optimization',
+    checkpoints: [
+      ['Search', 'Past performance optimizations'],
+      ['Profiling done', 'Bottleneck identification'],
+      ['Analysis complete', 'Prioritized recommendations'],
+      ['Compound', 'Performance patterns to store']
+    ],
+    compound: {
+      memoryKey: 'project/performance/[target-area]',
+      docsFolder: 'performance',
+      docName: '[audit-name].md',
+      pattern: 'bottlenecks found + optimizations applied',
+      contents: 'Performance optimizations'
+    },
+    example: 'User: Performance audit on the dashboard loading',
+    steps: [
+      ['Search', ['mcp__claude-flow__memory_search { pattern: "performance/*dashboard*" }']],
+      ['Execute', [
+        'Task("performance-oracle", "Profile and analyze...", "analyst")',
+        'npx claude-flow@alpha analysis bottleneck-detect'
+      ]],
+      ['Compound', [
+        'mcp__claude-flow__memory_usage { action: "store", key: "project/performance/dashboard" }',
+        '/compound-engineering:workflows:compound'
+      ]]
+    ]
+  },
+  {
+    id: 'hive-mind-architecture',
+    name: 'Hive-Mind Architecture',
+    shortName: 'Hive Architect',
+    group: 'architecture',
+    triggers: ['Hive-mind architecture for [system]'],
+    description: 'Multiple agents collaborate with collective intelligence for complex design.',
+    bestFor: 'Complex design',
+    checkpoints: [
+      ['Search', 'Related architecture decisions'],
+      ['Hive initialized', 'Agent assignments'],
+      ['Design proposals', 'Multiple architecture options'],
+      ['Consensus reached', 'Final recommended design'],
+      ['Compound', 'Architecture decision record']
+    ],
+    compound: {
+      memoryKey: 'project/architecture/[system-name]',
+      docsFolder: 'architecture',
+      docName: '[system-name]-adr.md',
+      pattern: 'decision rationale + trade-offs considered',
+      contents: 'Design decisions'
+    },
+    example: 'User: Hive-mind architecture for microservices migration',
+    steps: [
+      ['Search', ['mcp__claude-flow__memory_search { pattern: "architecture/*microservices*" }']],
+      ['Execute', [
+        'npx claude-flow@alpha hive-mind init',
+        'Task("system-architect", "Design system...", "architect")',
+        'Task("analyst", "Analyze trade-offs...", "analyst")',
+        'mcp__claude-flow__collective-intelligence-coordinator'
+      ]],
+      ['Compound', [
+        'mcp__claude-flow__memory_usage { action: "store", key: "project/architecture/microservices" }',
+        '/compound-engineering:workflows:compound'
+      ]]
+    ]
+  },
+  {
+    id: 'multi-repo',
+    name: 'Multi-Repository',
+    shortName: 'Multi-Repo',
+    group: 'architecture',
+    triggers: ['Multi-repo workflow for [task]'],
+    description: 'Coordinates changes across repos with dependency awareness.',
+    bestFor: 'Cross-repo changes',
+    checkpoints: [
+      ['Search', 'Past multi-repo coordination patterns'],
+      ['Repos analyzed', 'Dependency map and change plan'],
+      ['Changes prepared', 'Per-repo changes for review'],
+      ['Sync complete', 'All repos updated'],
+      ['Compound', 'Coordination pattern to store']
+    ],
+    compound: {
+      memoryKey: 'project/multi-repo/[task-name]',
+      docsFolder: 'multi-repo',
+      docName: '[task-name].md',
+      pattern: 'coordination approach + dependency handling',
+      contents: 'Cross-repo coordination'
+    },
+    example: 'User: Multi-repo workflow for updating shared auth library across all repos',
+    steps: [
+      ['Search', ['mcp__claude-flow__memory_search { pattern: "multi-repo/*" }']],
+      ['Execute', [
+        'npx claude-flow@alpha swarm init --topology mesh',
+        'Task("multi-repo-swarm", "Coordinate changes...", "coordinator")',
+        'npx claude-flow@alpha github multi-repo --repos "frontend,backend,mobile"'
+      ]],
+      ['Compound', [
+        'mcp__claude-flow__memory_usage { action: "store", key: "project/multi-repo/auth-library-update" }',
+        '/compound-engineering:workflows:compound'
+      ]]
+    ]
+  },
+  {
+    id: 'compound-this',
+    name: 'Compound This',
+    shortName: 'Compound This',
+    group: 'utilities',
+    triggers: ['Compound this solution', 'Document what we just solved'],
+    description: 'Captures current context as reusable knowledge (ad-hoc).',
+    bestFor: 'Ad-hoc capture',
+    example: [
+      'User: Compound this solution',
+      'Claude: What category? (feature/bug/security/performance/architecture)',
+      'User: bug',
+      'Claude: Stored as project/bugs/[auto-named] + created docs/solutions/bugs/[name].md'
+    ].join('\n'),
+    steps: [
+      ['Compound', [
+        'mcp__claude-flow__memory_usage { action: "store", key: "project/[category]/[name]" }',
+        `${SUITE_CLI} solution new [category] "[title]"`,
+        '/compound-engineering:workflows:compound'
+      ]]
+    ]
+  },
+  {
+    id: 'search-solutions',
+    name: 'Search Solutions',
+    shortName: 'Search Solutions',
+    group: 'utilities',
+    triggers: ['Search for solutions to [problem]', 'What patterns exist for [category]?'],
+    description: 'Searches memory and solution docs for relevant past work.',
+    bestFor: 'Find past work',
+    example: [
+      'User: Search for solutions to authentication issues',
+      'Claude: Found 3 matches:',
+      '  - project/bugs/auth-logout-reset (Dec 2024)',
+      '  - project/features/oauth2-google (Nov 2024)',
+      '  - project/security/auth-module (Oct 2024)'
+    ].join('\n'),
+    steps: [
+      ['Search', [
+        'mcp__claude-flow__memory_search { pattern: "project/*[problem]*" }',
+        `${SUITE_CLI} search "[problem]"`
+      ]]
+    ],
+    notes: [
+      '**Without claude-flow:** When the MCP server isn\'t running, memory search is',
+      'unavailable. Search the solution docs offline instead:',
+      '```bash',
+      `${SUITE_CLI} search "authentication" --category bugs`,
+      '```'
+    ].join('\n')
+  }
+];
+
+/**
+ * Read and validate the project's workflows from .claude/danizee-workflows.json
+ *
+ * The file holds `{ "workflows": [...] }`, each entry shaped like a built-in
+ * workflow. Entries without a `group` go under Project Workflows. Returns
+ * `{ file, exists, parseError, valid, errors, workflows }`; `errors` carry
+ * a JSON path and, where it can be found, a line and column.
+ */
+export async function readProjectWorkflows(claudeDir) {
+  const file = path.join(claudeDir, WORKFLOWS_FILE);
+  const result = { file, exists: false, parseError: null, valid: true, errors: [], workflows: [] };
+
+  let content;
+  try {
+    content = await fs.readFile(file, 'utf-8');
+    result.exists = true;
+  } catch {
+    return result;
+  }
+
+  let tree;
+  try {
+    tree = parseTree(content);
+  } catch (error) {
+    return { ...result, valid: false, parseError: { message: error.reason, line: error.line, column: error.column } };
+  }
+
+  const data = JSON.parse(content);
+  const problems = validateSchema(data, WORKFLOWS_FILE_SCHEMA);
+
+  if (Array.isArray(data?.workflows)) {
+    const groups = WORKFLOW_GROUPS.map(([group]) => group);
+    const seen = new Map(WORKFLOWS.map(workflow => [workflow.id, 'a built-in workflow']));
+    for (const id of RESERVED_COMMANDS) {
+      seen.set(id, 'a suite command');
+    }
+
+    data.workflows.forEach((workflow, index) => {
+      if (typeof workflow?.id !== 'string') {
+        return;
+      }
+
+      const segments = ['workflows', index];
+      const problem = (key, message) => problems.push({ segments: [...segments, key], path: `$.workflows[${index}].${key}`, message });
+
+      if (seen.has(workflow.id)) {
+        problem('id', `"${workflow.id}" is already used by ${seen.get(workflow.id)}`);
+      }
+      seen.set(workflow.id, `workflows[${index}]`);
+
+      if (typeof workflow.group === 'string' && !groups.includes(workflow.group)) {
+        problem('group', `must be one of ${groups.map(group => JSON.stringify(group)).join(', ')}`);
+      }
+    });
+  }
+
+  result.errors = problems.map(({ segments, path: jsonPath, message }) => {
+    const node = findNode(tree, segments);
+    return { path: jsonPath, message, ...(node ? getPosition(content, node.start) : {}) };
+  });
+  result.valid = result.errors.length === 0;
+
+  if (result.valid) {
+    result.workflows = data.workflows.map(workflow => ({
+      group: 'project',
+      shortName: workflow.name,
+      project: true,
+      ...workflow
+    }));
+  }
+
+  return result;
+}
+
+/**
+ * Built-in workflows followed by the project's own
+ *
+ * Throws (code INVALID_WORKFLOWS) when .claude/danizee-workflows.json
+ * doesn't parse or doesn't validate, listing each problem.
+ */
+export async function loadWorkflows(claudeDir) {
+  const result = await readProjectWorkflows(claudeDir);
+
+  if (!result.valid) {
+    const problems = result.parseError
+      ? [`${result.parseError.line}:${result.parseError.column} ${result.parseError.message}`]
+      : result.errors.map(error => `${error.line ? `${error.line}:${error.column} ` : ''}${error.path} ${error.message}`);
+
+    throw createError('INVALID_WORKFLOWS',
+      `${WORKFLOWS_FILE} is invalid:\n${problems.map(problem => `  ${problem}`).join('\n')}`,
+      { file: result.file, errors: result.errors, parseError: result.parseError });
+  }
+
+  return [...WORKFLOWS, ...result.workflows];
+}
+
+/**
+ * Find a workflow by id
+ */
+export function getWorkflow(id, workflows = WORKFLOWS) {
+  return workflows.find(workflow => workflow.id === id) || null;
+}
+
+/**
+ * The slash command file that runs a workflow, as /<id>
+ *
+ * The danizee/ folder only groups the suite's commands; like any project
+ * command, it is invoked by its file name.
+ */
+export function getWorkflowCommandFile(claudeDir, workflow) {
+  return path.join(claudeDir, WORKFLOW_COMMANDS_DIR, `${workflow.id}.md`);
+}
+
+/**
+ * The `project/<namespace>/*` pattern a workflow stores under
+ */
+export function getWorkflowNamespace(workflow) {
+  if (!workflow.compound) {
+    return null;
+  }
+
+  return `${workflow.compound.memoryKey.split('/').slice(0, -1).join('/')}/*`;
+}
+
+/**
+ * Memory namespaces of the given workflows, in order, mapped to what they
+ * hold
+ */
+export function getNamespaceContents(workflows = WORKFLOWS) {
+  const namespaces = new Map();
+
+  for (const workflow of workflows) {
+    const namespace = getWorkflowNamespace(workflow);
+    if (namespace && !namespaces.has(namespace)) {
+      namespaces.set(namespace, workflow.compound.contents || workflow.name);
+    }
+  }
+
+  return namespaces;
+}
+
+/**
+ * Memory namespaces of the given workflows, without duplicates, in order
+ */
+export function getMemoryNamespaces(workflows = WORKFLOWS) {
+  return [...getNamespaceContents(workflows).keys()];
+}
+
+/**
+ * The plugins in `disabled` that a workflow calls on
+ *
+ * Steps call a plugin as `/<plugin>:…`, `mcp__<plugin>__…` or
+ * `npx <plugin>`. Compounding stores in claude-flow memory, so every
+ * workflow with a compound step needs claude-flow too.
+ */
+export function getDisabledPlugins(workflow, disabled = []) {
+  const steps = (workflow.steps || []).flatMap(([, lines]) => lines).join('\n');
+
+  return disabled.filter(plugin =>
+    [`/${plugin}:`, `mcp__${plugin}__`, `npx ${plugin}`].some(call => steps.includes(call)) ||
+    (plugin === 'claude-flow' && Boolean(workflow.compound))
+  );
+}
+
+/**
+ * A workflow's first trigger with its target written as `[X]`, as shown in
+ * the summary tables
+ */
+export function getShortTrigger(workflow) {
+  return workflow.triggers[0].replace(/\[[^\]]+\]/g, '[X]');
+}
+
+export default {
+  WORKFLOWS_FILE,
+  WORKFLOW_COMMANDS_DIR,
+  RESERVED_COMMANDS,
+  SUITE_CLI,
+  WORKFLOW_GROUPS,
+  WORKFLOWS,
+  readProjectWorkflows,
+  loadWorkflows,
+  getWorkflow,
+  getWorkflowCommandFile,
+  getWorkflowNamespace,
+  getNamespaceContents,
+  getMemoryNamespaces,
+  getDisabledPlugins,
+  getShortTrigger
+};
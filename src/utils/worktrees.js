@@ -0,0 +1,464 @@
+/**
+ * Git worktree manager for Danizee Claude Suite
+ * Creates one worktree per feature, keeps track of what each is for and
+ * clears them away once they are merged or abandoned
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { createError } from './errors.js';
+import { runGit } from './git.js';
+import { STATE_DIR } from './writer.js';
+import { RUNS_DIR, listRuns, readRun } from './runs.js';
+import { slugify } from './solutions.js';
+
+export const WORKTREES_FILE = 'danizee-worktrees.json';
+export const DEFAULT_BRANCH_PREFIX = 'feature';
+export const DEFAULT_ABANDONED_DAYS = 30;
+
+/**
+ * Files and folders in .claude/ that belong to one checkout: they are not
+ * copied into new worktrees and the installed .claude/.gitignore keeps them
+ * out of git
+ */
+export const CHECKOUT_STATE = [STATE_DIR, RUNS_DIR, WORKTREES_FILE];
+
+/**
+ * Run a git command that answers yes or no through its exit code
+ */
+async function gitSucceeds(args, cwd) {
+  try {
+    await runGit(args, cwd);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Whether a path exists
+ */
+async function exists(file) {
+  try {
+    await fs.access(file);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * List the repository's worktrees from `git worktree list --porcelain`
+ *
+ * The main worktree comes first. Each entry is
+ * `{ path, head, branch, bare, detached, locked, prunable }`, with `branch`
+ * as a short name.
+ */
+export async function listGitWorktrees(cwd) {
+  const output = await runGit(['worktree', 'list', '--porcelain'], cwd);
+
+  return output.split(/\n\s*\n/).filter(Boolean).map(block => {
+    const entry = { path: null, head: null, branch: null, bare: false, detached: false, locked: false, prunable: false };
+
+    for (const line of block.split('\n')) {
+      const [field, ...rest] = line.split(' ');
+      const value = rest.join(' ');
+
+      if (field === 'worktree') {
+        entry.path = path.resolve(value);
+      } else if (field === 'HEAD') {
+        entry.head = value;
+      } else if (field === 'branch') {
+        entry.branch = value.replace(/^refs\/heads\//, '');
+      } else if (['bare', 'detached', 'locked', 'prunable'].includes(field)) {
+        entry[field] = true;
+      }
+    }
+
+    return entry;
+  });
+}
+
+/**
+ * Get the main worktree of the repository `cwd` is in
+ *
+ * Worktrees share its .claude/ journal and worktree list, so commands run
+ * inside a feature worktree see the same state as the main checkout.
+ */
+export async function getMainWorktree(cwd) {
+  let worktrees;
+  try {
+    worktrees = await listGitWorktrees(cwd);
+  } catch (error) {
+    throw createError('NOT_A_REPOSITORY', `${cwd} is not inside a git repository (${error.message})`);
+  }
+
+  return worktrees[0].path;
+}
+
+/**
+ * Name the branch and directory for a feature
+ *
+ * The branch is `<prefix>/<slug>` and the worktree sits next to the main
+ * checkout as `<repo>-<slug>`, so `feature/oauth2-google` in `~/code/app`
+ * goes to `~/code/app-oauth2-google`.
+ */
+export function getWorktreeNames(mainDir, feature, prefix = DEFAULT_BRANCH_PREFIX) {
+  const slug = slugify(feature);
+
+  if (!slug) {
+    throw createError('INVALID_OPTION', `"${feature}" has no letters or digits to name a branch after`);
+  }
+
+  return {
+    slug,
+    branch: prefix ? `${prefix}/${slug}` : slug,
+    path: path.join(path.dirname(mainDir), `${path.basename(mainDir)}-${slug}`)
+  };
+}
+
+/**
+ * Read the worktrees the suite created
+ */
+async function readWorktreeList(mainDir) {
+  try {
+    return JSON.parse(await fs.readFile(path.join(mainDir, '.claude', WORKTREES_FILE), 'utf-8')).worktrees || [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Write the worktree list back
+ */
+async function writeWorktreeList(mainDir, worktrees) {
+  await fs.mkdir(path.join(mainDir, '.claude'), { recursive: true });
+  await fs.writeFile(path.join(mainDir, '.claude', WORKTREES_FILE),
+    `${JSON.stringify({ version: 1, worktrees }, null, 2)}\n`);
+}
+
+/**
+ * Copy .claude/ from the main checkout into a worktree
+ *
+ * Files the worktree already has, such as the ones committed to the
+ * repository, are left alone, as is per-checkout state (CHECKOUT_STATE). The
+ * linked run's journal file comes along so checkpoints can be recorded from
+ * inside the worktree. Returns the copied paths, relative to the worktree.
+ */
+export async function copyClaudeDir(mainDir, worktreeDir, runId = null) {
+  const copied = [];
+
+  const copy = async (from, to) => {
+    const stat = await fs.stat(from);
+
+    if (stat.isDirectory()) {
+      await fs.mkdir(to, { recursive: true });
+      for (const name of await fs.readdir(from)) {
+        await copy(path.join(from, name), path.join(to, name));
+      }
+    } else if (!await exists(to)) {
+      await fs.mkdir(path.dirname(to), { recursive: true });
+      await fs.copyFile(from, to);
+      copied.push(path.relative(worktreeDir, to).split(path.sep).join('/'));
+    }
+  };
+
+  const source = path.join(mainDir, '.claude');
+  const target = path.join(worktreeDir, '.claude');
+
+  let names;
+  try {
+    names = await fs.readdir(source);
+  } catch {
+    // The suite isn't installed in the main checkout
+    return copied;
+  }
+
+  for (const name of names.filter(entry => !CHECKOUT_STATE.includes(entry))) {
+    await copy(path.join(source, name), path.join(target, name));
+  }
+
+  if (runId) {
+    const file = path.join(RUNS_DIR, `${runId}.json`);
+    if (await exists(path.join(source, file))) {
+      await copy(path.join(source, file), path.join(target, file));
+    }
+  }
+
+  return copied;
+}
+
+/**
+ * Create a worktree and branch for a feature
+ *
+ * `options.prefix` sets the branch prefix (default DEFAULT_BRANCH_PREFIX),
+ * `options.base` the commit to branch from (default the main checkout's
+ * HEAD) and `options.dir` overrides the directory. `options.run` (a run id)
+ * and `options.plan` (a plan file) link the worktree to the work it is for.
+ * Throws (code WORKTREE_EXISTS) when the branch or directory is taken.
+ */
+export async function createWorktree(targetDir, feature, options = {}) {
+  const mainDir = await getMainWorktree(targetDir);
+  const names = getWorktreeNames(mainDir, feature, options.prefix ?? DEFAULT_BRANCH_PREFIX);
+  const dir = options.dir ? path.resolve(targetDir, options.dir) : names.path;
+
+  if (await gitSucceeds(['rev-parse', '--verify', '--quiet', `refs/heads/${names.branch}`], mainDir)) {
+    throw createError('WORKTREE_EXISTS', `Branch ${names.branch} already exists`);
+  }
+  if (await exists(dir)) {
+    throw createError('WORKTREE_EXISTS', `${dir} already exists`);
+  }
+
+  const run = options.run ? await readRun(mainDir, options.run) : null;
+  const plan = options.plan ? path.relative(mainDir, path.resolve(targetDir, options.plan)).split(path.sep).join('/') : null;
+  if (plan && !await exists(path.join(mainDir, plan))) {
+    throw createError('INVALID_OPTION', `Plan ${plan} does not exist`);
+  }
+
+  const base = options.base || 'HEAD';
+  const startCommit = await runGit(['rev-parse', '--verify', `${base}^{commit}`], mainDir);
+  await runGit(['worktree', 'add', '-b', names.branch, dir, startCommit], mainDir);
+
+  const copied = await copyClaudeDir(mainDir, dir, run?.id);
+
+  const entry = {
+    slug: names.slug,
+    branch: names.branch,
+    path: dir,
+    base,
+    startCommit,
+    run: run?.id || null,
+    plan,
+    copied,
+    createdAt: new Date().toISOString()
+  };
+
+  await writeWorktreeList(mainDir, [...await readWorktreeList(mainDir), entry]);
+
+  return entry;
+}
+
+/**
+ * Find the run a worktree is for
+ *
+ * The linked run, read from the worktree's own journal when checkpoints were
+ * recorded there, or else the most recent run whose target has the same
+ * slug as the worktree.
+ */
+async function findLinkedRun(mainDir, worktree, runs) {
+  if (worktree.run) {
+    for (const dir of [worktree.path, mainDir]) {
+      try {
+        return await readRun(dir, worktree.run);
+      } catch {
+        // Not in this checkout's journal
+      }
+    }
+    return null;
+  }
+
+  return runs.find(run => slugify(run.target) === worktree.slug) || null;
+}
+
+/**
+ * List the repository's feature worktrees
+ *
+ * Every worktree but the main checkout is listed, with the run and plan it
+ * is linked to. Worktrees made with `git worktree add` directly have
+ * `managed: false` and no plan, but are still matched to a run by branch
+ * name. Returns `[{ slug, branch, path, head, managed, missing, locked,
+ * run, plan, startCommit, createdAt }]`.
+ */
+export async function listWorktrees(targetDir) {
+  const mainDir = await getMainWorktree(targetDir);
+  const [worktrees, managed] = await Promise.all([listGitWorktrees(mainDir), readWorktreeList(mainDir)]);
+  const runs = await listRuns(mainDir);
+  const byPath = new Map(managed.map(entry => [path.resolve(entry.path), entry]));
+
+  const result = [];
+  for (const worktree of worktrees.slice(1).filter(entry => !entry.bare)) {
+    const entry = byPath.get(worktree.path);
+    const slug = entry?.slug || (worktree.branch || path.basename(worktree.path)).split('/').pop();
+    const run = await findLinkedRun(mainDir, { slug, path: worktree.path, run: entry?.run }, runs);
+
+    result.push({
+      slug,
+      branch: worktree.branch,
+      path: worktree.path,
+      head: worktree.head,
+      managed: !!entry,
+      missing: worktree.prunable || !await exists(worktree.path),
+      locked: worktree.locked,
+      run: run && { id: run.id, workflow: run.workflow, status: run.status, checkpoint: run.checkpoint, updatedAt: run.updatedAt },
+      plan: entry?.plan || null,
+      startCommit: entry?.startCommit || null,
+      createdAt: entry?.createdAt || null
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Whether a worktree has work that isn't committed
+ *
+ * Run journal changes are copied back by keepRunJournals, and the `copied`
+ * files are the ones copyClaudeDir put there, so they don't count while
+ * they still match the main checkout. Any other untracked file does.
+ */
+async function hasChanges(mainDir, worktreeDir, copied = []) {
+  const journal = `.claude/${RUNS_DIR}/`;
+  const output = await runGit(['status', '--porcelain', '--untracked-files=all'], worktreeDir);
+
+  for (const line of output.split('\n').filter(Boolean)) {
+    const file = line.replace(/^[ MTADRCU?!]{1,2} /, '');
+    if (file.startsWith(journal)) {
+      continue;
+    }
+    if (!line.startsWith('?? ') || !copied.includes(file)) {
+      return true;
+    }
+
+    try {
+      const [ours, theirs] = await Promise.all([
+        fs.readFile(path.join(worktreeDir, file)),
+        fs.readFile(path.join(mainDir, file))
+      ]);
+      if (!ours.equals(theirs)) {
+        return true;
+      }
+    } catch {
+      // Gone from the main checkout, so this is the only copy
+      return true;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Copy runs recorded inside a worktree back to the main checkout's journal,
+ * where they are newer
+ */
+async function keepRunJournals(mainDir, worktreeDir) {
+  const main = new Map((await listRuns(mainDir)).map(run => [run.id, run]));
+
+  for (const run of await listRuns(worktreeDir)) {
+    if (!main.has(run.id) || run.updatedAt > main.get(run.id).updatedAt) {
+      const file = path.join('.claude', RUNS_DIR, `${path.basename(run.id)}.json`);
+      await fs.mkdir(path.dirname(path.join(mainDir, file)), { recursive: true });
+      await fs.copyFile(path.join(worktreeDir, file), path.join(mainDir, file));
+    }
+  }
+}
+
+/**
+ * Remove merged and abandoned worktrees the suite created
+ *
+ * A worktree is merged when its branch has commits and all of them are in
+ * `options.base` (default the main checkout's branch): the worktree and its
+ * branch are removed. That is checked before anything is removed, so the
+ * branch goes with `git branch -D` even when `base` isn't the branch checked
+ * out in the main checkout. It is abandoned when its directory is gone, or
+ * nothing happened on its branch or linked run for `options.days` days
+ * (default DEFAULT_ABANDONED_DAYS): the worktree is removed but its branch
+ * is kept, so no commits are lost. Locked worktrees and worktrees with
+ * uncommitted changes, including untracked files other than the unchanged
+ * copies from .claude/, are always kept. Runs recorded inside a worktree
+ * are copied back to the main checkout's journal before it is removed.
+ * `options.dryRun` reports without removing anything.
+ *
+ * A worktree that can't be removed doesn't stop the others. Returns
+ * `{ base, removed, kept, failed }`, each entry with a `reason` (the error
+ * message for `failed`).
+ */
+export async function pruneWorktrees(targetDir, options = {}) {
+  const mainDir = await getMainWorktree(targetDir);
+  const base = options.base || await runGit(['rev-parse', '--abbrev-ref', 'HEAD'], mainDir);
+  const days = options.days ?? DEFAULT_ABANDONED_DAYS;
+  const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+  const worktrees = (await listWorktrees(mainDir)).filter(entry => entry.managed);
+  const copied = new Map((await readWorktreeList(mainDir)).map(entry => [path.resolve(entry.path), entry.copied]));
+
+  const result = { base, removed: [], kept: [], failed: [] };
+  const removed = new Set();
+  const remove = async (entry, reason, deleteBranch) => {
+    if (!options.dryRun) {
+      if (entry.missing) {
+        await runGit(['worktree', 'prune'], mainDir);
+      } else {
+        await keepRunJournals(mainDir, entry.path);
+        // git counts the copied .claude/ files as untracked work, and
+        // hasChanges made sure they are all there is
+        await runGit(['worktree', 'remove', '--force', entry.path], mainDir);
+      }
+      removed.add(entry.path);
+      if (deleteBranch && entry.branch) {
+        // Merged into base, checked before the worktree went
+        await runGit(['branch', '-D', entry.branch], mainDir);
+      }
+    }
+    result.removed.push({ ...entry, reason, branchDeleted: deleteBranch && !!entry.branch });
+  };
+
+  const prune = async (entry) => {
+    if (entry.locked) {
+      result.kept.push({ ...entry, reason: 'locked' });
+      return;
+    }
+    if (entry.missing) {
+      await remove(entry, 'abandoned: directory is gone', false);
+      return;
+    }
+    if (await hasChanges(mainDir, entry.path, copied.get(entry.path))) {
+      result.kept.push({ ...entry, reason: 'has uncommitted changes' });
+      return;
+    }
+
+    if (entry.head !== entry.startCommit && await gitSucceeds(['merge-base', '--is-ancestor', entry.head, base], mainDir)) {
+      await remove(entry, `merged into ${base}`, true);
+      return;
+    }
+
+    const lastCommit = Number(await runGit(['log', '-1', '--format=%ct', entry.head], mainDir)) * 1000;
+    const lastActivity = Math.max(lastCommit, Date.parse(entry.createdAt) || 0, Date.parse(entry.run?.updatedAt) || 0);
+    if (lastActivity < cutoff) {
+      await remove(entry, `abandoned: no activity for ${days} days`, false);
+      return;
+    }
+
+    result.kept.push({ ...entry, reason: entry.head === entry.startCommit ? 'no commits yet' : 'in progress' });
+  };
+
+  try {
+    for (const entry of worktrees) {
+      try {
+        await prune(entry);
+      } catch (error) {
+        result.failed.push({ ...entry, reason: error.message });
+      }
+    }
+  } finally {
+    // Forget what was removed, here or with git directly
+    if (!options.dryRun) {
+      const live = new Set(worktrees.map(entry => entry.path).filter(dir => !removed.has(dir)));
+      await writeWorktreeList(mainDir, (await readWorktreeList(mainDir)).filter(entry => live.has(path.resolve(entry.path))));
+    }
+  }
+
+  return result;
+}
+
+export default {
+  WORKTREES_FILE,
+  CHECKOUT_STATE,
+  DEFAULT_BRANCH_PREFIX,
+  DEFAULT_ABANDONED_DAYS,
+  listGitWorktrees,
+  getMainWorktree,
+  getWorktreeNames,
+  copyClaudeDir,
+  createWorktree,
+  listWorktrees,
+  pruneWorktrees
+};
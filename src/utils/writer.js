@@ -0,0 +1,287 @@
+/**
+ * File writer for Danizee Claude Suite
+ * Routes every suite write through one place so local edits are protected
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { LEGACY_FILE_HASHES, PENDING_KIND, hashContent } from './manifest.js';
+import { merge3 } from './diff.js';
+
+export const STATE_DIR = '.danizee';
+export const MODIFIED_ACTIONS = ['merge', 'keep', 'overwrite'];
+
+/**
+ * Get the directory holding pristine copies of installed files
+ */
+export function getBaseDir(claudeDir) {
+  return path.join(claudeDir, STATE_DIR, 'base');
+}
+
+/**
+ * Read a file, or return null if it doesn't exist
+ */
+async function readIfExists(filePath) {
+  try {
+    return await fs.readFile(filePath, 'utf-8');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Writes suite files, comparing each against the last installed version
+ *
+ * Files that still match the manifest hash are upgraded silently. Files the
+ * user edited, and files from an install older than the manifest that don't
+ * match LEGACY_FILE_HASHES, are handed to `resolveModified`, which picks one
+ * of MODIFIED_ACTIONS. A kept file's new version goes to `<file>.new`,
+ * recorded in the manifest as PENDING_KIND. In dry-run mode nothing touches
+ * disk; every write and delete is recorded in `changes` instead.
+ */
+export class FileWriter {
+  constructor(options = {}) {
+    this.targetDir = options.targetDir || process.cwd();
+    this.claudeDir = options.claudeDir || path.join(this.targetDir, '.claude');
+    this.manifest = options.manifest || null;
+    this.dryRun = options.dryRun || false;
+    this.transaction = options.transaction || null;
+    this.resolveModified = options.resolveModified || (async () => options.onModified || 'keep');
+    this.entries = [];
+    this.changes = [];
+    this.summary = {
+      created: [],
+      upgraded: [],
+      unchanged: [],
+      merged: [],
+      conflicted: [],
+      kept: [],
+      overwritten: []
+    };
+  }
+
+  /**
+   * Path relative to the project root, as stored in the manifest
+   */
+  relative(filePath) {
+    return path.relative(this.targetDir, filePath).split(path.sep).join('/');
+  }
+
+  /**
+   * Create a directory
+   */
+  async mkdir(dir) {
+    if (!this.dryRun) {
+      await this.transaction?.trackDir(dir);
+      await fs.mkdir(dir, { recursive: true });
+    }
+  }
+
+  /**
+   * Read a file as it stands, including changes already planned in dry-run mode
+   */
+  async read(filePath) {
+    const relative = this.relative(filePath);
+    const planned = this.changes.find(change => change.file === relative);
+
+    return planned ? planned.after : readIfExists(filePath);
+  }
+
+  /**
+   * Record a planned change to a file without touching it
+   *
+   * Pass null as content to plan a deletion. Planning the same file twice
+   * folds both into one change against the original content.
+   */
+  async plan(filePath, content) {
+    const relative = this.relative(filePath);
+    const current = await this.read(filePath);
+
+    if (current === content) {
+      return null;
+    }
+
+    let change = this.changes.find(planned => planned.file === relative);
+    if (!change) {
+      change = { file: relative, before: current };
+      this.changes.push(change);
+    }
+
+    change.after = content;
+    change.action = change.before === null ? 'create' : content === null ? 'delete' : 'overwrite';
+
+    if (change.before === content) {
+      this.changes.splice(this.changes.indexOf(change), 1);
+    }
+
+    return change;
+  }
+
+  /**
+   * Write file content to disk, or plan it in dry-run mode
+   */
+  async put(filePath, content, mode) {
+    if (this.dryRun) {
+      await this.plan(filePath, content);
+      return;
+    }
+
+    await this.transaction?.snapshot(filePath);
+    await this.transaction?.trackDir(path.dirname(filePath));
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, content, { encoding: 'utf-8', mode });
+  }
+
+  /**
+   * Remove a suite file, or plan its removal in dry-run mode
+   */
+  async removeFile(filePath) {
+    if (this.dryRun) {
+      await this.plan(filePath, null);
+      return;
+    }
+
+    await this.transaction?.snapshot(filePath);
+
+    try {
+      await fs.unlink(filePath);
+    } catch {
+      // File doesn't exist
+    }
+  }
+
+  /**
+   * Write a suite file
+   */
+  async writeFile(filePath, content, options = {}) {
+    const relative = this.relative(filePath);
+    const previous = this.manifest?.files[relative];
+    const current = await this.read(filePath);
+    let output = content;
+    let base = content;
+    let status;
+
+    if (current === null) {
+      status = 'created';
+    } else if (current === content) {
+      status = 'unchanged';
+    } else if (previous
+      ? hashContent(current) === previous.hash
+      : !this.manifest && LEGACY_FILE_HASHES[relative] === hashContent(current)) {
+      status = 'upgraded';
+    } else if (previous && await this.readBase(relative) === content) {
+      // Edited locally, but the suite's version hasn't moved: nothing to update
+      status = 'unchanged';
+    } else {
+      const hasBase = !!previous && await this.readBase(relative) !== null;
+      const action = await this.resolveModified({ file: relative, hasBase });
+
+      if (action === 'merge' && hasBase) {
+        const merged = merge3(current, await this.readBase(relative), content, {
+          remote: 'danizee-suite'
+        });
+        output = merged.content;
+        status = merged.conflicts > 0 ? 'conflicted' : 'merged';
+      } else if (action === 'overwrite') {
+        status = 'overwritten';
+      } else {
+        // Keep the local copy and leave the old base so a later merge still works
+        await this.put(`${filePath}.new`, content);
+        status = 'kept';
+        base = null;
+        this.entries.push({
+          file: `${relative}.new`,
+          hash: hashContent(content),
+          plugin: options.plugin || null,
+          kind: PENDING_KIND
+        });
+      }
+    }
+
+    if (status !== 'unchanged' && status !== 'kept') {
+      await this.put(filePath, output, options.mode);
+    }
+
+    if (base !== null) {
+      await this.writeBase(relative, base);
+    }
+
+    this.summary[status].push(relative);
+    this.entries.push({
+      file: relative,
+      hash: base !== null ? hashContent(base) : previous?.hash || hashContent(content),
+      plugin: options.plugin || null,
+      kind: options.kind || 'file'
+    });
+
+    return status;
+  }
+
+  /**
+   * Remove a directory if it is empty
+   */
+  async removeEmptyDir(dir) {
+    if (this.dryRun) {
+      return;
+    }
+
+    try {
+      await fs.rmdir(dir);
+    } catch {
+      // Not empty or doesn't exist
+    }
+  }
+
+  /**
+   * Get a view of this writer that attributes every file to one plugin
+   */
+  scoped(plugin) {
+    return {
+      mkdir: dir => this.mkdir(dir),
+      writeFile: (filePath, content, options = {}) => this.writeFile(filePath, content, { plugin, ...options }),
+      removeFile: filePath => this.removeFile(filePath),
+      removeEmptyDir: dir => this.removeEmptyDir(dir)
+    };
+  }
+
+  /**
+   * Read the pristine copy of an installed file
+   */
+  async readBase(relative) {
+    return readIfExists(path.join(getBaseDir(this.claudeDir), relative));
+  }
+
+  /**
+   * Store the pristine copy of an installed file for future merges
+   */
+  async writeBase(relative, content) {
+    if (this.dryRun) {
+      return;
+    }
+
+    const basePath = path.join(getBaseDir(this.claudeDir), relative);
+    await this.transaction?.snapshot(basePath);
+    await this.transaction?.trackDir(path.dirname(basePath));
+    await fs.mkdir(path.dirname(basePath), { recursive: true });
+    await fs.writeFile(basePath, content, 'utf-8');
+  }
+}
+
+/**
+ * Get the writer passed in plugin options, or one that writes straight to disk
+ */
+export function getWriter(claudeDir, options = {}) {
+  return options.writer || new FileWriter({
+    claudeDir,
+    targetDir: options.targetDir,
+    dryRun: options.dryRun
+  });
+}
+
+export default {
+  STATE_DIR,
+  MODIFIED_ACTIONS,
+  FileWriter,
+  getBaseDir,
+  getWriter
+};
@@ -0,0 +1,103 @@
+import { after, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { DaniZeeSuiteInstaller } from '../src/installer.js';
+import { detectCommandCollisions, detectMcpConflicts, detectSettingsConflicts, runConflictChecks } from '../src/utils/conflicts.js';
+import { getSettingsPath } from '../src/utils/settings.js';
+
+const dirs = [];
+
+// Keep the user's own ~/.claude out of the checks
+process.env.HOME = await fs.mkdtemp(path.join(os.tmpdir(), 'danizee-home-'));
+dirs.push(process.env.HOME);
+
+after(() => Promise.all(dirs.map(dir => fs.rm(dir, { recursive: true, force: true }))));
+
+test('workflow commands collide on the name they are invoked by', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'danizee-project-'));
+  dirs.push(dir);
+  const claudeDir = path.join(dir, '.claude');
+  await fs.mkdir(path.join(claudeDir, 'commands'), { recursive: true });
+  await fs.writeFile(path.join(claudeDir, 'commands', 'full-cycle.md'), '# My full cycle\n');
+
+  const suiteCommands = await new DaniZeeSuiteInstaller({ path: dir }).getSuiteCommands();
+  const collisions = (await detectCommandCollisions(claudeDir, { suiteCommands }))
+    .filter(conflict => conflict.type === 'command_collision');
+
+  assert.deepEqual(collisions.map(conflict => [conflict.name, conflict.severity]), [['full-cycle', 'error']]);
+});
+
+/**
+ * Make a project with the given settings files, by scope
+ */
+async function makeSettingsProject(files) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'danizee-project-'));
+  dirs.push(dir);
+  const claudeDir = path.join(dir, '.claude');
+
+  for (const [scope, settings] of Object.entries(files)) {
+    const file = getSettingsPath(claudeDir, scope);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, JSON.stringify(settings, null, 2));
+  }
+  return claudeDir;
+}
+
+const FLOW = { command: 'npx', args: ['claude-flow@alpha', 'mcp', 'start'] };
+
+test('settings overrides are checked against the scope the suite writes to', async () => {
+  const claudeDir = await makeSettingsProject({
+    project: { mcpServers: { 'claude-flow': FLOW } },
+    local: { mcpServers: { 'claude-flow': { ...FLOW, env: { DEBUG: '1' } } } }
+  });
+
+  const project = await detectSettingsConflicts(claudeDir, 'project');
+  assert.deepEqual(project.map(conflict => [conflict.type, conflict.scope, conflict.overrideScope]), [
+    ['mcp_server_override', 'project', 'local']
+  ]);
+  assert.deepEqual(await detectSettingsConflicts(claudeDir, 'local'), []);
+});
+
+test('a user scope install is overridden by the project settings', async () => {
+  const claudeDir = await makeSettingsProject({
+    user: { plugins: { 'claude-flow': { enabled: true } } },
+    project: { plugins: { 'claude-flow': { enabled: false } } }
+  });
+
+  try {
+    const { conflicts } = await runConflictChecks(claudeDir, { scope: 'user' });
+    assert.deepEqual(conflicts.filter(conflict => conflict.type === 'plugin_override').map(conflict => conflict.message), [
+      'Plugin "claude-flow" is defined in both ~/.claude/settings.json and settings.json'
+    ]);
+  } finally {
+    await fs.rm(path.join(os.homedir(), '.claude'), { recursive: true, force: true });
+  }
+});
+
+test('duplicate MCP servers are found across scopes and removed from the file defining them', async () => {
+  const claudeDir = await makeSettingsProject({
+    user: { mcpServers: { flow: FLOW } },
+    project: { mcpServers: { 'claude-flow': FLOW } }
+  });
+
+  try {
+    const duplicates = await detectMcpConflicts(claudeDir);
+    assert.deepEqual(duplicates.map(conflict => conflict.scopes), [{ flow: 'user', 'claude-flow': 'project' }]);
+
+    const installer = new DaniZeeSuiteInstaller({
+      path: path.dirname(claudeDir),
+      resolveConflict: async (conflict, choices) =>
+        (choices.find(choice => choice.value.action === 'ours') || choices[0]).value
+    });
+    await installer.install();
+
+    const user = JSON.parse(await fs.readFile(getSettingsPath(claudeDir, 'user'), 'utf-8'));
+    const project = JSON.parse(await fs.readFile(getSettingsPath(claudeDir, 'project'), 'utf-8'));
+    assert.deepEqual(user.mcpServers, {});
+    assert.ok(project.mcpServers['claude-flow']);
+  } finally {
+    await fs.rm(path.join(os.homedir(), '.claude'), { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { DaniZeeSuiteInstaller } from '../src/installer.js';
+import { listFiles, readManifest } from '../src/utils/manifest.js';
+import { isolateHome, makeTempDir, writeFiles } from './helpers.js';
+
+await isolateHome();
+
+/**
+ * Install the suite into a new project
+ */
+async function install() {
+  const dir = await makeTempDir();
+  await new DaniZeeSuiteInstaller({ path: dir }).install();
+  return dir;
+}
+
+/**
+ * Findings about the install, leaving out the machine's node and npx
+ */
+async function diagnose(dir, options = {}) {
+  const { findings, fixed } = await new DaniZeeSuiteInstaller({ path: dir }).doctor(options);
+  const about = entry => !['node', 'npx'].includes(entry.check);
+  const describe = entry => [entry.check, entry.severity, entry.message];
+  return { findings: findings.filter(about).map(describe), fixed: fixed.filter(about).map(describe) };
+}
+
+test('a fresh install has nothing to report', async () => {
+  const dir = await install();
+
+  assert.deepEqual((await diagnose(dir)).findings, []);
+});
+
+test('--fix makes helpers executable and restores missing commands and MCP config', async () => {
+  const dir = await install();
+  const claudeDir = path.join(dir, '.claude');
+  const [command] = listFiles(await readManifest(claudeDir), { kind: 'command' }).map(entry => entry.file);
+  await fs.chmod(path.join(claudeDir, 'helpers', 'quick-start.sh'), 0o644);
+  await fs.unlink(path.join(dir, command));
+  const settings = JSON.parse(await fs.readFile(path.join(claudeDir, 'settings.json'), 'utf-8'));
+  delete settings.mcpServers;
+  await fs.writeFile(path.join(claudeDir, 'settings.json'), JSON.stringify(settings, null, 2));
+
+  const before = await diagnose(dir);
+  assert.deepEqual(before.findings, [
+    ['mcp', 'error', 'The claude-flow MCP server is not configured'],
+    ['templates', 'error', `${command} is missing`],
+    ['helpers', 'warning', '.claude/helpers/quick-start.sh is not executable']
+  ]);
+
+  const after = await diagnose(dir, { fix: true });
+  assert.deepEqual(after.findings, []);
+  assert.equal(after.fixed.length, 3);
+  await fs.access(path.join(dir, command));
+  assert.ok((await fs.stat(path.join(claudeDir, 'helpers', 'quick-start.sh'))).mode & 0o100);
+});
+
+test('settings.local.json overriding the suite is flagged', async () => {
+  const dir = await install();
+  await writeFiles(dir, {
+    '.claude/settings.local.json': JSON.stringify({ features: { 'danizee-compound-docs': false }, permissions: { deny: ['Bash(git worktree*)'] } })
+  });
+
+  assert.deepEqual((await diagnose(dir)).findings, [
+    ['overrides', 'warning', 'settings.local.json overrides features.danizee-compound-docs from the project settings'],
+    ['overrides', 'warning', 'settings.local.json denies "Bash(git worktree*)", which the suite allows']
+  ]);
+});
+
+test('a settings file that does not parse stops the checks that need it', async () => {
+  const dir = await install();
+  await fs.writeFile(path.join(dir, '.claude', 'settings.json'), '{ "danizee-suite": ');
+
+  const { findings } = await diagnose(dir);
+
+  assert.deepEqual(findings.map(([check, severity]) => [check, severity]), [['settings', 'error']]);
+});
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { DaniZeeSuiteInstaller } from '../src/installer.js';
+import { unifiedDiff } from '../src/utils/diff.js';
+import { MANIFEST_FILE } from '../src/utils/manifest.js';
+import { getBaseDir } from '../src/utils/writer.js';
+import { git, isolateHome, makeRepo, makeTempDir } from './helpers.js';
+
+await isolateHome();
+
+test('unifiedDiff writes hunks git can apply', () => {
+  assert.equal(unifiedDiff('a\nb\nc\n', 'a\nB\nc\n', { file: 'f.md' }), '--- a/f.md\n+++ b/f.md\n@@ -1,3 +1,3 @@\n a\n-b\n+B\n c\n');
+  assert.equal(unifiedDiff(null, 'new\n', { file: 'f.md' }), '--- /dev/null\n+++ b/f.md\n@@ -0,0 +1,1 @@\n+new\n');
+  assert.equal(unifiedDiff('x', 'x\n', { file: 'f.md' }), '--- a/f.md\n+++ b/f.md\n@@ -1,1 +1,1 @@\n-x\n\\ No newline at end of file\n+x\n');
+  assert.equal(unifiedDiff('same\n', 'same\n', { file: 'f.md' }), '');
+});
+
+test('a dry run touches nothing and lists every change', async () => {
+  const dir = await makeTempDir();
+
+  const result = await new DaniZeeSuiteInstaller({ path: dir, dryRun: true }).install();
+
+  assert.deepEqual(await fs.readdir(dir), []);
+  assert.equal(result.dryRun, true);
+  const files = result.changes.map(change => change.file);
+  assert.ok(files.includes('.claude/settings.json'));
+  assert.ok(files.includes(`.claude/${MANIFEST_FILE}`));
+  assert.ok(files.includes('WORKFLOW-SHORTCUTS.md'));
+  assert.ok(result.changes.every(change => change.action === 'create'));
+});
+
+test('the dry-run diff applies cleanly and matches a real install', async () => {
+  const planned = await makeRepo();
+  const installed = await makeTempDir();
+
+  const patch = path.join(await makeTempDir('danizee-patch-'), 'install.patch');
+
+  const { diff, changes } = await new DaniZeeSuiteInstaller({ path: planned, dryRun: true }).install();
+  await fs.writeFile(patch, diff);
+  git(planned, 'apply', patch);
+  await new DaniZeeSuiteInstaller({ path: installed }).install();
+
+  // Settings and the manifest carry install timestamps, and empty files
+  // have no hunks to show
+  for (const { file } of changes.filter(change => !/settings\.json$|danizee-manifest\.json$/.test(change.file))) {
+    const expected = await fs.readFile(path.join(installed, file), 'utf-8');
+    if (expected !== '') {
+      assert.equal(await fs.readFile(path.join(planned, file), 'utf-8'), expected, file);
+    }
+  }
+});
+
+test('a dry-run update shows what it would do to an edited command', async () => {
+  const dir = await makeTempDir();
+  await new DaniZeeSuiteInstaller({ path: dir }).install();
+  const file = '.claude/commands/danizee/run.md';
+  const current = await fs.readFile(path.join(dir, file), 'utf-8');
+
+  // An older suite version that the user edited
+  await fs.writeFile(path.join(getBaseDir(path.join(dir, '.claude')), file), `Old\n${current}`);
+  await fs.writeFile(path.join(dir, file), `Old\n${current}My note\n`);
+
+  const result = await new DaniZeeSuiteInstaller({ path: dir, dryRun: true, update: true, force: true, onModified: 'overwrite' }).install();
+
+  assert.deepEqual(result.changes.filter(change => change.file === file), [{ file, action: 'overwrite' }]);
+  const [, hunk] = result.diff.split(`--- a/${file}\n+++ b/${file}\n`);
+  assert.match(hunk, /^@@ -1,\d+ \+1,\d+ @@\n-Old\n/);
+  assert.match(hunk, /\n-My note\n/);
+  assert.equal(await fs.readFile(path.join(dir, file), 'utf-8'), `Old\n${current}My note\n`);
+});
@@ -0,0 +1,68 @@
+/**
+ * Shared setup for the node:test suites
+ */
+
+import { after } from 'node:test';
+import { execFileSync } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+const dirs = [];
+
+after(() => Promise.all(dirs.map(dir => fs.rm(dir, { recursive: true, force: true }))));
+
+/**
+ * Make a temporary directory that is removed once the file's tests are done
+ */
+export async function makeTempDir(prefix = 'danizee-project-') {
+  const dir = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), prefix)));
+  dirs.push(dir);
+  return dir;
+}
+
+/**
+ * Point HOME at an empty directory, keeping the user's own ~/.claude out of
+ * the tests
+ */
+export async function isolateHome() {
+  process.env.HOME = await makeTempDir('danizee-home-');
+  return process.env.HOME;
+}
+
+/**
+ * Write files, given as `{ 'relative/path': content }`, under a directory
+ */
+export async function writeFiles(dir, files) {
+  for (const [file, content] of Object.entries(files)) {
+    await fs.mkdir(path.dirname(path.join(dir, file)), { recursive: true });
+    await fs.writeFile(path.join(dir, file), content);
+  }
+}
+
+/**
+ * Run git in a directory, as a committer that needs no global config
+ */
+export function git(dir, ...args) {
+  return execFileSync('git', args, {
+    cwd: dir,
+    encoding: 'utf-8',
+    env: {
+      ...process.env,
+      GIT_AUTHOR_NAME: 'Test',
+      GIT_AUTHOR_EMAIL: 'test@example.com',
+      GIT_COMMITTER_NAME: 'Test',
+      GIT_COMMITTER_EMAIL: 'test@example.com'
+    }
+  }).trim();
+}
+
+/**
+ * Make a git repository with one commit on `main`
+ */
+export async function makeRepo() {
+  const dir = await makeTempDir('danizee-repo-');
+  git(dir, 'init', '-q', '-b', 'main');
+  git(dir, 'commit', '-q', '--allow-empty', '-m', 'init');
+  return dir;
+}
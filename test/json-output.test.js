@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { listFiles, readManifest } from '../src/utils/manifest.js';
+import { EXIT_CODES } from '../src/utils/errors.js';
+import { isolateHome, makeTempDir, writeFiles } from './helpers.js';
+
+const CLI = fileURLToPath(new URL('../bin/cli.js', import.meta.url));
+
+await isolateHome();
+
+/**
+ * Run a command with --json and return its exit code and output
+ */
+function run(dir, ...args) {
+  const child = spawnSync(process.execPath, [CLI, '--json', ...args, '--path', dir], { encoding: 'utf-8' });
+  return { status: child.status, output: JSON.parse(child.stdout) };
+}
+
+test('check reports a project without the suite as not installed', async () => {
+  const dir = await makeTempDir();
+
+  const { status, output } = run(dir, 'check');
+
+  assert.equal(status, EXIT_CODES.notInstalled);
+  assert.equal(output.command, 'check');
+  assert.equal(output.ok, false);
+  assert.equal(output.exitCode, EXIT_CODES.notInstalled);
+  assert.equal(output.result.health, 'not-installed');
+});
+
+test('init prints its plugin results and check then succeeds', async () => {
+  const dir = await makeTempDir();
+
+  const init = run(dir, 'init');
+  assert.equal(init.status, EXIT_CODES.success);
+  assert.equal(init.output.ok, true);
+  assert.ok(init.output.result.plugins.length > 0);
+  assert.deepEqual(init.output.errors, []);
+
+  const check = run(dir, 'check');
+  assert.equal(check.status, EXIT_CODES.success);
+  assert.equal(check.output.result.health, 'installed');
+  assert.deepEqual(check.output.conflicts, check.output.result.conflicts);
+});
+
+test('a damaged install is reported as partial', async () => {
+  const dir = await makeTempDir();
+  run(dir, 'init');
+  const [command] = listFiles(await readManifest(path.join(dir, '.claude')), { kind: 'command' });
+  await fs.unlink(path.join(dir, command.file));
+
+  const { status, output } = run(dir, 'check');
+
+  assert.equal(status, EXIT_CODES.partial);
+  assert.equal(output.result.health, 'partial');
+  assert.deepEqual(output.result.files.missing, [command.file]);
+});
+
+test('init stops on conflicts with their list and an error code', async () => {
+  const dir = await makeTempDir();
+  await writeFiles(dir, { '.claude/commands/full-cycle.md': '# My full cycle\n' });
+
+  const { status, output } = run(dir, 'init');
+
+  assert.equal(status, EXIT_CODES.conflicts);
+  assert.deepEqual(output.errors.map(error => error.code), ['CONFLICTS']);
+  assert.ok(output.conflicts.some(conflict => conflict.type === 'command_collision' && conflict.name === 'full-cycle'));
+});
+
+test('changing plugins on a project without the suite exits as not installed', async () => {
+  const dir = await makeTempDir();
+
+  const { status, output } = run(dir, 'plugin', 'disable', 'frontend-design');
+
+  assert.equal(status, EXIT_CODES.notInstalled);
+  assert.deepEqual(output.errors.map(error => error.code), ['NOT_INSTALLED']);
+});
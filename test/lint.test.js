@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { lintSolutions } from '../src/utils/lint.js';
+import { createSolution } from '../src/utils/solutions.js';
+import { parseFrontMatter } from '../src/utils/frontmatter.js';
+import { isolateHome, makeTempDir, writeFiles } from './helpers.js';
+
+await isolateHome();
+
+/**
+ * Issues of one doc as `rule: message` strings
+ */
+function messages(report, file) {
+  return (report.results.find(result => result.file === file)?.issues || []).map(issue => `${issue.rule}: ${issue.message}`);
+}
+
+test('a fresh solution doc only has warnings for the parts still to write', async () => {
+  const dir = await makeTempDir();
+  await createSolution(dir, { category: 'bugs', title: 'Fresh', date: '2024-03-01' });
+
+  const report = await lintSolutions(dir);
+
+  assert.equal(report.errorCount, 0);
+  assert.ok(report.warningCount > 0);
+  assert.ok(report.results[0].issues.every(issue => ['summary', 'sections'].includes(issue.rule)));
+});
+
+test('front-matter flags a date that is not a real day', async () => {
+  const dir = await makeTempDir();
+  const { content } = await createSolution(dir, { category: 'bugs', title: 'Leap', date: '2024-02-28' }, { dryRun: true });
+  await writeFiles(dir, {
+    'docs/solutions/bugs/2024-02-28-leap.md': content.replace('date: 2024-02-28', 'date: 2024-02-30')
+  });
+
+  const report = await lintSolutions(dir, { rules: { summary: 'off', sections: 'off' } });
+
+  assert.deepEqual(messages(report, 'docs/solutions/bugs/2024-02-28-leap.md'), [
+    'front-matter: date "2024-02-30" is not a YYYY-MM-DD calendar date'
+  ]);
+  assert.equal(report.errorCount, 1);
+});
+
+test('--fix fills in front matter from the file and moves the doc to its category folder', async () => {
+  const dir = await makeTempDir();
+  await writeFiles(dir, {
+    'docs/solutions/bugs/2024-03-01-slow-build.md': '---\ncategory: performance\n---\n# Slow build\n'
+  });
+
+  const report = await lintSolutions(dir, { fix: true, rules: { summary: 'off', sections: 'off' } });
+
+  const moved = path.join(dir, 'docs/solutions/performance/2024-03-01-slow-build.md');
+  assert.deepEqual(report.fixed, ['docs/solutions/performance/2024-03-01-slow-build.md']);
+  assert.equal(report.errorCount, 0);
+  await assert.rejects(fs.access(path.join(dir, 'docs/solutions/bugs/2024-03-01-slow-build.md')));
+
+  const { data } = parseFrontMatter(await fs.readFile(moved, 'utf-8'));
+  assert.equal(data.id, '2024-03-01-slow-build');
+  assert.equal(data.title, 'Slow build');
+  assert.equal(data.date, '2024-03-01');
+  assert.equal(data.memory_key, 'project/performance/slow-build');
+});
+
+test('file-links reports missing files and broken relative links', async () => {
+  const dir = await makeTempDir();
+  const { content } = await createSolution(dir, { category: 'bugs', title: 'Links', date: '2024-03-01', files: ['src/gone.js'] }, { dryRun: true });
+  await writeFiles(dir, {
+    'docs/solutions/bugs/2024-03-01-links.md': `${content}\nSee [the other fix](../bugs/missing.md) and [docs](https://example.com).\n`
+  });
+
+  const report = await lintSolutions(dir, { rules: { summary: 'off', sections: 'off' } });
+
+  assert.deepEqual(messages(report, 'docs/solutions/bugs/2024-03-01-links.md'), [
+    'file-links: Listed file "src/gone.js" does not exist',
+    'file-links: Broken link to "../bugs/missing.md"'
+  ]);
+});
+
+test('rule severities come from settings', async () => {
+  const dir = await makeTempDir();
+  await writeFiles(dir, {
+    '.claude/settings.json': JSON.stringify({ 'danizee-suite': { solutionsLint: { rules: { 'file-links': 'warning', summary: 'off', sections: 'off' } } } }),
+    'docs/solutions/bugs/2024-03-01-links.md': (await createSolution(dir, { category: 'bugs', title: 'Links', date: '2024-03-01', files: ['src/gone.js'] }, { dryRun: true })).content
+  });
+
+  const report = await lintSolutions(dir);
+
+  assert.equal(report.errorCount, 0);
+  assert.equal(report.warningCount, 1);
+});
+
+test('only docs under docs/solutions are linted when files are given', async () => {
+  const dir = await makeTempDir();
+  await writeFiles(dir, { 'README.md': '# Not a solution\n' });
+
+  const report = await lintSolutions(dir, { files: ['README.md'] });
+
+  assert.deepEqual(report.results, []);
+});
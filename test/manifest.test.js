@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { DaniZeeSuiteInstaller } from '../src/installer.js';
+import { hashFile, listFiles, readManifest, verifyFiles } from '../src/utils/manifest.js';
+import { SUITE_VERSION } from '../src/utils/settings.js';
+import { isolateHome, makeTempDir, writeFiles } from './helpers.js';
+
+await isolateHome();
+
+/**
+ * Install the suite into a new project
+ */
+async function install() {
+  const dir = await makeTempDir();
+  await new DaniZeeSuiteInstaller({ path: dir }).install();
+  return { dir, manifest: await readManifest(path.join(dir, '.claude')) };
+}
+
+test('install records every file it writes with its hash and owner', async () => {
+  const { dir, manifest } = await install();
+
+  assert.equal(manifest.suiteVersion, SUITE_VERSION);
+  assert.ok(manifest.files['WORKFLOW-SHORTCUTS.md']);
+  assert.ok(listFiles(manifest, { plugin: 'compound-engineering' }).length > 0);
+  for (const entry of listFiles(manifest)) {
+    assert.equal(await hashFile(path.join(dir, entry.file)), entry.hash, entry.file);
+  }
+  assert.ok(manifest.settings.keys.includes('danizee-suite'));
+});
+
+test('check reports files edited or deleted since install', async () => {
+  const { dir, manifest } = await install();
+  const [edited, deleted] = listFiles(manifest, { kind: 'command' }).map(entry => entry.file);
+  await fs.appendFile(path.join(dir, edited), '\nMy note\n');
+  await fs.unlink(path.join(dir, deleted));
+
+  const { files } = await new DaniZeeSuiteInstaller({ path: dir }).check();
+
+  assert.deepEqual(files.modified, [edited]);
+  assert.deepEqual(files.missing, [deleted]);
+  assert.deepEqual((await verifyFiles(manifest, dir)).modified, [edited]);
+});
+
+test('uninstall removes only manifest files and keeps the ones you edited', async () => {
+  const { dir, manifest } = await install();
+  const [edited, removed] = listFiles(manifest, { kind: 'command' }).map(entry => entry.file);
+  await fs.appendFile(path.join(dir, edited), '\nMy note\n');
+  await writeFiles(dir, { '.claude/commands/mine.md': '# Mine\n' });
+
+  const result = await new DaniZeeSuiteInstaller({ path: dir }).uninstall();
+
+  assert.deepEqual(result.kept, [edited]);
+  await fs.access(path.join(dir, edited));
+  await fs.access(path.join(dir, '.claude/commands/mine.md'));
+  await assert.rejects(fs.access(path.join(dir, removed)));
+  assert.equal(await readManifest(path.join(dir, '.claude')), null);
+});
@@ -0,0 +1,140 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { loadMemoryAdapter, syncMemory } from '../src/utils/memory.js';
+import { createSolution } from '../src/utils/solutions.js';
+import { parseFrontMatter } from '../src/utils/frontmatter.js';
+import { EXIT_CODES } from '../src/utils/errors.js';
+import { isolateHome, makeTempDir, writeFiles } from './helpers.js';
+
+const CLI = fileURLToPath(new URL('../bin/cli.js', import.meta.url));
+
+await isolateHome();
+
+/**
+ * A project with one solution doc and the json memory adapter
+ */
+async function makeProject() {
+  const dir = await makeTempDir();
+  const doc = await createSolution(dir, { category: 'bugs', title: 'Auth timeout', date: '2024-01-10', problem: 'Sessions expire during login' });
+  const adapter = await loadMemoryAdapter(dir, 'json');
+  return { dir, doc, adapter };
+}
+
+/**
+ * Memory entries by key
+ */
+async function entries(adapter) {
+  return Object.fromEntries((await adapter.list('project/')).map(entry => [entry.key, entry.value]));
+}
+
+test('new docs are pushed and a second sync has nothing to do', async () => {
+  const { dir, adapter } = await makeProject();
+
+  const first = await syncMemory(dir, adapter);
+  assert.deepEqual(first.pushed, [{ key: 'project/bugs/auth-timeout', file: 'docs/solutions/bugs/2024-01-10-auth-timeout.md' }]);
+  const stored = JSON.parse((await entries(adapter))['project/bugs/auth-timeout']);
+  assert.equal(stored.title, 'Auth timeout');
+  assert.equal(stored.problem, 'Sessions expire during login');
+
+  const second = await syncMemory(dir, adapter);
+  assert.deepEqual([second.pushed, second.pulled, second.diverged, second.unchanged], [[], [], [], 1]);
+});
+
+test('memory entries without a doc are pulled into new docs', async () => {
+  const { dir, adapter } = await makeProject();
+  await adapter.set('project/bugs/flaky-login', 'The login test fails when the clock skews');
+  await adapter.set('project/notes', 'Not under a category');
+  await adapter.set('project/unknown/thing', 'Not a known category');
+
+  const result = await syncMemory(dir, adapter);
+
+  assert.equal(result.pulled.length, 1);
+  assert.equal(result.pulled[0].key, 'project/bugs/flaky-login');
+  assert.deepEqual(result.unmapped.sort(), ['project/notes', 'project/unknown/thing']);
+  const { data, body } = parseFrontMatter(await fs.readFile(path.join(dir, result.pulled[0].file), 'utf-8'));
+  assert.equal(data.memory_key, 'project/bugs/flaky-login');
+  assert.equal(data.title, 'Flaky login');
+  assert.match(body, /The login test fails when the clock skews/);
+
+  assert.equal((await syncMemory(dir, adapter)).unchanged, 2);
+});
+
+test('a doc removed locally comes back from memory where it was', async () => {
+  const { dir, doc, adapter } = await makeProject();
+  await syncMemory(dir, adapter);
+  await fs.unlink(doc.file);
+
+  const result = await syncMemory(dir, adapter);
+
+  assert.deepEqual(result.pulled, [{ key: 'project/bugs/auth-timeout', file: 'docs/solutions/bugs/2024-01-10-auth-timeout.md' }]);
+  assert.equal(parseFrontMatter(await fs.readFile(doc.file, 'utf-8')).data.title, 'Auth timeout');
+});
+
+test('changes on one side are synced and changes on both are reported as diverged', async () => {
+  const { dir, doc, adapter } = await makeProject();
+  await syncMemory(dir, adapter);
+
+  await fs.appendFile(doc.file, '\nMore detail.\n');
+  assert.equal((await syncMemory(dir, adapter)).pushed.length, 1);
+
+  await adapter.set('project/bugs/auth-timeout', 'Rewritten in memory');
+  const memoryOnly = await syncMemory(dir, adapter);
+  assert.deepEqual(memoryOnly.diverged.map(entry => entry.reason), ['memory changed since the last sync']);
+
+  await fs.appendFile(doc.file, '\nEven more.\n');
+  const both = await syncMemory(dir, adapter);
+  assert.deepEqual(both.diverged.map(entry => entry.reason), ['both changed since the last sync']);
+
+  const settled = await syncMemory(dir, adapter, { prefer: 'memory' });
+  assert.deepEqual(settled.pulled.map(entry => entry.file), ['docs/solutions/bugs/2024-01-10-auth-timeout.md']);
+  assert.match(await fs.readFile(doc.file, 'utf-8'), /Rewritten in memory/);
+  assert.equal((await syncMemory(dir, adapter)).unchanged, 1);
+});
+
+test('a dry run writes neither side', async () => {
+  const { dir, adapter } = await makeProject();
+  await adapter.set('project/bugs/flaky-login', 'The login test fails when the clock skews');
+
+  const result = await syncMemory(dir, adapter, { dryRun: true });
+
+  assert.equal(result.pushed.length, 1);
+  assert.equal(result.pulled.length, 1);
+  assert.deepEqual(Object.keys(await entries(adapter)), ['project/bugs/flaky-login']);
+  await assert.rejects(fs.access(path.join(dir, result.pulled[0].file)));
+  await assert.rejects(fs.access(path.join(dir, '.claude', 'danizee-memory-sync.json')));
+});
+
+test('the adapter comes from settings and unknown adapters are rejected', async () => {
+  const dir = await makeTempDir();
+  await writeFiles(dir, {
+    '.claude/settings.json': JSON.stringify({ 'danizee-suite': { memory: { adapter: 'json', file: 'memory.json' } } })
+  });
+
+  const adapter = await loadMemoryAdapter(dir);
+  assert.equal(adapter.name, 'json');
+  assert.equal(adapter.file, path.join(dir, 'memory.json'));
+
+  await assert.rejects(loadMemoryAdapter(dir, 'nope'), { code: 'UNKNOWN_ADAPTER' });
+  await writeFiles(dir, { 'adapter.js': 'export function createAdapter() { return { list() {} }; }\n' });
+  await assert.rejects(loadMemoryAdapter(dir, 'adapter.js'), { code: 'UNKNOWN_ADAPTER', message: /missing set\(\)/ });
+});
+
+test('memory sync exits with the conflicts code when entries diverge', async () => {
+  const { dir, adapter } = await makeProject();
+  const run = (...args) => {
+    const child = spawnSync(process.execPath, [CLI, '--json', 'memory', 'sync', '--adapter', 'json', ...args, '--path', dir], { encoding: 'utf-8' });
+    return { status: child.status, output: JSON.parse(child.stdout) };
+  };
+
+  assert.equal(run().status, EXIT_CODES.success);
+  await adapter.set('project/bugs/auth-timeout', 'Rewritten in memory');
+
+  const diverged = run();
+  assert.equal(diverged.status, EXIT_CODES.conflicts);
+  assert.equal(diverged.output.result.diverged.length, 1);
+  assert.equal(run('--prefer', 'both').output.errors[0].code, 'INVALID_OPTION');
+});
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { DaniZeeSuiteInstaller } from '../src/installer.js';
+import { getDefaultSettings, mergeWithRules } from '../src/utils/settings.js';
+import { isolateHome, makeTempDir, writeFiles } from './helpers.js';
+
+await isolateHome();
+
+test('union rules add missing array entries once, in order', () => {
+  const { settings, changes } = mergeWithRules(
+    { permissions: { allow: ['Bash(ls)', 'Bash(git worktree*)'] } },
+    { permissions: { allow: ['Bash(git worktree*)', 'Read(docs/**)'] } }
+  );
+
+  assert.deepEqual(settings.permissions.allow, ['Bash(ls)', 'Bash(git worktree*)', 'Read(docs/**)']);
+  assert.deepEqual(changes, [{
+    path: 'permissions.allow',
+    change: 'changed',
+    before: ['Bash(ls)', 'Bash(git worktree*)'],
+    after: ['Bash(ls)', 'Bash(git worktree*)', 'Read(docs/**)']
+  }]);
+});
+
+test('keep rules leave existing values, wildcards match any key and the rest is replaced', () => {
+  const rules = { 'plugins.*.agents': 'union', 'danizee-suite.installedAt': 'keep' };
+  const { settings } = mergeWithRules(
+    { 'danizee-suite': { installedAt: 'then', version: '0.9.0' }, plugins: { a: { agents: ['x'] }, b: { agents: ['y'] } } },
+    { 'danizee-suite': { installedAt: 'now', version: '1.0.0' }, plugins: { a: { agents: ['z'] }, b: { agents: ['y'] } } },
+    rules
+  );
+
+  assert.deepEqual(settings, {
+    'danizee-suite': { installedAt: 'then', version: '1.0.0' },
+    plugins: { a: { agents: ['x', 'z'] }, b: { agents: ['y'] } }
+  });
+});
+
+test('merging the same settings twice reports nothing changed', () => {
+  const suite = getDefaultSettings();
+  const once = mergeWithRules({ permissions: { allow: ['Bash(ls)'] } }, suite).settings;
+
+  const { settings, changes } = mergeWithRules(once, suite);
+
+  assert.deepEqual(settings, once);
+  assert.ok(changes.every(change => change.change === 'kept'));
+});
+
+test('reinstalling leaves settings.json untouched', async () => {
+  const dir = await makeTempDir();
+  await writeFiles(dir, { '.claude/settings.json': JSON.stringify({ permissions: { allow: ['Bash(ls)'] } }) });
+  const file = path.join(dir, '.claude', 'settings.json');
+
+  await new DaniZeeSuiteInstaller({ path: dir }).install();
+  const first = await fs.readFile(file, 'utf-8');
+  await new DaniZeeSuiteInstaller({ path: dir, force: true, update: true }).install();
+
+  assert.equal(await fs.readFile(file, 'utf-8'), first);
+  const { permissions, 'danizee-suite': suite } = JSON.parse(first);
+  assert.equal(permissions.allow[0], 'Bash(ls)');
+  assert.equal(new Set(permissions.allow).size, permissions.allow.length);
+  assert.equal(suite.updatedAt, undefined);
+});
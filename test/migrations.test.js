@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { DaniZeeSuiteInstaller } from '../src/installer.js';
+import { compareVersions, getPendingMigrations, runMigrations } from '../src/utils/migrations.js';
+import { SUITE_VERSION } from '../src/utils/settings.js';
+import { isolateHome, makeTempDir } from './helpers.js';
+
+await isolateHome();
+
+// Moves a setting an older release read from another key
+const RENAME_SIMILARITY = {
+  id: 'rename-similarity',
+  version: SUITE_VERSION,
+  migrate(settings) {
+    const { similarity, ...suite } = settings['danizee-suite'];
+    settings['danizee-suite'] = similarity ? { ...suite, commandSimilarity: similarity } : suite;
+    return settings;
+  }
+};
+
+/**
+ * Rewind an install's settings to an older suite version
+ */
+async function rewind(dir, version, suite = {}) {
+  const file = path.join(dir, '.claude', 'settings.json');
+  const settings = JSON.parse(await fs.readFile(file, 'utf-8'));
+  settings['danizee-suite'] = { ...settings['danizee-suite'], ...suite, version };
+  await fs.writeFile(file, JSON.stringify(settings, null, 2));
+}
+
+test('versions compare part by part', () => {
+  assert.equal(compareVersions('1.10.0', '1.9.2'), 1);
+  assert.equal(compareVersions('1.0', '1.0.0'), 0);
+  assert.equal(compareVersions('0.9.9', '1.0.0'), -1);
+});
+
+test('only migrations newer than the install and not yet applied are pending', () => {
+  const settings = { 'danizee-suite': { version: '0.9.0', migrations: [] } };
+  const future = { ...RENAME_SIMILARITY, id: 'future', version: '999.0.0' };
+  const old = { ...RENAME_SIMILARITY, id: 'old', version: '0.8.0' };
+
+  assert.deepEqual(getPendingMigrations(settings, [old, RENAME_SIMILARITY, future]).map(migration => migration.id), ['rename-similarity']);
+  assert.deepEqual(getPendingMigrations({ 'danizee-suite': { ...settings['danizee-suite'], migrations: [{ id: RENAME_SIMILARITY.id }] } }, [RENAME_SIMILARITY]), []);
+  assert.deepEqual(getPendingMigrations({}, [RENAME_SIMILARITY]), []);
+});
+
+test('a failing migration names itself', async () => {
+  const broken = { id: 'broken', version: SUITE_VERSION, migrate() { throw new Error('boom'); } };
+
+  await assert.rejects(
+    runMigrations({ 'danizee-suite': { version: '0.9.0' } }, {}, [broken]),
+    /Migration broken failed: boom/
+  );
+});
+
+test('check flags an install that is behind and update migrates it', async () => {
+  const dir = await makeTempDir();
+  await new DaniZeeSuiteInstaller({ path: dir }).install();
+  await rewind(dir, '0.9.0', { similarity: { threshold: 0.2 } });
+
+  const before = await new DaniZeeSuiteInstaller({ path: dir, migrations: [RENAME_SIMILARITY] }).check();
+  assert.equal(before.behind, true);
+  assert.deepEqual(before.pendingMigrations, ['rename-similarity']);
+
+  const result = await new DaniZeeSuiteInstaller({ path: dir, update: true, force: true, migrations: [RENAME_SIMILARITY] }).install();
+  assert.deepEqual(result.migrations, ['rename-similarity']);
+
+  const settings = JSON.parse(await fs.readFile(path.join(dir, '.claude', 'settings.json'), 'utf-8'));
+  assert.equal(settings['danizee-suite'].version, SUITE_VERSION);
+  assert.deepEqual(settings['danizee-suite'].migrations.map(entry => entry.id), ['rename-similarity']);
+  assert.equal(settings['danizee-suite'].similarity, undefined);
+  assert.deepEqual(settings['danizee-suite'].commandSimilarity, { threshold: 0.2 });
+
+  const after = await new DaniZeeSuiteInstaller({ path: dir, migrations: [RENAME_SIMILARITY] }).check();
+  assert.equal(after.behind, false);
+  assert.deepEqual(after.pendingMigrations, []);
+});
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { DaniZeeSuiteInstaller } from '../src/installer.js';
+import { EXIT_CODES } from '../src/utils/errors.js';
+import { listFiles, readManifest } from '../src/utils/manifest.js';
+import { isolateHome, makeTempDir } from './helpers.js';
+
+const CLI = fileURLToPath(new URL('../bin/cli.js', import.meta.url));
+
+await isolateHome();
+
+/**
+ * Files the manifest records for a plugin
+ */
+async function pluginFiles(dir, plugin) {
+  return listFiles(await readManifest(path.join(dir, '.claude'))).filter(entry => entry.plugin === plugin).map(entry => entry.file);
+}
+
+/**
+ * The suite's plugin flags from settings.json
+ */
+async function pluginFlags(dir) {
+  return JSON.parse(await fs.readFile(path.join(dir, '.claude', 'settings.json'), 'utf-8'))['danizee-suite'].plugins;
+}
+
+test('disabling a plugin removes its files and enabling it puts them back', async () => {
+  const dir = await makeTempDir();
+  await new DaniZeeSuiteInstaller({ path: dir }).install();
+  const files = await pluginFiles(dir, 'frontend-design');
+  assert.ok(files.length > 0);
+
+  await new DaniZeeSuiteInstaller({ path: dir, force: true, update: true }).setPluginEnabled('frontend-design', false);
+
+  assert.equal((await pluginFlags(dir))['frontend-design'], false);
+  assert.deepEqual(await pluginFiles(dir, 'frontend-design'), []);
+  for (const file of files) {
+    await assert.rejects(fs.access(path.join(dir, file)));
+  }
+
+  await new DaniZeeSuiteInstaller({ path: dir, force: true, update: true }).setPluginEnabled('frontend-design', true);
+
+  assert.equal((await pluginFlags(dir))['frontend-design'], true);
+  assert.deepEqual((await pluginFiles(dir, 'frontend-design')).sort(), [...files].sort());
+});
+
+test('enabling an unknown plugin fails', async () => {
+  const dir = await makeTempDir();
+  await new DaniZeeSuiteInstaller({ path: dir }).install();
+
+  await assert.rejects(
+    new DaniZeeSuiteInstaller({ path: dir, force: true, update: true }).setPluginEnabled('nope', true),
+    { code: 'UNKNOWN_PLUGIN' }
+  );
+});
+
+test('plugin enable and disable reject an unknown --on-modified action', async () => {
+  const dir = await makeTempDir();
+  await new DaniZeeSuiteInstaller({ path: dir }).install();
+
+  for (const command of ['enable', 'disable']) {
+    const child = spawnSync(process.execPath, [CLI, '--json', 'plugin', command, 'frontend-design', '--on-modified', 'replace', '--path', dir], { encoding: 'utf-8' });
+    const output = JSON.parse(child.stdout);
+
+    assert.equal(child.status, EXIT_CODES.error);
+    assert.equal(output.errors[0].code, 'INVALID_OPTION');
+  }
+  assert.equal((await pluginFlags(dir))['frontend-design'], true);
+});
@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { DaniZeeSuiteInstaller } from '../src/installer.js';
+import { listFiles, readManifest } from '../src/utils/manifest.js';
+import { loadPlugins } from '../src/utils/registry.js';
+import { isolateHome, makeTempDir, writeFiles } from './helpers.js';
+
+await isolateHome();
+
+/**
+ * Source of a plugin that writes one command, `/<name>:hello`
+ */
+function pluginSource(name) {
+  return `import fs from 'fs/promises';
+import path from 'path';
+
+export const displayName = 'Greeter';
+
+export function getCommands() {
+  return { hello: { name: 'hello', description: 'Say hello', content: '# Hello\\n' } };
+}
+
+export async function install(claudeDir, options) {
+  const file = path.join(claudeDir, 'commands', '${name}', 'hello.md');
+  await options.writer.mkdir(path.dirname(file));
+  await options.writer.writeFile(file, '# Hello\\n', { kind: 'command' });
+  return { plugin: '${name}' };
+}
+
+export async function uninstall(claudeDir, options = {}) {
+  for (const file of options.files || []) {
+    await fs.rm(file, { force: true });
+  }
+}
+
+export async function isInstalled(claudeDir) {
+  return fs.access(path.join(claudeDir, 'commands', '${name}', 'hello.md')).then(() => true, () => false);
+}
+
+export function getSettings() {
+  return { greeting: 'hello' };
+}
+`;
+}
+
+test('the built-in plugins load in order', async () => {
+  const dir = await makeTempDir();
+
+  const plugins = await loadPlugins(dir);
+
+  assert.deepEqual(plugins.map(plugin => [plugin.name, plugin.source]), [
+    ['claude-flow', 'built-in'],
+    ['compound-engineering', 'built-in'],
+    ['frontend-design', 'built-in']
+  ]);
+});
+
+test('a project plugin is installed, tracked and configured like a built-in', async () => {
+  const dir = await makeTempDir();
+  await writeFiles(dir, { '.claude/danizee-plugins/greeter.mjs': pluginSource('greeter') });
+
+  await new DaniZeeSuiteInstaller({ path: dir }).install();
+
+  const manifest = await readManifest(path.join(dir, '.claude'));
+  assert.deepEqual(listFiles(manifest, { plugin: 'greeter' }).map(entry => entry.file), ['.claude/commands/greeter/hello.md']);
+  const settings = JSON.parse(await fs.readFile(path.join(dir, '.claude', 'settings.json'), 'utf-8'));
+  assert.deepEqual(settings.plugins.greeter, { greeting: 'hello' });
+
+  await new DaniZeeSuiteInstaller({ path: dir }).uninstall();
+  await assert.rejects(fs.access(path.join(dir, '.claude/commands/greeter/hello.md')));
+});
+
+test('npm plugins load only when the project depends on them', async () => {
+  const dir = await makeTempDir();
+  await writeFiles(dir, {
+    'package.json': JSON.stringify({ devDependencies: { '@acme/danizee-plugin-greeter': '1.0.0' } }),
+    'node_modules/@acme/danizee-plugin-greeter/package.json': JSON.stringify({ main: 'main.mjs' }),
+    'node_modules/@acme/danizee-plugin-greeter/main.mjs': pluginSource('greeter'),
+    'node_modules/danizee-plugin-stray/index.js': 'throw new Error("loaded")'
+  });
+
+  const plugins = await loadPlugins(dir);
+
+  assert.deepEqual(plugins.filter(plugin => plugin.source === 'npm').map(plugin => [plugin.name, plugin.displayName]), [['greeter', 'Greeter']]);
+});
+
+test('a declared npm plugin that is not installed fails to load', async () => {
+  const dir = await makeTempDir();
+  await writeFiles(dir, { 'package.json': JSON.stringify({ dependencies: { 'danizee-plugin-missing': '1.0.0' } }) });
+
+  await assert.rejects(loadPlugins(dir), /Plugin package "danizee-plugin-missing" is declared but not installed/);
+});
+
+test('plugins must implement the contract and have a name of their own', async () => {
+  const broken = await makeTempDir();
+  await writeFiles(broken, { '.claude/danizee-plugins/broken.mjs': 'export function install() {}\n' });
+  await assert.rejects(loadPlugins(broken), /Plugin "broken" \(local\) is missing required exports: uninstall\(\), isInstalled\(\), getCommands\(\)/);
+
+  const clash = await makeTempDir();
+  await writeFiles(clash, { '.claude/danizee-plugins/frontend-design.mjs': pluginSource('frontend-design') });
+  await assert.rejects(loadPlugins(clash), /Plugin "frontend-design" from local conflicts with the built-in plugin of the same name/);
+});
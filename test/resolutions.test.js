@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { DaniZeeSuiteInstaller } from '../src/installer.js';
+import { isValidResolution } from '../src/utils/resolutions.js';
+import { isolateHome, makeTempDir, writeFiles } from './helpers.js';
+
+await isolateHome();
+
+/**
+ * Answer conflicts by renaming the project's command to `to`
+ */
+function renameTo(to) {
+  return async (conflict, choices) => {
+    const rename = choices.find(choice => choice.value.action === 'rename');
+    return rename ? { ...rename.value, to } : choices[0].value;
+  };
+}
+
+/**
+ * A project whose own /full-cycle collides with the suite's
+ */
+async function makeProject(files = {}) {
+  const dir = await makeTempDir();
+  await writeFiles(dir, { '.claude/commands/full-cycle.md': '# My full cycle\n', ...files });
+  return dir;
+}
+
+test('a rename resolution needs a plain file name', () => {
+  const conflict = {
+    type: 'command_collision',
+    name: 'full-cycle',
+    commands: [{ path: '.claude/commands/full-cycle.md', source: 'project' }]
+  };
+  const rename = { action: 'rename', file: '.claude/commands/full-cycle.md' };
+
+  assert.ok(isValidResolution(conflict, { ...rename, to: 'my-full-cycle' }, { plugins: [] }));
+  for (const to of [undefined, '', '../settings', 'nested/name', 'two words']) {
+    assert.ok(!isValidResolution(conflict, { ...rename, to }, { plugins: [] }), `accepted ${to}`);
+  }
+});
+
+test('init renames the project\'s colliding command', async () => {
+  const dir = await makeProject();
+
+  await new DaniZeeSuiteInstaller({ path: dir, resolveConflict: renameTo('my-full-cycle') }).install();
+
+  assert.equal(await fs.readFile(path.join(dir, '.claude/commands/my-full-cycle.md'), 'utf-8'), '# My full cycle\n');
+  await assert.rejects(fs.access(path.join(dir, '.claude/commands/full-cycle.md')));
+});
+
+test('init refuses to rename a command onto a file that exists', async () => {
+  const dir = await makeProject({ '.claude/commands/mine.md': '# Mine\n' });
+
+  await assert.rejects(
+    new DaniZeeSuiteInstaller({ path: dir, resolveConflict: renameTo('mine') }).install(),
+    { code: 'RENAME_TARGET_EXISTS' }
+  );
+
+  assert.equal(await fs.readFile(path.join(dir, '.claude/commands/mine.md'), 'utf-8'), '# Mine\n');
+  assert.equal(await fs.readFile(path.join(dir, '.claude/commands/full-cycle.md'), 'utf-8'), '# My full cycle\n');
+  await assert.rejects(fs.access(path.join(dir, '.claude/settings.json')));
+});
@@ -0,0 +1,116 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { DaniZeeSuiteInstaller } from '../src/installer.js';
+import { getNextCheckpoint, getRunsDir, listRuns, readRun, recordCheckpoint, resumeRun, startRun } from '../src/utils/runs.js';
+import { SUITE_CLI } from '../src/utils/workflows.js';
+import { EXIT_CODES } from '../src/utils/errors.js';
+import { isolateHome, makeTempDir } from './helpers.js';
+
+const CLI = fileURLToPath(new URL('../bin/cli.js', import.meta.url));
+
+await isolateHome();
+
+test('a run is journaled under .claude/danizee-runs with a unique id', async () => {
+  const dir = await makeTempDir();
+
+  const run = await startRun(dir, 'quick-fix', 'Login times out');
+  const again = await startRun(dir, 'quick-fix', 'Login times out');
+
+  const day = new Date().toISOString().slice(0, 10);
+  assert.equal(run.id, `${day}-quick-fix-login-times-out`);
+  assert.equal(again.id, `${run.id}-2`);
+  assert.deepEqual(await readRun(dir, run.id), run);
+  assert.deepEqual(run.checkpoints.map(checkpoint => checkpoint.name), ['Search', 'Investigation', 'Fix applied', 'Compound']);
+  assert.deepEqual(getNextCheckpoint(run), { index: 0, ...run.checkpoints[0] });
+  assert.deepEqual((await fs.readdir(getRunsDir(dir))).sort(), [`${run.id}-2.json`, `${run.id}.json`]);
+});
+
+test('unknown workflows and workflows without checkpoints are refused', async () => {
+  const dir = await makeTempDir();
+
+  await assert.rejects(startRun(dir, 'nope', 'x'), { code: 'UNKNOWN_WORKFLOW' });
+  await assert.rejects(startRun(dir, 'search-solutions', 'x'), { code: 'INVALID_WORKFLOW' });
+  assert.deepEqual(await listRuns(dir), []);
+});
+
+test('feedback and stop keep the checkpoint, and resume brings back the feedback', async () => {
+  const dir = await makeTempDir();
+  const { id } = await startRun(dir, 'quick-fix', 'Login times out');
+
+  await recordCheckpoint(dir, 0);
+  await recordCheckpoint(dir, 'investigation', { decision: 'feedback', feedback: 'Check the proxy too' });
+  let run = await recordCheckpoint(dir, 1, { decision: 'stop' });
+  assert.equal(run.status, 'stopped');
+  assert.equal(getNextCheckpoint(run).name, 'Investigation');
+
+  const resumed = await resumeRun(dir);
+  assert.equal(resumed.run.id, id);
+  assert.equal(resumed.run.status, 'active');
+  assert.equal(resumed.next.index, 1);
+  assert.equal(resumed.feedback, 'Check the proxy too');
+
+  for (const checkpoint of [1, 2, 3]) {
+    run = await recordCheckpoint(dir, checkpoint);
+  }
+  assert.equal(run.status, 'completed');
+  assert.equal(getNextCheckpoint(run), null);
+  assert.deepEqual(run.events.map(event => event.type), [
+    'start', 'checkpoint', 'checkpoint', 'checkpoint', 'resume', 'checkpoint', 'checkpoint', 'checkpoint', 'complete'
+  ]);
+
+  await assert.rejects(recordCheckpoint(dir, 3, { run: id }), { code: 'RUN_FINISHED' });
+  await assert.rejects(resumeRun(dir, id), { code: 'RUN_FINISHED' });
+  await assert.rejects(resumeRun(dir), { code: 'RUN_NOT_FOUND' });
+});
+
+test('checkpoints are recorded in order unless forced', async () => {
+  const dir = await makeTempDir();
+  await startRun(dir, 'quick-fix', 'Login times out');
+
+  await assert.rejects(recordCheckpoint(dir, 2), {
+    code: 'CHECKPOINT_OUT_OF_ORDER',
+    message: /would skip checkpoint 0 Search/
+  });
+  await assert.rejects(recordCheckpoint(dir, 'deploy'), { code: 'INVALID_CHECKPOINT' });
+  await assert.rejects(recordCheckpoint(dir, 0, { decision: 'maybe' }), { code: 'INVALID_OPTION' });
+
+  const run = await recordCheckpoint(dir, 2, { force: true });
+  assert.equal(getNextCheckpoint(run).name, 'Compound');
+  await assert.rejects(recordCheckpoint(dir, 1), { code: 'CHECKPOINT_OUT_OF_ORDER', message: /Use --force to go back/ });
+});
+
+test('init writes the /run command that keeps the journal', async () => {
+  const dir = await makeTempDir();
+
+  await new DaniZeeSuiteInstaller({ path: dir }).install();
+
+  const command = await fs.readFile(path.join(dir, '.claude', 'commands', 'danizee', 'run.md'), 'utf-8');
+  assert.ok(command.includes(`${SUITE_CLI} run checkpoint <number> --decision continue`));
+  assert.match(command, /`quick-fix`/);
+  assert.doesNotMatch(command, /`search-solutions`/);
+});
+
+test('the run commands share one journal from the CLI', async () => {
+  const dir = await makeTempDir();
+  const run = (...args) => {
+    const child = spawnSync(process.execPath, [CLI, '--json', 'run', ...args, '--path', dir], { encoding: 'utf-8' });
+    return { status: child.status, output: JSON.parse(child.stdout) };
+  };
+
+  const started = run('start', 'quick-fix', 'Login', 'times', 'out');
+  assert.equal(started.status, EXIT_CODES.success);
+  assert.equal(started.output.result.target, 'Login times out');
+
+  assert.equal(run('checkpoint', '0').status, EXIT_CODES.success);
+  const skipped = run('checkpoint', '3');
+  assert.equal(skipped.status, EXIT_CODES.error);
+  assert.equal(skipped.output.errors[0].code, 'CHECKPOINT_OUT_OF_ORDER');
+
+  const resumed = run('resume');
+  assert.equal(resumed.output.result.run.id, started.output.result.id);
+  assert.equal(resumed.output.result.next.name, 'Investigation');
+});
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { DaniZeeSuiteInstaller } from '../src/installer.js';
+import { readManifest } from '../src/utils/manifest.js';
+import { SUITE_VERSION, getSettingsPath } from '../src/utils/settings.js';
+import { isolateHome, makeTempDir, writeFiles } from './helpers.js';
+
+await isolateHome();
+
+/**
+ * Read a scope's settings, or null when the file doesn't exist
+ */
+async function readScope(dir, scope) {
+  try {
+    return JSON.parse(await fs.readFile(getSettingsPath(path.join(dir, '.claude'), scope), 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+test('--scope local writes settings.local.json and later commands follow it', async () => {
+  const dir = await makeTempDir();
+  await writeFiles(dir, { '.claude/settings.json': '{ "permissions": { "allow": ["Bash(ls)"] } }\n' });
+
+  await new DaniZeeSuiteInstaller({ path: dir, scope: 'local' }).install();
+
+  assert.equal((await readManifest(path.join(dir, '.claude'))).settings.scope, 'local');
+  assert.equal((await readScope(dir, 'local'))['danizee-suite'].version, SUITE_VERSION);
+  assert.equal(await fs.readFile(path.join(dir, '.claude', 'settings.json'), 'utf-8'), '{ "permissions": { "allow": ["Bash(ls)"] } }\n');
+
+  const status = await new DaniZeeSuiteInstaller({ path: dir }).check();
+  assert.equal(status.scope, 'local');
+  assert.ok(status.effective.settings.permissions.allow.includes('Bash(ls)'));
+
+  await new DaniZeeSuiteInstaller({ path: dir }).uninstall();
+  assert.equal(await readScope(dir, 'local'), null);
+  assert.equal(await fs.readFile(path.join(dir, '.claude', 'settings.json'), 'utf-8'), '{ "permissions": { "allow": ["Bash(ls)"] } }\n');
+});
+
+test('--scope user writes ~/.claude/settings.json', async () => {
+  const dir = await makeTempDir();
+
+  try {
+    await new DaniZeeSuiteInstaller({ path: dir, scope: 'user' }).install();
+
+    assert.equal((await readScope(dir, 'user'))['danizee-suite'].version, SUITE_VERSION);
+    assert.equal(await readScope(dir, 'project'), null);
+    assert.equal(getSettingsPath(path.join(dir, '.claude'), 'user'), path.join(os.homedir(), '.claude', 'settings.json'));
+  } finally {
+    await fs.rm(path.join(os.homedir(), '.claude'), { recursive: true, force: true });
+  }
+});
+
+test('an unknown scope is refused before anything is written', async () => {
+  const dir = await makeTempDir();
+
+  await assert.rejects(new DaniZeeSuiteInstaller({ path: dir, scope: 'team' }).install(), /Unknown settings scope "team"/);
+  assert.deepEqual(await fs.readdir(dir), []);
+});
@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { searchSolutions } from '../src/utils/search.js';
+import { createSolution } from '../src/utils/solutions.js';
+import { EXIT_CODES } from '../src/utils/errors.js';
+import { isolateHome, makeTempDir, writeFiles } from './helpers.js';
+
+const CLI = fileURLToPath(new URL('../bin/cli.js', import.meta.url));
+
+await isolateHome();
+
+/**
+ * A project with a few solution docs
+ */
+async function makeSolutions() {
+  const dir = await makeTempDir();
+  await createSolution(dir, { category: 'bugs', title: 'Auth timeout on login', date: '2024-01-10', tags: ['auth'], problem: 'Sessions expire during login' });
+  await createSolution(dir, { category: 'performance', title: 'Slow dashboard queries', date: '2024-02-20', problem: 'The dashboard waits on an unindexed query' });
+  await createSolution(dir, { category: 'bugs', title: 'Token refresh race', date: '2024-03-05', problem: 'Two tabs refresh the auth token at once' });
+  return dir;
+}
+
+/**
+ * Run `search --json` and return its exit code and output
+ */
+function runSearch(dir, ...args) {
+  const child = spawnSync(process.execPath, [CLI, '--json', 'search', ...args, '--path', dir], { encoding: 'utf-8' });
+  return { status: child.status, output: JSON.parse(child.stdout) };
+}
+
+test('search ranks title matches above body matches', async () => {
+  const dir = await makeSolutions();
+
+  const results = await searchSolutions(dir, 'auth');
+
+  assert.deepEqual(results.map(result => result.id), ['2024-01-10-auth-timeout-on-login', '2024-03-05-token-refresh-race']);
+  assert.ok(results[0].score > results[1].score);
+});
+
+test('search filters by category and date range', async () => {
+  const dir = await makeSolutions();
+
+  assert.deepEqual((await searchSolutions(dir, 'auth', { since: '2024-02-01' })).map(result => result.date), ['2024-03-05']);
+  assert.deepEqual((await searchSolutions(dir, 'auth', { until: '2024-01-10' })).map(result => result.date), ['2024-01-10']);
+  assert.deepEqual(await searchSolutions(dir, 'auth', { category: 'performance' }), []);
+});
+
+test('search indexes docs whose front matter does not parse', async () => {
+  const dir = await makeTempDir();
+  await writeFiles(dir, { 'docs/solutions/bugs/2024-01-01-broken.md': '---\ntitle: [unclosed\n---\n# Broken cache\n\nThe cache key ignored the locale.\n' });
+
+  const [result] = await searchSolutions(dir, 'locale');
+
+  assert.equal(result.category, 'bugs');
+  assert.equal(result.date, '2024-01-01');
+});
+
+test('search rejects a --since or --until that is not a real date', async () => {
+  const dir = await makeSolutions();
+
+  for (const args of [['--since', '2024-02-30'], ['--until', '2024-1-5']]) {
+    const { status, output } = runSearch(dir, 'auth', ...args);
+    assert.equal(status, EXIT_CODES.error);
+    assert.equal(output.errors[0].code, 'INVALID_OPTION');
+  }
+});
+
+test('search rejects --since after --until', async () => {
+  const dir = await makeSolutions();
+
+  const { status, output } = runSearch(dir, 'auth', '--since', '2024-03-01', '--until', '2024-02-01');
+
+  assert.equal(status, EXIT_CODES.error);
+  assert.match(output.errors[0].message, /--since 2024-03-01 is after --until 2024-02-01/);
+});
+
+test('search returns results as JSON', async () => {
+  const dir = await makeSolutions();
+
+  const { status, output } = runSearch(dir, 'dashboard', '--limit', '1');
+
+  assert.equal(status, EXIT_CODES.success);
+  assert.deepEqual(output.result.map(result => result.category), ['performance']);
+});
@@ -0,0 +1,114 @@
+import { after, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { DaniZeeSuiteInstaller } from '../src/installer.js';
+import { getDefaultSettings } from '../src/utils/settings.js';
+import { SUITE_CLI } from '../src/utils/workflows.js';
+
+const dirs = [];
+
+// Keep the user's own ~/.claude out of the install
+process.env.HOME = await fs.mkdtemp(path.join(os.tmpdir(), 'danizee-home-'));
+dirs.push(process.env.HOME);
+
+after(() => Promise.all(dirs.map(dir => fs.rm(dir, { recursive: true, force: true }))));
+
+/**
+ * Make an empty project, with settings.json when `settings` is given
+ */
+async function makeProject(settings = null) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'danizee-project-'));
+  dirs.push(dir);
+  if (settings !== null) {
+    await fs.mkdir(path.join(dir, '.claude'));
+    await fs.writeFile(path.join(dir, '.claude', 'settings.json'), settings);
+  }
+  return dir;
+}
+
+const USER_SETTINGS = `{
+    "mcpServers": {
+        "claude-flow": { "command": "custom" },
+        "github": { "command": "gh-mcp" }
+    },
+    "permissions": { "allow": ["Bash(ls)", "Bash(git worktree*)"], "deny": [] },
+    "features": { "danizee-compound-docs": false }
+}
+`;
+
+test('install keeps suite keys the user already had', async () => {
+  const dir = await makeProject(USER_SETTINGS);
+  await new DaniZeeSuiteInstaller({ path: dir }).install();
+
+  const settings = JSON.parse(await fs.readFile(path.join(dir, '.claude', 'settings.json'), 'utf-8'));
+  assert.deepEqual(settings.mcpServers['claude-flow'], { command: 'custom' });
+  assert.equal(settings.features['danizee-compound-docs'], false);
+  assert.equal(settings.features['danizee-compound-memory'], true);
+});
+
+test('install then uninstall gives back the settings byte for byte', async () => {
+  const dir = await makeProject(USER_SETTINGS);
+  const settingsPath = path.join(dir, '.claude', 'settings.json');
+
+  await new DaniZeeSuiteInstaller({ path: dir }).install();
+  await new DaniZeeSuiteInstaller({ path: dir, force: true, update: true }).install();
+  await new DaniZeeSuiteInstaller({ path: dir }).uninstall();
+
+  assert.equal(await fs.readFile(settingsPath, 'utf-8'), USER_SETTINGS);
+});
+
+test('uninstall removes a settings file the suite created', async () => {
+  const dir = await makeProject();
+
+  await new DaniZeeSuiteInstaller({ path: dir }).install();
+  await new DaniZeeSuiteInstaller({ path: dir }).uninstall();
+
+  await assert.rejects(fs.access(path.join(dir, '.claude', 'settings.json')));
+});
+
+test('uninstall keeps settings the user added after install', async () => {
+  const dir = await makeProject(USER_SETTINGS);
+  const settingsPath = path.join(dir, '.claude', 'settings.json');
+
+  await new DaniZeeSuiteInstaller({ path: dir }).install();
+  const installed = JSON.parse(await fs.readFile(settingsPath, 'utf-8'));
+  await fs.writeFile(settingsPath, JSON.stringify({ ...installed, hooks: { Stop: [] } }, null, 2));
+  await new DaniZeeSuiteInstaller({ path: dir }).uninstall();
+
+  assert.deepEqual(JSON.parse(await fs.readFile(settingsPath, 'utf-8')), {
+    ...JSON.parse(USER_SETTINGS),
+    hooks: { Stop: [] }
+  });
+});
+
+test('disabling claude-flow removes its MCP server and permission', async () => {
+  const dir = await makeProject();
+  const settingsPath = path.join(dir, '.claude', 'settings.json');
+
+  await new DaniZeeSuiteInstaller({ path: dir }).install();
+  await new DaniZeeSuiteInstaller({ path: dir, force: true, update: true }).setPluginEnabled('claude-flow', false);
+
+  const settings = JSON.parse(await fs.readFile(settingsPath, 'utf-8'));
+  assert.equal(settings.mcpServers, undefined);
+  assert.ok(!settings.permissions.allow.includes('Bash(npx claude-flow*)'));
+});
+
+test('disabling claude-flow keeps the MCP server the user had', async () => {
+  const dir = await makeProject(USER_SETTINGS);
+  const settingsPath = path.join(dir, '.claude', 'settings.json');
+
+  await new DaniZeeSuiteInstaller({ path: dir }).install();
+  await new DaniZeeSuiteInstaller({ path: dir, force: true, update: true }).setPluginEnabled('claude-flow', false);
+
+  const settings = JSON.parse(await fs.readFile(settingsPath, 'utf-8'));
+  assert.deepEqual(settings.mcpServers['claude-flow'], { command: 'custom' });
+});
+
+test('the suite CLI is only allowed in a form npx cannot fetch from the registry', () => {
+  const allow = getDefaultSettings().permissions.allow.filter(rule => rule.includes('danizee-claude-suite'));
+
+  assert.ok(SUITE_CLI.startsWith('npx --no-install '));
+  assert.deepEqual(allow, [`Bash(${SUITE_CLI}*)`]);
+});
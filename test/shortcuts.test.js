@@ -0,0 +1,10 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import { generateWorkflowShortcuts } from '../src/utils/shortcuts.js';
+
+test('WORKFLOW-SHORTCUTS.md matches the workflow definitions', async () => {
+  const committed = await fs.readFile(new URL('../WORKFLOW-SHORTCUTS.md', import.meta.url), 'utf-8');
+
+  assert.equal(committed, generateWorkflowShortcuts(), 'WORKFLOW-SHORTCUTS.md is stale, run `npm run shortcuts`');
+});
@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { areSimilar, detectCommandCollisions, parseCommandMetadata } from '../src/utils/conflicts.js';
+import { isolateHome, makeTempDir, writeFiles } from './helpers.js';
+
+await isolateHome();
+
+/**
+ * A project with the given command files, returning its .claude directory
+ */
+async function makeCommands(files) {
+  const dir = await makeTempDir();
+  await writeFiles(dir, Object.fromEntries(
+    Object.entries(files).map(([file, content]) => [`.claude/commands/${file}`, content])
+  ));
+  return path.join(dir, '.claude');
+}
+
+/**
+ * The similar_commands warnings, as pairs of names with the reason
+ */
+async function similar(claudeDir, options = {}) {
+  return (await detectCommandCollisions(claudeDir, options))
+    .filter(conflict => conflict.type === 'similar_commands')
+    .map(conflict => [...conflict.commands.map(command => command.name), conflict.reason]);
+}
+
+test('short words one edit apart are not similar', () => {
+  assert.equal(areSimilar('plan', 'play'), false);
+  assert.equal(areSimilar('work', 'fork'), false);
+  assert.equal(areSimilar('plan-api', 'play-api'), false);
+});
+
+test('names are compared word by word and by prefix', () => {
+  assert.equal(areSimilar('code-review', 'review-code'), true);
+  assert.equal(areSimilar('code-review', 'codeReview'), true);
+  assert.equal(areSimilar('deploy', 'deploys'), true);
+  assert.equal(areSimilar('refactor', 'refactr'), true);
+});
+
+test('the threshold is configurable', () => {
+  assert.equal(areSimilar('deploy', 'deplay'), true);
+  assert.equal(areSimilar('deploy', 'deplay', 0.1), false);
+});
+
+test('a command title and description come from front matter or the first heading', () => {
+  assert.deepEqual(parseCommandMetadata('---\ntitle: Ship it\ndescription: Deploy to production\n---\n# Other\n'), {
+    title: 'Ship it',
+    description: 'Deploy to production'
+  });
+  assert.deepEqual(parseCommandMetadata('# Ship it\n\nDeploy the app\nto production.\n\n## Steps\n'), {
+    title: 'Ship it',
+    description: 'Deploy the app to production.'
+  });
+});
+
+test('similar names, titles and descriptions are warned about, ignoring other files', async () => {
+  const claudeDir = await makeCommands({
+    'review-pr.md': '# Review a pull request\n',
+    'pr-review.md': '# Check the diff\n',
+    'ship.md': '# Deploy the app to production\n',
+    'release.md': '# Deploy app to production\n',
+    'triage.md': '# Sort issues\n\nLabel new issues by area and priority.\n',
+    'sort.md': '# Order the backlog\n\nLabel new issues by area and priority.\n',
+    'review-pr.txt': 'notes',
+    'review-pr.md.bak': 'old copy'
+  });
+
+  assert.deepEqual(await similar(claudeDir), [
+    ['pr-review', 'review-pr', 'name'],
+    ['release', 'ship', 'title'],
+    ['sort', 'triage', 'description']
+  ]);
+});
+
+test('the settings allowlist and threshold apply to project commands', async () => {
+  const claudeDir = await makeCommands({
+    'deploy.md': '# Deploy\n',
+    'deplay.md': '# Play a demo\n',
+    'review-pr.md': '# Review\n',
+    'pr-review.md': '# Check\n'
+  });
+  await writeFiles(path.dirname(claudeDir), {
+    '.claude/settings.json': JSON.stringify({
+      'danizee-suite': { commandSimilarity: { threshold: 0.1, allow: [['/review-pr', 'pr-review']] } }
+    })
+  });
+
+  assert.deepEqual(await similar(claudeDir), []);
+  assert.deepEqual(await similar(claudeDir, { similarity: { threshold: 0.3 } }), [
+    ['deplay', 'deploy', 'name'],
+    ['pr-review', 'review-pr', 'name']
+  ]);
+});
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { createSolution, isValidDate } from '../src/utils/solutions.js';
+import { parseFrontMatter } from '../src/utils/frontmatter.js';
+import { isolateHome, makeTempDir } from './helpers.js';
+
+await isolateHome();
+
+test('isValidDate only accepts real calendar dates', () => {
+  assert.ok(isValidDate('2024-02-29'));
+  assert.ok(!isValidDate('2023-02-29'));
+  assert.ok(!isValidDate('2024-02-30'));
+  assert.ok(!isValidDate('2024-13-01'));
+  assert.ok(!isValidDate('2024-2-3'));
+  assert.ok(!isValidDate(undefined));
+});
+
+test('solution new writes a doc named after the date and title', async () => {
+  const dir = await makeTempDir();
+
+  const result = await createSolution(dir, { category: 'bugs', title: 'Login loop on Safari', date: '2024-02-29' });
+
+  assert.equal(result.file, path.join(dir, 'docs', 'solutions', 'bugs', '2024-02-29-login-loop-on-safari.md'));
+  const { data } = parseFrontMatter(await fs.readFile(result.file, 'utf-8'));
+  assert.equal(data.id, '2024-02-29-login-loop-on-safari');
+  assert.equal(data.memory_key, 'project/bugs/login-loop-on-safari');
+});
+
+test('solution new rejects a --date that is not a real day', async () => {
+  const dir = await makeTempDir();
+
+  await assert.rejects(
+    createSolution(dir, { category: 'bugs', title: 'Leap day', date: '2024-02-30' }),
+    { code: 'INVALID_SOLUTION' }
+  );
+  await assert.rejects(fs.access(path.join(dir, 'docs')));
+});
+
+test('solution new refuses to replace a doc without force', async () => {
+  const dir = await makeTempDir();
+  const fields = { category: 'bugs', title: 'Twice', date: '2024-01-01' };
+
+  await createSolution(dir, fields);
+  await assert.rejects(createSolution(dir, fields), { code: 'SOLUTION_EXISTS' });
+  await createSolution(dir, fields, { force: true });
+});
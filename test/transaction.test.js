@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { DaniZeeSuiteInstaller } from '../src/installer.js';
+import { Transaction, getRollbackDir, readLastTransaction } from '../src/utils/transaction.js';
+import { git, isolateHome, makeRepo, makeTempDir, writeFiles } from './helpers.js';
+
+await isolateHome();
+
+test('a transaction puts files back and removes the directories it created', async () => {
+  const dir = await makeTempDir();
+  const claudeDir = path.join(dir, '.claude');
+  await writeFiles(dir, { '.claude/settings.json': '{ "mine": true }\n' });
+
+  const transaction = new Transaction(dir, claudeDir, 'install');
+  await transaction.snapshot(path.join(claudeDir, 'settings.json'));
+  await transaction.snapshot(path.join(claudeDir, 'commands', 'new.md'));
+  await transaction.trackDir(path.join(claudeDir, 'commands'));
+  await writeFiles(dir, { '.claude/settings.json': '{}\n', '.claude/commands/new.md': 'new\n' });
+
+  await transaction.rollback();
+
+  assert.equal(await fs.readFile(path.join(claudeDir, 'settings.json'), 'utf-8'), '{ "mine": true }\n');
+  await assert.rejects(fs.access(path.join(claudeDir, 'commands')));
+});
+
+test('init keeps the suite\'s per-checkout state out of git', async () => {
+  const dir = await makeRepo();
+  await new DaniZeeSuiteInstaller({ path: dir }).install();
+  await writeFiles(dir, { '.claude/danizee-runs/run.json': '{}\n', '.claude/danizee-worktrees.json': '{}\n' });
+
+  const untracked = git(dir, 'status', '--porcelain', '--untracked-files=all').split('\n');
+
+  assert.ok(untracked.includes('?? .claude/.gitignore'));
+  assert.ok(untracked.includes('?? .claude/settings.json'));
+  assert.deepEqual(untracked.filter(line => /\.danizee\/|danizee-runs|danizee-worktrees/.test(line)), []);
+});
+
+test('uninstall can be rolled back, and leaves its snapshot ignored until then', async () => {
+  const dir = await makeRepo();
+  const claudeDir = path.join(dir, '.claude');
+  await new DaniZeeSuiteInstaller({ path: dir }).install();
+  const settings = await fs.readFile(path.join(claudeDir, 'settings.json'), 'utf-8');
+
+  await new DaniZeeSuiteInstaller({ path: dir }).uninstall();
+
+  assert.equal((await readLastTransaction(claudeDir)).operation, 'uninstall');
+  await fs.access(getRollbackDir(claudeDir));
+  await assert.rejects(fs.access(path.join(claudeDir, 'settings.json')));
+  assert.deepEqual(git(dir, 'status', '--porcelain', '--untracked-files=all').split('\n').filter(line => line.includes('.claude/')), [
+    '?? .claude/.gitignore'
+  ]);
+
+  await new DaniZeeSuiteInstaller({ path: dir }).rollback();
+
+  assert.equal(await fs.readFile(path.join(claudeDir, 'settings.json'), 'utf-8'), settings);
+  assert.equal(await readLastTransaction(claudeDir), null);
+});
+
+test('rollback with nothing to undo fails', async () => {
+  const dir = await makeTempDir();
+
+  await assert.rejects(new DaniZeeSuiteInstaller({ path: dir }).rollback(), { code: 'NOTHING_TO_ROLL_BACK' });
+});
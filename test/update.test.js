@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { DaniZeeSuiteInstaller } from '../src/installer.js';
+import { merge3 } from '../src/utils/diff.js';
+import { listFiles, readManifest } from '../src/utils/manifest.js';
+import { getBaseDir } from '../src/utils/writer.js';
+import { isolateHome, makeTempDir } from './helpers.js';
+
+await isolateHome();
+
+/**
+ * Install the suite and pretend one command shipped as an older version
+ * that the user then edited
+ *
+ * The pristine copy gets an older first line, and the file on disk gets
+ * that line plus a note of the user's, so the next update has a change of
+ * its own to bring in.
+ */
+async function installWithEditedCommand() {
+  const dir = await makeTempDir();
+  const claudeDir = path.join(dir, '.claude');
+  await new DaniZeeSuiteInstaller({ path: dir }).install();
+
+  const [{ file }] = listFiles(await readManifest(claudeDir), { kind: 'command' });
+  const current = await fs.readFile(path.join(dir, file), 'utf-8');
+  const [, ...rest] = current.split('\n');
+  const base = ['# Old heading', ...rest].join('\n');
+
+  await fs.writeFile(path.join(getBaseDir(claudeDir), file), base);
+  await fs.writeFile(path.join(dir, file), `${base}\nMy note\n`);
+
+  return { dir, file, current };
+}
+
+test('merge3 takes changes from both sides and marks overlapping ones', () => {
+  const base = 'one\ntwo\nthree\n';
+
+  assert.deepEqual(merge3('one\ntwo\nthree\nfour\n', base, 'ONE\ntwo\nthree\n'), {
+    content: 'ONE\ntwo\nthree\nfour\n',
+    conflicts: 0
+  });
+
+  const { content, conflicts } = merge3('one\nmine\nthree\n', base, 'one\ntheirs\nthree\n', { local: 'yours', remote: 'suite' });
+  assert.equal(conflicts, 1);
+  assert.equal(content, 'one\n<<<<<<< yours\nmine\n=======\ntheirs\n>>>>>>> suite\nthree\n');
+});
+
+test('update upgrades files you haven\'t edited without asking', async () => {
+  const dir = await makeTempDir();
+  await new DaniZeeSuiteInstaller({ path: dir }).install();
+  const asked = [];
+
+  const result = await new DaniZeeSuiteInstaller({
+    path: dir,
+    update: true,
+    force: true,
+    resolveModified: async entry => { asked.push(entry.file); return 'overwrite'; }
+  }).install();
+
+  assert.deepEqual(asked, []);
+  assert.deepEqual(result.files.kept, []);
+});
+
+test('update keeps an edited file and writes the new version beside it', async () => {
+  const { dir, file, current } = await installWithEditedCommand();
+
+  const result = await new DaniZeeSuiteInstaller({ path: dir, update: true, force: true, onModified: 'keep' }).install();
+
+  assert.deepEqual(result.files.kept, [file]);
+  assert.match(await fs.readFile(path.join(dir, file), 'utf-8'), /^# Old heading[\s\S]*My note\n$/);
+  assert.equal(await fs.readFile(path.join(dir, `${file}.new`), 'utf-8'), current);
+
+  const { files } = await new DaniZeeSuiteInstaller({ path: dir }).check();
+  assert.deepEqual(files.pending, [`${file}.new`]);
+
+  await new DaniZeeSuiteInstaller({ path: dir }).uninstall();
+  await assert.rejects(fs.access(path.join(dir, `${file}.new`)));
+});
+
+test('update merges the new version into an edited file', async () => {
+  const { dir, file, current } = await installWithEditedCommand();
+
+  const result = await new DaniZeeSuiteInstaller({ path: dir, update: true, force: true, onModified: 'merge' }).install();
+
+  assert.deepEqual(result.files.merged, [file]);
+  assert.equal(await fs.readFile(path.join(dir, file), 'utf-8'), `${current}\nMy note\n`);
+  await assert.rejects(fs.access(path.join(dir, `${file}.new`)));
+});
+
+test('update overwrites an edited file when asked to', async () => {
+  const { dir, file, current } = await installWithEditedCommand();
+
+  const result = await new DaniZeeSuiteInstaller({ path: dir, update: true, force: true, onModified: 'overwrite' }).install();
+
+  assert.deepEqual(result.files.overwritten, [file]);
+  assert.equal(await fs.readFile(path.join(dir, file), 'utf-8'), current);
+});
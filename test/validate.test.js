@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { DaniZeeSuiteInstaller } from '../src/installer.js';
+import { EXIT_CODES } from '../src/utils/errors.js';
+import { validateSettings, validateSettingsFile } from '../src/utils/settings.js';
+import { isolateHome, makeTempDir, writeFiles } from './helpers.js';
+
+const CLI = fileURLToPath(new URL('../bin/cli.js', import.meta.url));
+
+await isolateHome();
+
+/**
+ * Run `validate --json` and return its exit code and output
+ */
+function runValidate(dir) {
+  const child = spawnSync(process.execPath, [CLI, '--json', 'validate', '--path', dir], { encoding: 'utf-8' });
+  return { status: child.status, output: JSON.parse(child.stdout) };
+}
+
+test('the settings an install writes are valid', async () => {
+  const dir = await makeTempDir();
+  await new DaniZeeSuiteInstaller({ path: dir }).install();
+
+  const result = await validateSettingsFile(path.join(dir, '.claude'));
+
+  assert.deepEqual(result.errors, []);
+  assert.equal(result.valid, true);
+  assert.equal(runValidate(dir).status, EXIT_CODES.success);
+});
+
+test('schema errors point at the line and column of the value', () => {
+  const text = '{\n  "danizee-suite": { "version": "1.0.0", "plugins": { "x": "yes" } },\n  "permissions": { "allow": ["ok", 2] }\n}';
+
+  assert.deepEqual(validateSettings(JSON.parse(text), text).errors, [
+    { path: '$.danizee-suite.plugins.x', message: 'must be boolean, got string', line: 2, column: 60 },
+    { path: '$.permissions.allow[1]', message: 'must be string, got integer', line: 3, column: 36 }
+  ]);
+});
+
+test('a settings file that does not parse is reported, not overwritten', async () => {
+  const dir = await makeTempDir();
+  await writeFiles(dir, { '.claude/settings.json': '{\n  "permissions": { "allow": ["Bash(ls)",] }\n}\n' });
+
+  const result = await validateSettingsFile(path.join(dir, '.claude'));
+  assert.equal(result.parseError.line, 2);
+  assert.equal(runValidate(dir).status, EXIT_CODES.error);
+
+  await assert.rejects(new DaniZeeSuiteInstaller({ path: dir }).install(), { code: 'SETTINGS_PARSE_ERROR', line: 2 });
+  assert.equal(await fs.readFile(path.join(dir, '.claude', 'settings.json'), 'utf-8'), '{\n  "permissions": { "allow": ["Bash(ls)",] }\n}\n');
+});
+
+test('validate without settings exits as not installed', async () => {
+  const dir = await makeTempDir();
+
+  const { status, output } = runValidate(dir);
+
+  assert.equal(status, EXIT_CODES.notInstalled);
+  assert.equal(output.result.exists, false);
+});
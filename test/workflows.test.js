@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { DaniZeeSuiteInstaller } from '../src/installer.js';
+import { WORKFLOWS_FILE, loadWorkflows, readProjectWorkflows } from '../src/utils/workflows.js';
+import { isolateHome, makeTempDir, writeFiles } from './helpers.js';
+
+await isolateHome();
+
+const MIGRATION = {
+  id: 'migration',
+  name: 'Migration Workflow',
+  triggers: ['Run the migration workflow on [schema change]'],
+  description: 'Plans, applies and verifies a database migration.',
+  checkpoints: [['Plan', 'The migration steps'], ['Apply', 'The dry run output']],
+  compound: { memoryKey: 'project/migrations/[name]', docsFolder: 'migrations', contents: 'Migration notes' }
+};
+
+/**
+ * A project with the given workflows in .claude/danizee-workflows.json
+ */
+async function makeProject(workflows) {
+  const dir = await makeTempDir();
+  await writeFiles(dir, {
+    [`.claude/${WORKFLOWS_FILE}`]: typeof workflows === 'string' ? workflows : JSON.stringify({ workflows }, null, 2)
+  });
+  return dir;
+}
+
+test('project workflows follow the built-in ones under Project Workflows', async () => {
+  const dir = await makeProject([MIGRATION]);
+
+  const workflows = await loadWorkflows(path.join(dir, '.claude'));
+  const migration = workflows.at(-1);
+
+  assert.equal(workflows.filter(workflow => workflow.project).length, 1);
+  assert.equal(migration.id, 'migration');
+  assert.equal(migration.group, 'project');
+  assert.equal(migration.shortName, 'Migration Workflow');
+});
+
+test('invalid workflows are reported with their path and position', async () => {
+  const dir = await makeProject([
+    MIGRATION,
+    { ...MIGRATION, group: 'misc' },
+    { ...MIGRATION, id: 'full-cycle', compound: { docsFolder: 'migrations' } }
+  ]);
+
+  const result = await readProjectWorkflows(path.join(dir, '.claude'));
+
+  assert.equal(result.valid, false);
+  assert.deepEqual(result.errors.map(error => [error.path, error.message]), [
+    ['$.workflows[2].compound', 'missing required property "memoryKey"'],
+    ['$.workflows[1].id', '"migration" is already used by workflows[0]'],
+    ['$.workflows[1].group', 'must be one of "development", "bugs", "reviews", "architecture", "utilities", "project"'],
+    ['$.workflows[2].id', '"full-cycle" is already used by a built-in workflow']
+  ]);
+  assert.ok(result.errors.every(error => error.line > 0 && error.column > 0));
+});
+
+test('a workflows file that does not parse stops init', async () => {
+  const dir = await makeProject('{ "workflows": [');
+
+  await assert.rejects(new DaniZeeSuiteInstaller({ path: dir }).install(), { code: 'INVALID_WORKFLOWS' });
+  await assert.rejects(fs.access(path.join(dir, 'WORKFLOW-SHORTCUTS.md')));
+});
+
+test('init writes the shortcuts, docs folder, memory namespace and command of a project workflow', async () => {
+  const dir = await makeProject([MIGRATION]);
+
+  await new DaniZeeSuiteInstaller({ path: dir }).install();
+
+  const shortcuts = await fs.readFile(path.join(dir, 'WORKFLOW-SHORTCUTS.md'), 'utf-8');
+  assert.match(shortcuts, /## Project Workflows/);
+  assert.match(shortcuts, /Run the migration workflow on \[schema change\]/);
+  await fs.access(path.join(dir, 'docs', 'solutions', 'migrations', '.gitkeep'));
+  const command = await fs.readFile(path.join(dir, '.claude', 'commands', 'danizee', 'migration.md'), 'utf-8');
+  assert.match(command, /Migration Workflow/);
+  const settings = await fs.readFile(path.join(dir, '.claude', 'settings.json'), 'utf-8');
+  assert.match(settings, /"project\/migrations\/\*"/);
+});
+
+test('update picks up workflows added after init', async () => {
+  const dir = await makeTempDir();
+  await new DaniZeeSuiteInstaller({ path: dir }).install();
+  await writeFiles(dir, { [`.claude/${WORKFLOWS_FILE}`]: JSON.stringify({ workflows: [MIGRATION] }) });
+
+  await new DaniZeeSuiteInstaller({ path: dir, force: true, update: true }).install();
+
+  await fs.access(path.join(dir, '.claude', 'commands', 'danizee', 'migration.md'));
+  await fs.access(path.join(dir, 'docs', 'solutions', 'migrations', '.gitkeep'));
+  assert.match(await fs.readFile(path.join(dir, 'WORKFLOW-SHORTCUTS.md'), 'utf-8'), /Migration Workflow/);
+});
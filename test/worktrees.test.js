@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { createWorktree, listWorktrees, pruneWorktrees } from '../src/utils/worktrees.js';
+import { git, isolateHome, makeRepo, writeFiles } from './helpers.js';
+
+await isolateHome();
+
+/**
+ * Commit a file inside a worktree
+ */
+async function commitIn(dir, file) {
+  await writeFiles(dir, { [file]: `${file}\n` });
+  git(dir, 'add', file);
+  git(dir, 'commit', '-q', '-m', `Add ${file}`);
+}
+
+test('prune removes a worktree merged into a --base other than the checked out branch', async () => {
+  const repo = await makeRepo();
+  git(repo, 'branch', 'develop');
+
+  const entry = await createWorktree(repo, 'alpha', { base: 'develop' });
+  await commitIn(entry.path, 'alpha.txt');
+  git(repo, 'branch', '-f', 'develop', entry.branch);
+
+  const result = await pruneWorktrees(repo, { base: 'develop' });
+
+  assert.deepEqual(result.removed.map(removed => [removed.branch, removed.branchDeleted]), [[entry.branch, true]]);
+  assert.deepEqual(result.failed, []);
+  assert.equal(git(repo, 'branch', '--list', entry.branch), '');
+  await assert.rejects(fs.access(entry.path));
+  assert.deepEqual(await listWorktrees(repo), []);
+
+  const registry = JSON.parse(await fs.readFile(path.join(repo, '.claude', 'danizee-worktrees.json'), 'utf-8'));
+  assert.deepEqual(registry.worktrees, []);
+});
+
+test('prune keeps worktrees that are not merged into --base', async () => {
+  const repo = await makeRepo();
+  git(repo, 'branch', 'develop');
+
+  const entry = await createWorktree(repo, 'beta', { base: 'develop' });
+  await commitIn(entry.path, 'beta.txt');
+
+  const result = await pruneWorktrees(repo, { base: 'develop' });
+
+  assert.deepEqual(result.removed, []);
+  assert.deepEqual(result.kept.map(kept => kept.reason), ['in progress']);
+});
+
+test('prune keeps worktrees with untracked files of the user in .claude/', async () => {
+  const repo = await makeRepo();
+  await writeFiles(repo, { '.claude/settings.local.json': '{}\n' });
+
+  const entry = await createWorktree(repo, 'gamma');
+  assert.deepEqual(entry.copied, ['.claude/settings.local.json']);
+
+  // The unchanged copy doesn't count
+  assert.deepEqual((await pruneWorktrees(repo, { days: 0, dryRun: true })).removed.map(removed => removed.slug), ['gamma']);
+
+  await writeFiles(entry.path, { '.claude/notes.md': 'mine\n' });
+  const result = await pruneWorktrees(repo, { days: 0 });
+
+  assert.deepEqual(result.kept.map(kept => kept.reason), ['has uncommitted changes']);
+  assert.equal(await fs.readFile(path.join(entry.path, '.claude', 'notes.md'), 'utf-8'), 'mine\n');
+});